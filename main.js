@@ -40,6 +40,297 @@ const throttle = (func, limit) => {
   };
 };
 
+/**
+ * Escape a string for safe interpolation into HTML markup
+ */
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Turn heading or title text into a URL-safe id.
+ * scripts/build-search-index.js mirrors this so index anchors match the page.
+ */
+const slugify = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Give every h2/h3 in a container a stable, unique slug id.
+ * Existing ids are kept; duplicates get -2, -3... suffixes.
+ */
+const assignHeadingIds = (container, selector = 'h2, h3') => {
+  const used = new Set();
+
+  container.querySelectorAll(selector).forEach(heading => {
+    if (heading.id) {
+      used.add(heading.id);
+      return;
+    }
+
+    const base = slugify(heading.textContent) || 'section';
+    let id = base;
+    let suffix = 2;
+    while (used.has(id)) {
+      id = `${base}-${suffix++}`;
+    }
+
+    heading.id = id;
+    used.add(id);
+  });
+};
+
+/**
+ * Scroll to the element named by the URL hash. Heading ids arrive after
+ * the browser's initial jump, so App calls this once every module that
+ * assigns them has started.
+ */
+const scrollToHash = () => {
+  const hash = decodeURIComponent(window.location.hash.slice(1));
+  const target = hash && document.getElementById(hash);
+  if (target) {
+    target.scrollIntoView();
+  }
+};
+
+/**
+ * Folder main.js was loaded from. Pages in a language folder (e.g. /hi/)
+ * resolve data files and site links against it rather than the page URL.
+ */
+const MAIN_SCRIPT = document.querySelector('script[src*="main.js"]');
+const SITE_ROOT = new URL('.', MAIN_SCRIPT?.src || window.location.href).href;
+
+// Deploy version from main.js?v=, shared by the service worker and lazy modules
+const ASSET_VERSION = (MAIN_SCRIPT && new URL(MAIN_SCRIPT.src, window.location.href).searchParams.get('v')) || 'dev';
+
+// Locale for dates and numbers, e.g. hi-IN on the Hindi pages
+const PAGE_LOCALE = `${document.documentElement.lang || 'en'}-IN`;
+
+const siteUrl = (path) => new URL(path, SITE_ROOT).href;
+
+/**
+ * Translate UI text generated by this script. The build embeds the page
+ * language's catalogue as #i18n-strings, keyed by the English text;
+ * {name} placeholders are filled from `params`.
+ */
+const t = (text, params = {}) => {
+  if (!t.strings) {
+    try {
+      t.strings = JSON.parse(document.getElementById('i18n-strings')?.textContent || '{}');
+    } catch (error) {
+      t.strings = {};
+    }
+  }
+
+  return (t.strings[text] || text).replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+};
+
+// ===================================
+// EVENT BUS
+// ===================================
+
+/**
+ * How modules talk to each other without globals: one emits a named
+ * event with a payload, any module that cares subscribes. A handler that
+ * throws is logged and the remaining handlers still run.
+ */
+class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  // Returns a function that removes the handler again
+  on(name, handler) {
+    if (!this.handlers.has(name)) {
+      this.handlers.set(name, new Set());
+    }
+
+    this.handlers.get(name).add(handler);
+    return () => this.off(name, handler);
+  }
+
+  off(name, handler) {
+    const handlers = this.handlers.get(name);
+    if (handlers) handlers.delete(handler);
+  }
+
+  emit(name, detail) {
+    Array.from(this.handlers.get(name) || []).forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Error handling "${name}":`, error);
+      }
+    });
+  }
+}
+
+const events = new EventBus();
+
+// ===================================
+// MOTION PREFERENCES
+// ===================================
+
+/**
+ * Whether animations should run. Motion is reduced when the OS asks for it
+ * (prefers-reduced-motion) or the visitor turns on "Reduce animations";
+ * modules read `reduced` and subscribe to `motion:change` on the event bus.
+ * The inline script in src/partials/head.html sets the html.reduce-motion
+ * class before first paint so CSS transitions are off from the start.
+ */
+class MotionPreferences {
+  constructor() {
+    this.storageKey = 'urbanways-motion';
+    this.systemQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    this.userReduced = this.getPreference();
+    this.init();
+  }
+
+  init() {
+    if (this.systemQuery) {
+      this.systemQuery.addEventListener('change', () => this.apply());
+    }
+
+    window.addEventListener('storage', (event) => {
+      if (event.key !== this.storageKey) return;
+      this.userReduced = this.getPreference();
+      this.apply();
+    });
+
+    this.apply();
+  }
+
+  get systemReduced() {
+    return Boolean(this.systemQuery && this.systemQuery.matches);
+  }
+
+  get reduced() {
+    return this.userReduced || this.systemReduced;
+  }
+
+  // For window.scrollTo / scrollIntoView
+  get scrollBehavior() {
+    return this.reduced ? 'auto' : 'smooth';
+  }
+
+  getPreference() {
+    try {
+      return localStorage.getItem(this.storageKey) === 'reduce';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  setUserReduced(reduced) {
+    this.userReduced = reduced;
+
+    try {
+      if (reduced) {
+        localStorage.setItem(this.storageKey, 'reduce');
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      // Storage can be unavailable (private mode); the choice lasts for this page only
+    }
+
+    this.apply();
+  }
+
+  apply() {
+    const reduced = this.reduced;
+    if (reduced === this.applied) return;
+
+    this.applied = reduced;
+    document.documentElement.classList.toggle('reduce-motion', reduced);
+    events.emit('motion:change', { reduced });
+  }
+}
+
+const motionPreferences = new MotionPreferences();
+
+// ===================================
+// SCROLL SCHEDULER
+// ===================================
+
+/**
+ * The page's one scroll and resize listener. Modules add a task with an
+ * optional `read(metrics)` for layout measurements and a
+ * `write(metrics, measured)` for DOM changes. Once per animation frame
+ * every task reads before any task writes, so scrolling costs at most one
+ * layout; `metrics` holds scrollY, viewportHeight and documentHeight.
+ */
+class ScrollScheduler {
+  constructor() {
+    this.tasks = new Set();
+    this.frame = null;
+    this.schedule = this.schedule.bind(this);
+  }
+
+  // Runs the task on the next frame; returns a function that removes it
+  add(task) {
+    if (this.tasks.size === 0) {
+      window.addEventListener('scroll', this.schedule, { passive: true });
+      window.addEventListener('resize', this.schedule);
+    }
+
+    this.tasks.add(task);
+    this.schedule();
+    return () => this.remove(task);
+  }
+
+  remove(task) {
+    this.tasks.delete(task);
+    if (this.tasks.size > 0) return;
+
+    window.removeEventListener('scroll', this.schedule);
+    window.removeEventListener('resize', this.schedule);
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  schedule() {
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.flush());
+    }
+  }
+
+  flush() {
+    this.frame = null;
+
+    const metrics = {
+      scrollY: window.scrollY,
+      viewportHeight: window.innerHeight,
+      documentHeight: document.documentElement.scrollHeight
+    };
+    const tasks = Array.from(this.tasks);
+    const measured = tasks.map(task => this.run(task, 'read', metrics));
+
+    tasks.forEach((task, index) => this.run(task, 'write', metrics, measured[index]));
+  }
+
+  run(task, phase, ...args) {
+    if (typeof task[phase] !== 'function') return undefined;
+
+    try {
+      return task[phase](...args);
+    } catch (error) {
+      console.error(`Scroll task failed to ${phase}:`, error);
+      return undefined;
+    }
+  }
+}
+
+const scrollScheduler = new ScrollScheduler();
+
 // ===================================
 // LOADING SCREEN
 // ===================================
@@ -51,26 +342,35 @@ class LoadingScreen {
   }
 
   init() {
+    this.timers = new Set();
+
     // Hide loading screen after page load
-    window.addEventListener('load', () => {
-      setTimeout(() => {
-        this.hide();
-      }, 500);
-    });
+    this.handleLoad = () => this.later(() => this.hide(), 500);
+    window.addEventListener('load', this.handleLoad);
 
     // Fallback: Hide after max 3 seconds
-    setTimeout(() => {
-      this.hide();
-    }, 3000);
+    this.later(() => this.hide(), 3000);
+  }
+
+  later(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  destroy() {
+    window.removeEventListener('load', this.handleLoad);
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
   }
 
   hide() {
     if (this.loadingScreen) {
       this.loadingScreen.classList.add('hidden');
       // Remove from DOM after animation
-      setTimeout(() => {
-        this.loadingScreen.remove();
-      }, 500);
+      this.later(() => this.loadingScreen.remove(), 500);
     }
   }
 }
@@ -89,25 +389,17 @@ class HeaderScroll {
   init() {
     if (!this.header) return;
 
-    // Use throttled scroll handler for better performance
-    window.addEventListener('scroll', throttle(() => {
-      this.handleScroll();
-    }, 100));
+    this.removeTask = scrollScheduler.add({
+      write: ({ scrollY }) => this.update(scrollY)
+    });
+  }
 
-    // Check on load
-    this.handleScroll();
+  update(scrollY) {
+    this.header.classList.toggle('scrolled', scrollY > this.scrollThreshold);
   }
 
-  handleScroll() {
-    // Use requestAnimationFrame to avoid forced reflow
-    requestAnimationFrame(() => {
-      const scrollY = window.scrollY;
-      if (scrollY > this.scrollThreshold) {
-        this.header.classList.add('scrolled');
-      } else {
-        this.header.classList.remove('scrolled');
-      }
-    });
+  destroy() {
+    if (this.removeTask) this.removeTask();
   }
 }
 
@@ -122,6 +414,8 @@ class HamburgerMenu {
     this.overlay = document.querySelector('.mobile-nav-overlay');
     this.body = document.body;
     this.mobileNavLinks = document.querySelectorAll('.mobile-nav .nav-link:not(.nav-link-dropdown)');
+    this.focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    this.inertElements = [];
     
     if (this.hamburger && this.mobileNav && this.overlay) {
       this.init();
@@ -130,39 +424,46 @@ class HamburgerMenu {
 
   init() {
     // Hamburger button click
-    this.hamburger.addEventListener('click', () => this.toggleMenu());
-    
-    // Overlay click to close
-    this.overlay.addEventListener('click', () => this.closeMenu());
-    
-    // Close menu when clicking nav links (but not dropdown toggle)
-    this.mobileNavLinks.forEach(link => {
-      link.addEventListener('click', () => {
-        this.closeMenu();
-      });
-    });
+    this.handleToggle = () => this.toggleMenu();
+    this.hamburger.addEventListener('click', this.handleToggle);
     
-    // Close menu when clicking submenu links
-    const submenuLinks = document.querySelectorAll('.mobile-nav .submenu-link');
-    submenuLinks.forEach(link => {
-      link.addEventListener('click', () => {
-        this.closeMenu();
-      });
-    });
+    // Overlay, nav links (but not the dropdown toggle) and submenu links close the menu
+    this.handleClose = () => this.closeMenu();
+    this.closingElements = [
+      this.overlay,
+      ...this.mobileNavLinks,
+      ...document.querySelectorAll('.mobile-nav .submenu-link')
+    ];
+    this.closingElements.forEach(element => element.addEventListener('click', this.handleClose));
     
-    // Close menu on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isMenuOpen()) {
+    // Escape closes the menu; Tab and Shift+Tab stay inside it
+    this.handleKeydown = (e) => {
+      if (!this.isMenuOpen()) return;
+
+      if (e.key === 'Escape') {
         this.closeMenu();
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e);
       }
-    });
+    };
+    document.addEventListener('keydown', this.handleKeydown);
     
     // Close menu on window resize if window becomes larger
-    window.addEventListener('resize', debounce(() => {
+    this.handleResize = debounce(() => {
       if (window.innerWidth > 768 && this.isMenuOpen()) {
         this.closeMenu();
       }
-    }, 250));
+    }, 250);
+    window.addEventListener('resize', this.handleResize);
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this.handleKeydown);
+    window.removeEventListener('resize', this.handleResize);
+    if (!this.handleToggle) return;
+
+    this.hamburger.removeEventListener('click', this.handleToggle);
+    this.closingElements.forEach(element => element.removeEventListener('click', this.handleClose));
   }
 
   toggleMenu() {
@@ -173,6 +474,55 @@ class HamburgerMenu {
     }
   }
 
+  /**
+   * Everything Tab can reach while the drawer is open. The hamburger sits
+   * above the drawer as its close button, so it stays in the cycle.
+   */
+  getFocusable() {
+    return [this.hamburger, ...this.mobileNav.querySelectorAll(this.focusableSelector)]
+      .filter(element => !element.closest('[inert], [hidden]'));
+  }
+
+  trapFocus(e) {
+    const focusable = this.getFocusable();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = focusable.includes(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Make the page behind the drawer unreachable, like a modal dialog
+  setBackgroundInert(inert) {
+    if (!inert) {
+      this.inertElements.forEach(element => element.removeAttribute('inert'));
+      this.inertElements = [];
+      return;
+    }
+
+    const keep = [this.mobileNav, this.hamburger, this.overlay];
+    const walk = (parent) => {
+      Array.from(parent.children).forEach(child => {
+        if (keep.includes(child) || child.hasAttribute('inert') || child.matches('script, style')) return;
+
+        if (keep.some(element => child.contains(element))) {
+          walk(child);
+        } else {
+          child.setAttribute('inert', '');
+          this.inertElements.push(child);
+        }
+      });
+    };
+
+    walk(this.body);
+  }
+
   openMenu() {
     this.hamburger.classList.add('active');
     this.mobileNav.classList.add('active');
@@ -185,6 +535,16 @@ class HamburgerMenu {
     // Update ARIA attributes
     this.hamburger.setAttribute('aria-expanded', 'true');
     this.mobileNav.setAttribute('aria-hidden', 'false');
+
+    this.mobileNav.removeAttribute('inert');
+    this.setBackgroundInert(true);
+
+    events.emit('menu:open');
+
+    const firstItem = this.getFocusable().find(element => this.mobileNav.contains(element));
+    if (firstItem) {
+      firstItem.focus({ preventScroll: true });
+    }
   }
 
   closeMenu() {
@@ -199,11 +559,19 @@ class HamburgerMenu {
     // Update ARIA attributes
     this.hamburger.setAttribute('aria-expanded', 'false');
     this.mobileNav.setAttribute('aria-hidden', 'true');
-    
-    // Reset dropdown state
-    if (window.mobileDropdown) {
-      window.mobileDropdown.reset();
+
+    // Check before the drawer goes inert, which drops focus to the body
+    const hadFocus = this.mobileNav.contains(document.activeElement);
+
+    this.setBackgroundInert(false);
+    this.mobileNav.setAttribute('inert', '');
+
+    if (hadFocus) {
+      this.hamburger.focus();
     }
+    
+    // MobileDropdownToggle collapses its submenus
+    events.emit('menu:close');
   }
 
   isMenuOpen() {
@@ -222,85 +590,154 @@ class SmoothScroll {
 
   init() {
     // Select all anchor links that start with #
-    const anchorLinks = document.querySelectorAll('a[href^="#"]');
-    
-    anchorLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        const href = link.getAttribute('href');
+    this.anchorLinks = document.querySelectorAll('a[href^="#"]');
+
+    this.handleClick = (e) => {
+      const href = e.currentTarget.getAttribute('href');
+      
+      // Skip if href is just #
+      if (href === '#') return;
+      
+      const target = document.querySelector(href);
+      
+      if (target) {
+        e.preventDefault();
         
-        // Skip if href is just #
-        if (href === '#') return;
+        // Calculate offset for fixed header
+        const headerHeight = document.getElementById('header')?.offsetHeight || 0;
+        const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
         
-        const target = document.querySelector(href);
+        window.scrollTo({
+          top: targetPosition,
+          behavior: motionPreferences.scrollBehavior
+        });
         
-        if (target) {
-          e.preventDefault();
-          
-          // Calculate offset for fixed header
-          const headerHeight = document.getElementById('header')?.offsetHeight || 0;
-          const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
-          
-          window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-          });
-          
-          // Update URL without jumping
-          history.pushState(null, null, href);
-        }
-      });
-    });
+        // Update URL without jumping
+        history.pushState(null, null, href);
+      }
+    };
+
+    this.anchorLinks.forEach(link => link.addEventListener('click', this.handleClick));
+  }
+
+  destroy() {
+    this.anchorLinks.forEach(link => link.removeEventListener('click', this.handleClick));
   }
 }
 
 // ===================================
-// ACTIVE NAV LINK ON SCROLL
+// ACTIVE NAV LINK
+// Highlights in-page nav links for the section in view
 // ===================================
 
+/**
+ * A section is current while it crosses a band a quarter of the way down
+ * the viewport. The last section also wins once it is fully in view, since
+ * a short one at the end of the page may never reach the band. Links to
+ * other pages are left alone; the build marks the current page's link.
+ */
 class ActiveNavLink {
   constructor() {
     this.sections = document.querySelectorAll('section[id]');
-    this.navLinks = document.querySelectorAll('.nav-link');
+    this.navLinks = document.querySelectorAll('.nav-link[href*="#"]');
+    this.linksById = new Map();
+    this.inBand = new Set();
+    this.lastInView = false;
+    this.current = null;
     this.init();
   }
 
   init() {
-    if (this.sections.length === 0 || this.navLinks.length === 0) return;
-
-    // Use throttled scroll handler
-    window.addEventListener('scroll', throttle(() => {
-      this.updateActiveLink();
-    }, 100));
+    this.navLinks.forEach(link => {
+      const url = new URL(link.href, window.location.href);
+      if (url.pathname !== window.location.pathname || !url.hash) return;
 
-    // Check on load
-    this.updateActiveLink();
-  }
+      const id = decodeURIComponent(url.hash.slice(1));
+      if (!this.linksById.has(id)) this.linksById.set(id, []);
+      this.linksById.get(id).push(link);
+    });
 
-  updateActiveLink() {
-    // Use requestAnimationFrame to batch layout reads
-    requestAnimationFrame(() => {
-      let currentSection = '';
-      const scrollPosition = window.pageYOffset + 200;
+    this.sections = Array.from(this.sections).filter(section => this.linksById.has(section.id));
+    if (this.sections.length === 0 || !('IntersectionObserver' in window)) return;
 
-      this.sections.forEach(section => {
-        const sectionTop = section.offsetTop;
-        const sectionHeight = section.clientHeight;
+    this.lastSection = this.sections[this.sections.length - 1];
 
-        if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-          currentSection = section.getAttribute('id');
+    this.bandObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.inBand.add(entry.target);
+        } else {
+          this.inBand.delete(entry.target);
         }
       });
+      this.refresh();
+    }, { rootMargin: '-25% 0px -55% 0px' });
+
+    this.endObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        this.lastInView = entry.isIntersecting && entry.intersectionRatio >= 0.99;
+      });
+      this.refresh();
+    }, { threshold: [0.99, 1] });
+
+    this.sections.forEach(section => this.bandObserver.observe(section));
+    this.endObserver.observe(this.lastSection);
+
+    // Jumps from the address bar and from in-page links update straight away
+    this.handleHashChange = () => this.setCurrent(this.idFromHash());
+    window.addEventListener('hashchange', this.handleHashChange);
+
+    this.handleLinkClick = (e) => this.setCurrent(this.idsByLink.get(e.currentTarget));
+    this.idsByLink = new Map();
+    this.linksById.forEach((links, id) => {
+      links.forEach(link => {
+        this.idsByLink.set(link, id);
+        link.addEventListener('click', this.handleLinkClick);
+      });
+    });
+
+    this.setCurrent(this.idFromHash());
+  }
+
+  idFromHash() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    return this.linksById.has(id) ? id : null;
+  }
+
+  refresh() {
+    if (this.lastInView) {
+      this.setCurrent(this.lastSection.id);
+      return;
+    }
+
+    const inBand = this.sections.find(section => this.inBand.has(section));
+    this.setCurrent(inBand ? inBand.id : null);
+  }
 
-      this.navLinks.forEach(link => {
-        link.classList.remove('active');
-        const href = link.getAttribute('href');
+  setCurrent(id) {
+    if (id === this.current) return;
+    this.current = id;
 
-        if (href === `#${currentSection}`) {
-          link.classList.add('active');
+    this.linksById.forEach((links, linkId) => {
+      links.forEach(link => {
+        link.classList.toggle('active', linkId === id);
+        if (linkId === id) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
         }
       });
     });
   }
+
+  destroy() {
+    if (this.bandObserver) this.bandObserver.disconnect();
+    if (this.endObserver) this.endObserver.disconnect();
+    if (this.handleHashChange) window.removeEventListener('hashchange', this.handleHashChange);
+    if (this.idsByLink) {
+      this.idsByLink.forEach((id, link) => link.removeEventListener('click', this.handleLinkClick));
+    }
+  }
 }
 
 // ===================================
@@ -316,25 +753,48 @@ class ScrollReveal {
   init() {
     if (this.elements.length === 0) return;
 
+    // Nothing to animate: show every section in its final state
+    if (motionPreferences.reduced) {
+      this.revealAll();
+      return;
+    }
+
     const observerOptions = {
       threshold: 0.15,
       rootMargin: '0px 0px -80px 0px'
     };
 
-    const observer = new IntersectionObserver((entries) => {
+    this.observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           entry.target.classList.add('active');
           // Unobserve after animation to improve performance
-          observer.unobserve(entry.target);
+          this.observer.unobserve(entry.target);
         }
       });
     }, observerOptions);
 
     this.elements.forEach(element => {
-      observer.observe(element);
+      this.observer.observe(element);
+    });
+
+    this.unsubscribe = events.on('motion:change', ({ reduced }) => {
+      if (reduced) this.revealAll();
     });
   }
+
+  destroy() {
+    if (this.observer) this.observer.disconnect();
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  revealAll() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+
+    this.elements.forEach(element => element.classList.add('active'));
+  }
 }
 
 // ===================================
@@ -344,6 +804,7 @@ class ScrollReveal {
 class AnimatedCounter {
   constructor() {
     this.counters = document.querySelectorAll('.stat-number');
+    this.duration = 2000; // default when a counter has no data-duration
     this.animated = false;
     this.init();
   }
@@ -351,12 +812,24 @@ class AnimatedCounter {
   init() {
     if (this.counters.length === 0) return;
 
-    const observer = new IntersectionObserver((entries) => {
+    // The markup carries the final figures; only count up when motion is allowed
+    if (motionPreferences.reduced) return;
+
+    this.targets = new Map();
+    this.counters.forEach(counter => {
+      const target = this.parseTarget(counter);
+      if (!target) return;
+
+      this.targets.set(counter, target);
+      this.render(counter, target, 0);
+    });
+
+    this.observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting && !this.animated) {
           this.animateCounters();
           this.animated = true;
-          observer.disconnect();
+          this.observer.disconnect();
         }
       });
     }, {
@@ -365,29 +838,73 @@ class AnimatedCounter {
 
     const statsSection = document.querySelector('.stats-section');
     if (statsSection) {
-      observer.observe(statsSection);
+      this.observer.observe(statsSection);
     }
+
+    this.unsubscribe = events.on('motion:change', ({ reduced }) => {
+      if (reduced && !this.animated) {
+        this.observer.disconnect();
+        this.animated = true;
+        this.targets.forEach((target, counter) => this.render(counter, target, target.number));
+      }
+    });
+  }
+
+  destroy() {
+    if (this.observer) this.observer.disconnect();
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  /**
+   * Split data-target (or the counter text) such as "10+", "₹2.5" or
+   * "1,200" into the number to count to and the text around it.
+   */
+  parseTarget(counter) {
+    const value = (counter.getAttribute('data-target') || counter.textContent).trim();
+    const match = /^(\D*?)(\d[\d,]*(?:\.\d+)?)(.*)$/.exec(value);
+    if (!match) return null;
+
+    const [, prefix, digits, suffix] = match;
+    const decimals = (digits.split('.')[1] || '').length;
+
+    return {
+      prefix,
+      suffix,
+      decimals,
+      number: Number(digits.replace(/,/g, '')),
+      format: new Intl.NumberFormat(PAGE_LOCALE, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      })
+    };
+  }
+
+  render(counter, target, value) {
+    counter.textContent = `${target.prefix}${target.format.format(value)}${target.suffix}`;
   }
 
   animateCounters() {
-    this.counters.forEach(counter => {
-      const target = parseInt(counter.getAttribute('data-target'));
-      const duration = 2000; // 2 seconds
-      const increment = target / (duration / 16); // 60fps
-      let current = 0;
+    this.targets.forEach((target, counter) => {
+      const duration = Number(counter.getAttribute('data-duration')) || this.duration;
+      const scale = Math.pow(10, target.decimals);
+      let start = null;
 
-      const updateCounter = () => {
-        current += increment;
-        
-        if (current < target) {
-          counter.textContent = Math.floor(current);
+      const updateCounter = (now) => {
+        if (start === null) start = now;
+        const progress = Math.min((now - start) / duration, 1);
+
+        // Reduced motion switched on mid-count: jump straight to the end
+        if (progress < 1 && !motionPreferences.reduced) {
+          // Ease out so the count settles gently on the target
+          const eased = 1 - Math.pow(1 - progress, 3);
+          this.render(counter, target, Math.floor(target.number * eased * scale) / scale);
           requestAnimationFrame(updateCounter);
         } else {
-          counter.textContent = target;
+          this.render(counter, target, target.number);
         }
       };
 
-      updateCounter();
+      requestAnimationFrame(updateCounter);
     });
   }
 }
@@ -407,25 +924,27 @@ class BackToTop {
     if (!this.button) return;
 
     // Show/hide button on scroll
-    window.addEventListener('scroll', throttle(() => {
-      this.toggleVisibility();
-    }, 100));
+    this.removeTask = scrollScheduler.add({
+      write: ({ scrollY }) => this.toggleVisibility(scrollY)
+    });
 
     // Scroll to top on click
-    this.button.addEventListener('click', () => {
+    this.handleClick = () => {
       window.scrollTo({
         top: 0,
-        behavior: 'smooth'
+        behavior: motionPreferences.scrollBehavior
       });
-    });
+    };
+    this.button.addEventListener('click', this.handleClick);
   }
 
-  toggleVisibility() {
-    if (window.scrollY > this.scrollThreshold) {
-      this.button.classList.add('visible');
-    } else {
-      this.button.classList.remove('visible');
-    }
+  toggleVisibility(scrollY) {
+    this.button.classList.toggle('visible', scrollY > this.scrollThreshold);
+  }
+
+  destroy() {
+    if (this.removeTask) this.removeTask();
+    if (this.handleClick) this.button.removeEventListener('click', this.handleClick);
   }
 }
 
@@ -435,11 +954,29 @@ class BackToTop {
 
 class LazyLoadImages {
   constructor() {
-    this.images = document.querySelectorAll('img[loading="lazy"]');
+    this.images = document.querySelectorAll('img[loading="lazy"]:not([data-src])');
+    this.observer = null;
     this.init();
   }
 
   init() {
+    // Responsive images built by scripts/build-images.js start on a blurred placeholder
+    if ('IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.observer.unobserve(entry.target);
+            this.load(entry.target);
+          }
+        });
+      }, { rootMargin: '200px 0px' });
+    }
+
+    this.observe(document);
+
+    // Cards rendered from data/projects.json bring their own placeholders
+    this.unsubscribe = events.on('portfolio:rendered', () => this.observe(document));
+
     // Check if browser supports native lazy loading
     if ('loading' in HTMLImageElement.prototype) {
       // Browser supports native lazy loading
@@ -447,20 +984,51 @@ class LazyLoadImages {
     }
 
     // Fallback for browsers that don't support native lazy loading
-    if (this.images.length === 0) return;
+    if (this.images.length === 0 || !this.observer) return;
 
-    const imageObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const img = entry.target;
-          img.src = img.dataset.src || img.src;
-          img.classList.add('loaded');
-          imageObserver.unobserve(img);
-        }
-      });
+    this.images.forEach(img => this.observer.observe(img));
+  }
+
+  observe(root) {
+    root.querySelectorAll('img.blur-up[data-src]').forEach(img => {
+      if (this.observer) {
+        this.observer.observe(img);
+      } else {
+        this.load(img);
+      }
     });
+  }
+
+  load(img) {
+    if (!img.dataset.src) {
+      img.classList.add('loaded');
+      return;
+    }
 
-    this.images.forEach(img => imageObserver.observe(img));
+    const picture = img.closest('picture');
+    if (picture) {
+      picture.querySelectorAll('source[data-srcset]').forEach(source => {
+        source.srcset = source.dataset.srcset;
+        source.removeAttribute('data-srcset');
+      });
+    }
+
+    // Keep the placeholder until the real image has decoded, then fade the blur out
+    const reveal = () => img.classList.add('loaded');
+    img.addEventListener('load', reveal, { once: true });
+    img.addEventListener('error', reveal, { once: true });
+
+    if (img.dataset.srcset) {
+      img.srcset = img.dataset.srcset;
+      img.removeAttribute('data-srcset');
+    }
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+  }
+
+  destroy() {
+    if (this.observer) this.observer.disconnect();
+    this.unsubscribe();
   }
 }
 
@@ -469,41 +1037,217 @@ class LazyLoadImages {
 // ===================================
 
 class ImageErrorHandler {
-  constructor() {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 2;
+    this.retryDelay = options.retryDelay || 800;
+    // A function, or the name(s) of built-in reporters: 'console', 'analytics', 'beacon'
+    this.reporter = options.reporter || document.body.dataset.imageErrorReporter || 'analytics';
+    this.endpoint = options.endpoint || document.body.dataset.imageErrorEndpoint || '/api/image-errors';
+    this.states = new WeakMap();
+    this.reported = new Set();
+    this.retries = new Set();
     this.init();
   }
 
   init() {
-    // Add error handling to all images
-    const images = document.querySelectorAll('img');
-    
-    images.forEach(img => {
-      img.addEventListener('error', function() {
-        // Hide image if it fails to load
-        this.style.display = 'none';
-        
-        // Optionally show a placeholder
-        const placeholder = document.createElement('div');
-        placeholder.className = 'image-placeholder';
-        placeholder.textContent = 'Image unavailable';
-        placeholder.style.cssText = `
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          background: #f0f0f0;
-          color: #999;
-          height: 100%;
-          min-height: 200px;
-        `;
-        
-        if (this.parentElement) {
-          this.parentElement.appendChild(placeholder);
-        }
+    // Error events don't bubble, so listen in the capture phase; this also
+    // covers images added later (portfolio cards, lightbox)
+    this.handleImageError = (e) => {
+      if (e.target instanceof HTMLImageElement) {
+        this.handleError(e.target);
+      }
+    };
+    document.addEventListener('error', this.handleImageError, true);
+
+    // Images that already failed before this script ran
+    document.querySelectorAll('img').forEach(img => {
+      if (img.complete && img.naturalWidth === 0 && img.getAttribute('src') && !img.dataset.src) {
+        this.handleError(img);
+      }
+    });
+  }
+
+  getState(img) {
+    if (!this.states.has(img)) {
+      this.states.set(img, {
+        url: img.currentSrc || img.src,
+        attempts: 0,
+        failed: [],
+        fallbacks: this.getFallbacks(img)
       });
+    }
+    return this.states.get(img);
+  }
+
+  /**
+   * Sources to try once retries are used up: the declared data-fallback,
+   * then the srcset candidates from smallest to largest.
+   */
+  getFallbacks(img) {
+    const urls = [];
+    const current = img.currentSrc || img.src;
+
+    if (img.dataset.fallback) {
+      urls.push(new URL(img.dataset.fallback, document.baseURI).href);
+    }
+
+    (img.getAttribute('srcset') || img.dataset.srcset || '')
+      .split(',')
+      .map(candidate => candidate.trim().split(/\s+/))
+      .filter(([url]) => url)
+      .sort((a, b) => parseFloat(a[1] || 0) - parseFloat(b[1] || 0))
+      .forEach(([url]) => urls.push(new URL(url, document.baseURI).href));
+
+    return [...new Set(urls)].filter(url => url !== current);
+  }
+
+  handleError(img) {
+    const state = this.getState(img);
+    const url = img.currentSrc || img.src;
+
+    // The blurred placeholder is a data: URI and never worth retrying
+    if (!url || url.startsWith('data:') || state.done) return;
+
+    if (state.attempts < this.maxRetries) {
+      state.attempts += 1;
+      const timer = setTimeout(() => {
+        this.retries.delete(timer);
+        this.retry(img);
+      }, this.retryDelay * 2 ** (state.attempts - 1));
+      this.retries.add(timer);
+      return;
+    }
+
+    state.failed.push(url);
+    const fallback = state.fallbacks.shift();
+
+    if (fallback) {
+      if (!state.recovering) {
+        state.recovering = true;
+        img.addEventListener('load', () => this.finish(img, img.currentSrc || img.src), { once: true });
+      }
+      this.useSource(img, fallback);
+      return;
+    }
+
+    this.showPlaceholder(img);
+    this.finish(img, null);
+  }
+
+  retry(img) {
+    const srcset = img.getAttribute('srcset');
+
+    // Re-assigning the attributes makes the browser fetch the image again
+    if (srcset) {
+      img.setAttribute('srcset', srcset);
+    }
+    img.setAttribute('src', img.getAttribute('src'));
+  }
+
+  useSource(img, url) {
+    const picture = img.closest('picture');
+
+    // <source> and srcset candidates would win over src, so drop them
+    if (picture) {
+      picture.querySelectorAll('source').forEach(source => source.remove());
+    }
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+    img.src = url;
+  }
+
+  showPlaceholder(img) {
+    const target = img.closest('picture') || img;
+    if (target.nextElementSibling && target.nextElementSibling.classList.contains('image-placeholder')) return;
+
+    const placeholder = document.createElement('div');
+    placeholder.className = 'image-placeholder';
+    placeholder.setAttribute('role', 'img');
+    placeholder.setAttribute('aria-label', img.alt || t('Image unavailable'));
+    placeholder.innerHTML = `<span>${escapeHTML(t('Image unavailable'))}</span>`;
+
+    // Reserve the same space the image would have taken
+    const width = parseInt(img.getAttribute('width'), 10);
+    const height = parseInt(img.getAttribute('height'), 10);
+    if (width && height) {
+      placeholder.style.aspectRatio = `${width} / ${height}`;
+      placeholder.classList.add('image-placeholder--sized');
+    }
+
+    target.classList.add('image-failed');
+    target.insertAdjacentElement('afterend', placeholder);
+  }
+
+  finish(img, recoveredWith) {
+    const state = this.getState(img);
+    state.done = true;
+
+    const report = {
+      url: state.url,
+      failed: state.failed,
+      recoveredWith,
+      alt: img.alt,
+      page: window.location.pathname
+    };
+
+    if (this.reported.has(report.url)) return;
+    this.reported.add(report.url);
+
+    this.report(report);
+  }
+
+  destroy() {
+    document.removeEventListener('error', this.handleImageError, true);
+    this.retries.forEach(timer => clearTimeout(timer));
+    this.retries.clear();
+  }
+
+  report(report) {
+    const reporters = typeof this.reporter === 'function'
+      ? [this.reporter]
+      : String(this.reporter).split(',').map(name => ImageErrorHandler.reporters[name.trim()]).filter(Boolean);
+
+    reporters.forEach(reporter => {
+      try {
+        reporter(report, this);
+      } catch (error) {
+        console.warn('Image error reporter failed:', error);
+      }
     });
   }
 }
 
+ImageErrorHandler.reporters = {
+  console: (report) => {
+    console.warn(`Image failed to load: ${report.url}`, report);
+  },
+
+  // Picked up by Analytics, which only sends it once consent is given
+  analytics: (report) => {
+    events.emit('analytics:track', {
+      name: 'image_error',
+      params: {
+        image_url: report.url,
+        recovered: Boolean(report.recoveredWith),
+        page_path: report.page
+      }
+    });
+  },
+
+  beacon: (report, handler) => {
+    const body = JSON.stringify(report);
+
+    if (navigator.sendBeacon && navigator.sendBeacon(handler.endpoint, body)) return;
+
+    fetch(handler.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch(() => {});
+  }
+};
+
 // ===================================
 // ENHANCED MOBILE DROPDOWN TOGGLE
 // With auto-expand for portfolio pages
@@ -511,30 +1255,31 @@ class ImageErrorHandler {
 
 class MobileDropdownToggle {
   constructor() {
+    this.mobileNav = document.querySelector('.mobile-nav');
     this.activeDropdowns = new Map();
-    this.init();
-  }
+    this.toggles = [];
+    this.submenuLinks = [];
+    this.unsubscribe = [];
 
-  init() {
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
-        this.setupMobileDropdown();
-      });
-    } else {
-      this.setupMobileDropdown();
+    if (this.mobileNav) {
+      this.init();
     }
   }
 
-  setupMobileDropdown() {
-    const mobileNav = document.querySelector('.mobile-nav');
-    if (!mobileNav) {
-      setTimeout(() => this.setupMobileDropdown(), 100);
-      return;
-    }
-
-    const navDropdowns = mobileNav.querySelectorAll('.nav-dropdown');
+  init() {
+    const navDropdowns = this.mobileNav.querySelectorAll('.nav-dropdown');
     if (navDropdowns.length === 0) return;
-    
+
+    this.handleToggleClick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const { portfolioLink, mobileSubmenu, index } = this.toggles.find(toggle => toggle.portfolioLink === e.currentTarget);
+      this.toggleSubmenu(portfolioLink, mobileSubmenu, index);
+    };
+
+    // Prevent submenu links from closing the dropdown
+    this.handleSubmenuClick = (e) => e.stopPropagation();
+
     navDropdowns.forEach((navDropdown, index) => {
       const portfolioLink = navDropdown.querySelector('.nav-link-dropdown');
       const mobileSubmenu = navDropdown.querySelector('.mobile-submenu');
@@ -542,62 +1287,64 @@ class MobileDropdownToggle {
 
       // Check if Portfolio is already active (we're on a portfolio page)
       const isOnPortfolioPage = portfolioLink.classList.contains('active');
-      
+
       // Initialize state
       this.activeDropdowns.set(index, false);
 
       // Set initial styles
       mobileSubmenu.style.maxHeight = '0';
       mobileSubmenu.style.overflow = 'hidden';
-      mobileSubmenu.style.transition = 'max-height 0.4s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.3s ease';
+      mobileSubmenu.style.transition = this.getTransition();
       mobileSubmenu.style.opacity = '0';
-      
-      // If on a portfolio page, auto-expand when menu opens
+      mobileSubmenu.setAttribute('inert', '');
+
+      // If on a portfolio page, auto-expand when HamburgerMenu opens the menu
       if (isOnPortfolioPage) {
-        // Watch for when the mobile menu is opened
-        const observer = new MutationObserver((mutations) => {
-          mutations.forEach((mutation) => {
-            if (mutation.target.classList.contains('active')) {
-              // Menu was opened, auto-expand portfolio
-              setTimeout(() => {
-                if (!this.activeDropdowns.get(index)) {
-                  this.openSubmenu(portfolioLink, mobileSubmenu, index);
-                }
-              }, 100);
-            } else {
-              // Menu was closed, reset
-              if (this.activeDropdowns.get(index)) {
-                this.closeSubmenu(portfolioLink, mobileSubmenu, index);
-              }
+        this.unsubscribe.push(events.on('menu:open', () => {
+          setTimeout(() => {
+            if (!this.activeDropdowns.get(index)) {
+              this.openSubmenu(portfolioLink, mobileSubmenu, index);
             }
-          });
-        });
-        
-        observer.observe(mobileNav, {
-          attributes: true,
-          attributeFilter: ['class']
-        });
+          }, 100);
+        }));
       }
-      
+
       // Add click event to portfolio link
-      portfolioLink.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        this.toggleSubmenu(portfolioLink, mobileSubmenu, index);
-      });
+      this.toggles.push({ portfolioLink, mobileSubmenu, index });
+      portfolioLink.addEventListener('click', this.handleToggleClick);
 
-      // Prevent submenu links from closing the dropdown
-      const submenuLinks = mobileSubmenu.querySelectorAll('.submenu-link');
-      submenuLinks.forEach(link => {
-        link.addEventListener('click', (e) => e.stopPropagation());
+      mobileSubmenu.querySelectorAll('.submenu-link').forEach(link => {
+        this.submenuLinks.push(link);
+        link.addEventListener('click', this.handleSubmenuClick);
       });
     });
+
+    this.unsubscribe.push(
+      events.on('menu:close', () => this.reset()),
+      events.on('motion:change', () => {
+        this.mobileNav.querySelectorAll('.mobile-submenu').forEach(submenu => {
+          submenu.style.transition = this.getTransition();
+        });
+      })
+    );
+  }
+
+  destroy() {
+    this.unsubscribe.forEach(off => off());
+    this.unsubscribe = [];
+    this.toggles.forEach(({ portfolioLink }) => portfolioLink.removeEventListener('click', this.handleToggleClick));
+    this.submenuLinks.forEach(link => link.removeEventListener('click', this.handleSubmenuClick));
+  }
+
+  getTransition() {
+    return motionPreferences.reduced ? 'none' : 'max-height 0.4s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.3s ease';
   }
 
   openSubmenu(portfolioLink, mobileSubmenu, index) {
     const scrollHeight = mobileSubmenu.scrollHeight;
     mobileSubmenu.style.maxHeight = (scrollHeight + 40) + 'px';
     mobileSubmenu.style.opacity = '1';
+    mobileSubmenu.removeAttribute('inert');
     portfolioLink.setAttribute('aria-expanded', 'true');
     this.activeDropdowns.set(index, true);
   }
@@ -605,6 +1352,7 @@ class MobileDropdownToggle {
   closeSubmenu(portfolioLink, mobileSubmenu, index) {
     mobileSubmenu.style.maxHeight = '0';
     mobileSubmenu.style.opacity = '0';
+    mobileSubmenu.setAttribute('inert', '');
     portfolioLink.setAttribute('aria-expanded', 'false');
     this.activeDropdowns.set(index, false);
   }
@@ -620,15 +1368,13 @@ class MobileDropdownToggle {
   }
 
   reset() {
-    const mobileNav = document.querySelector('.mobile-nav');
-    if (!mobileNav) return;
-
-    const mobileSubmenus = mobileNav.querySelectorAll('.mobile-submenu');
-    const portfolioLinks = mobileNav.querySelectorAll('.nav-link-dropdown');
+    const mobileSubmenus = this.mobileNav.querySelectorAll('.mobile-submenu');
+    const portfolioLinks = this.mobileNav.querySelectorAll('.nav-link-dropdown');
 
     mobileSubmenus.forEach(submenu => {
       submenu.style.maxHeight = '0';
       submenu.style.opacity = '0';
+      submenu.setAttribute('inert', '');
     });
 
     portfolioLinks.forEach(link => {
@@ -642,6 +1388,144 @@ class MobileDropdownToggle {
 }
 
 
+// ===================================
+// DESKTOP DROPDOWN MENUS
+// Disclosure buttons with arrow-key navigation
+// ===================================
+
+/**
+ * Hovering still opens the Portfolio menu through CSS; this is the
+ * keyboard side of the disclosure pattern. The button toggles
+ * aria-expanded, the arrow keys open the menu and move through its links
+ * (Home and End jump to either end), and Escape, a click outside or focus
+ * leaving the dropdown closes it.
+ */
+class NavDropdown {
+  constructor() {
+    this.dropdowns = Array.from(document.querySelectorAll('.desktop-nav .nav-dropdown'))
+      .map(root => ({
+        root,
+        button: root.querySelector('.nav-link-dropdown'),
+        menu: root.querySelector('.dropdown-content')
+      }))
+      .filter(({ button, menu }) => button && menu);
+
+    if (this.dropdowns.length > 0) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.handleButtonClick = (e) => {
+      const dropdown = this.dropdownFor(e.currentTarget);
+      if (this.isOpen(dropdown)) {
+        this.close(dropdown);
+      } else {
+        this.open(dropdown);
+      }
+    };
+
+    this.handleButtonKeydown = (e) => {
+      if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+      e.preventDefault();
+      const dropdown = this.dropdownFor(e.currentTarget);
+      this.open(dropdown);
+      const links = this.getLinks(dropdown);
+      links[e.key === 'ArrowDown' ? 0 : links.length - 1].focus();
+    };
+
+    this.handleMenuKeydown = (e) => this.moveFocus(e, this.dropdownFor(e.currentTarget));
+
+    this.handleRootKeydown = (e) => {
+      const dropdown = this.dropdownFor(e.currentTarget);
+      if (e.key === 'Escape' && this.isOpen(dropdown)) {
+        this.close(dropdown);
+        dropdown.button.focus();
+      }
+    };
+
+    this.handleFocusOut = (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        this.close(this.dropdownFor(e.currentTarget));
+      }
+    };
+
+    this.dropdowns.forEach(({ root, button, menu }) => {
+      button.addEventListener('click', this.handleButtonClick);
+      button.addEventListener('keydown', this.handleButtonKeydown);
+      menu.addEventListener('keydown', this.handleMenuKeydown);
+      root.addEventListener('keydown', this.handleRootKeydown);
+      root.addEventListener('focusout', this.handleFocusOut);
+    });
+
+    this.handleClick = (e) => {
+      this.dropdowns.forEach(dropdown => {
+        if (!dropdown.root.contains(e.target)) this.close(dropdown);
+      });
+    };
+    document.addEventListener('click', this.handleClick);
+  }
+
+  dropdownFor(element) {
+    return this.dropdowns.find(({ root }) => root.contains(element));
+  }
+
+  getLinks({ menu }) {
+    return Array.from(menu.querySelectorAll('a[href]'));
+  }
+
+  isOpen({ button }) {
+    return button.getAttribute('aria-expanded') === 'true';
+  }
+
+  open(dropdown) {
+    this.dropdowns.forEach(other => {
+      if (other !== dropdown) this.close(other);
+    });
+    dropdown.button.setAttribute('aria-expanded', 'true');
+  }
+
+  close({ button }) {
+    button.setAttribute('aria-expanded', 'false');
+  }
+
+  moveFocus(e, dropdown) {
+    const links = this.getLinks(dropdown);
+    const index = links.indexOf(document.activeElement);
+    let next;
+
+    if (e.key === 'ArrowDown') {
+      next = links[(index + 1) % links.length];
+    } else if (e.key === 'ArrowUp') {
+      next = links[(index - 1 + links.length) % links.length];
+    } else if (e.key === 'Home') {
+      next = links[0];
+    } else if (e.key === 'End') {
+      next = links[links.length - 1];
+    }
+
+    if (next) {
+      e.preventDefault();
+      next.focus();
+    }
+  }
+
+  destroy() {
+    if (!this.handleClick) return;
+
+    document.removeEventListener('click', this.handleClick);
+    this.dropdowns.forEach(({ root, button, menu }) => {
+      button.removeEventListener('click', this.handleButtonClick);
+      button.removeEventListener('keydown', this.handleButtonKeydown);
+      menu.removeEventListener('keydown', this.handleMenuKeydown);
+      root.removeEventListener('keydown', this.handleRootKeydown);
+      root.removeEventListener('focusout', this.handleFocusOut);
+    });
+  }
+}
+
+
 // ===================================
 // BLOG CATEGORY FILTER
 // ===================================
@@ -649,89 +1533,3209 @@ class MobileDropdownToggle {
 class BlogFilter {
   constructor() {
     this.filterButtons = document.querySelectorAll('.category-btn');
+    this.tagButtons = document.querySelectorAll('.tag-btn');
+    this.sortSelect = document.querySelector('.blog-sort');
+    this.countLabel = document.querySelector('.blog-count');
+    this.emptyState = document.querySelector('.blog-empty');
+    this.grid = document.querySelector('.blog-grid');
     this.blogCards = document.querySelectorAll('.blog-card');
+    this.state = { category: 'all', tags: [], sort: 'date' };
     this.init();
   }
 
   init() {
     if (this.filterButtons.length === 0 || this.blogCards.length === 0) return;
 
-    this.filterButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        this.handleFilterClick(e.target);
-      });
-    });
+    this.handleFilterClick = (e) => this.selectCategory(e.currentTarget);
+    this.handleTagClick = (e) => this.toggleTag(e.currentTarget);
+    this.filterButtons.forEach(button => button.addEventListener('click', this.handleFilterClick));
+    this.tagButtons.forEach(button => button.addEventListener('click', this.handleTagClick));
+
+    if (this.sortSelect) {
+      this.handleSortChange = () => {
+        this.state.sort = this.sortSelect.value;
+        this.apply(true);
+      };
+      this.sortSelect.addEventListener('change', this.handleSortChange);
+    }
+
+    // Back/forward restores whatever filter that history entry had
+    this.handlePopState = () => {
+      this.state = this.readQuery();
+      this.apply(false);
+    };
+    window.addEventListener('popstate', this.handlePopState);
+
+    this.state = this.readQuery();
+    this.apply(false);
+  }
+
+  destroy() {
+    if (!this.handlePopState) return;
+
+    window.removeEventListener('popstate', this.handlePopState);
+    this.filterButtons.forEach(button => button.removeEventListener('click', this.handleFilterClick));
+    this.tagButtons.forEach(button => button.removeEventListener('click', this.handleTagClick));
+    if (this.handleSortChange) this.sortSelect.removeEventListener('change', this.handleSortChange);
+  }
+
+  selectCategory(button) {
+    this.state.category = button.getAttribute('data-category');
+    this.apply(true);
+  }
+
+  toggleTag(button) {
+    const tag = button.getAttribute('data-tag');
+    const { tags } = this.state;
+
+    this.state.tags = tags.includes(tag)
+      ? tags.filter(t => t !== tag)
+      : [...tags, tag];
+
+    this.apply(true);
+  }
+
+  readQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const category = params.get('category') || 'all';
+    const tags = (params.get('tags') || '').split(',').filter(Boolean);
+    const sort = params.get('sort') || 'date';
+
+    // Ignore values that no button or option on the page knows about
+    const knownCategory = Array.from(this.filterButtons).some(btn => btn.getAttribute('data-category') === category);
+    const knownTags = Array.from(this.tagButtons).map(btn => btn.getAttribute('data-tag'));
+    const knownSort = this.sortSelect && Array.from(this.sortSelect.options).some(option => option.value === sort);
+
+    return {
+      category: knownCategory ? category : 'all',
+      tags: tags.filter(tag => knownTags.includes(tag)),
+      sort: knownSort ? sort : 'date'
+    };
+  }
+
+  writeQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const { category, tags, sort } = this.state;
+
+    params.delete('category');
+    params.delete('tags');
+    params.delete('sort');
+
+    if (category !== 'all') params.set('category', category);
+    if (tags.length > 0) params.set('tags', tags.join(','));
+    if (sort !== 'date') params.set('sort', sort);
+
+    // Keep tag lists readable in shared links (?tags=budget,kitchen)
+    const query = params.toString().replace(/%2C/g, ',');
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      history.pushState(null, '', url);
+    }
   }
 
-  handleFilterClick(button) {
-    const category = button.getAttribute('data-category');
+  apply(updateUrl) {
+    this.updateControls();
+    this.sortCards(this.state.sort);
+    const visible = this.filterCards(this.state.category, this.state.tags);
+    this.updateCount(visible);
+
+    if (updateUrl) {
+      this.writeQuery();
+    }
+  }
 
+  updateControls() {
     // Update active button
-    this.filterButtons.forEach(btn => btn.classList.remove('active'));
-    button.classList.add('active');
+    this.filterButtons.forEach(btn => {
+      const isActive = btn.getAttribute('data-category') === this.state.category;
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+
+    this.tagButtons.forEach(btn => {
+      const isActive = this.state.tags.includes(btn.getAttribute('data-tag'));
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
 
-    // Filter blog cards
-    this.filterCards(category);
+    if (this.sortSelect) {
+      this.sortSelect.value = this.state.sort;
+    }
   }
 
-  filterCards(category) {
+  filterCards(category, tags = []) {
+    let visible = 0;
+
     this.blogCards.forEach(card => {
       const cardCategory = card.getAttribute('data-category');
+      const cardTags = (card.getAttribute('data-tags') || '').split(',').map(tag => tag.trim());
       const cardLink = card.closest('.blog-card-link') || card;
 
-      if (category === 'all' || cardCategory === category) {
+      // Categories narrow the list; every selected tag must be present on the card
+      const matchesCategory = category === 'all' || cardCategory === category;
+      const matchesTags = tags.every(tag => cardTags.includes(tag));
+
+      if (matchesCategory && matchesTags) {
         // Show card
         cardLink.style.display = '';
         card.style.animation = 'fadeIn 0.5s ease-in';
+        visible++;
       } else {
         // Hide card
         cardLink.style.display = 'none';
       }
     });
+
+    return visible;
+  }
+
+  sortCards(sort) {
+    if (!this.grid) return;
+
+    const readTime = card => parseInt(card.getAttribute('data-read-time'), 10) || 0;
+    const date = card => Date.parse(card.getAttribute('data-date')) || 0;
+
+    const comparators = {
+      date: (a, b) => date(b) - date(a),
+      oldest: (a, b) => date(a) - date(b),
+      'read-time': (a, b) => readTime(a) - readTime(b),
+      'read-time-desc': (a, b) => readTime(b) - readTime(a)
+    };
+
+    const compare = comparators[sort] || comparators.date;
+
+    Array.from(this.blogCards)
+      .sort(compare)
+      .forEach(card => this.grid.appendChild(card.closest('.blog-card-link') || card));
+  }
+
+  updateCount(visible) {
+    if (this.countLabel) {
+      this.countLabel.textContent = t(visible === 1 ? '{count} article' : '{count} articles', { count: visible });
+    }
+
+    if (this.emptyState) {
+      this.emptyState.hidden = visible > 0;
+    }
   }
 }
 
 
 // ===================================
-// INITIALIZE ALL MODULES
+// PORTFOLIO RENDERER
+// Renders project cards from data/projects.json
 // ===================================
 
-class App {
+class PortfolioRenderer {
   constructor() {
-    this.init();
-  }
+    this.galleryGrids = document.querySelectorAll('.gallery-grid[data-category]');
+    this.portfolioGrid = document.querySelector('.portfolio-grid[data-source]');
+    this.images = {};
 
-  init() {
-    // Wait for DOM to be ready
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
-        this.initializeModules();
-      });
-    } else {
-      this.initializeModules();
+    if (this.galleryGrids.length > 0 || this.portfolioGrid) {
+      this.init();
     }
   }
 
-  initializeModules() {
+  async init() {
+    const source = this.getSource();
+    const manifest = this.loadImageManifest();
+    let data;
+
     try {
-      // Initialize all modules
-      new LoadingScreen();
-      new HeaderScroll();
-      new HamburgerMenu();
-      new SmoothScroll();
-      new ActiveNavLink();
-      new ScrollReveal();
-      new AnimatedCounter();
-      new BackToTop();
-      new LazyLoadImages();
-      new ImageErrorHandler();
-      new BlogFilter();
-
-      // Initialize mobile dropdown and make it globally accessible
-      window.mobileDropdown = new MobileDropdownToggle();
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Projects feed responded with ${response.status}`);
+      }
+      data = await response.json();
     } catch (error) {
-      console.error('Error initializing website:', error);
+      // The static cards already in the page stay in place
+      console.warn('Portfolio data unavailable, keeping static markup:', error);
+      return;
     }
+
+    this.images = await manifest;
+    // Stopped while the feed was loading
+    if (this.destroyed) return;
+
+    this.galleryGrids.forEach(grid => {
+      const projects = data.projects.filter(project => project.category === grid.getAttribute('data-category'));
+      if (projects.length > 0) {
+        grid.innerHTML = projects.map(project => this.renderGalleryItem(project)).join('');
+      }
+    });
+
+    if (this.portfolioGrid && data.categories.length > 0) {
+      this.portfolioGrid.innerHTML = data.categories
+        .map(category => this.renderPortfolioCard(category, data.projects))
+        .join('');
+    }
+
+    events.emit('portfolio:rendered', data);
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+
+  getSource() {
+    const element = this.portfolioGrid || this.galleryGrids[0];
+    return element.getAttribute('data-source') || siteUrl('data/projects.json');
+  }
+
+  async loadImageManifest() {
+    // Optimised variants are optional - without them cards use the original files
+    try {
+      const response = await fetch(siteUrl('data/images.json'));
+      return response.ok ? (await response.json()).images : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Mirrors rewriteImages() in scripts/build-images.js
+  renderImage(image, sizes) {
+    const optimised = this.images[image.src];
+    const alt = escapeHTML(image.alt);
+
+    if (!optimised) {
+      const srcset = image.srcset ? `srcset="${escapeHTML(image.srcset)}" sizes="${sizes}"` : '';
+      return `<img src="${escapeHTML(image.src)}" ${srcset} alt="${alt}" loading="lazy" width="${image.width}" height="${image.height}">`;
+    }
+
+    return `
+      <picture class="responsive-picture">
+        <source type="image/avif" data-srcset="${escapeHTML(optimised.sources.avif)}" sizes="${sizes}">
+        <source type="image/webp" data-srcset="${escapeHTML(optimised.sources.webp)}" sizes="${sizes}">
+        <img src="${optimised.placeholder}"
+             data-src="${escapeHTML(optimised.src)}"
+             data-srcset="${escapeHTML(optimised.sources.jpeg)}"
+             sizes="${sizes}"
+             class="blur-up"
+             alt="${alt}"
+             loading="lazy"
+             decoding="async"
+             width="${image.width}"
+             height="${image.height}">
+      </picture>
+    `;
+  }
+
+  // Opts the card into BeforeAfterSlider
+  renderBeforeAttributes(before) {
+    if (!before) return '';
+
+    const optimised = this.images[before.src];
+    const attributes = {
+      'data-before': optimised ? optimised.src : before.src,
+      'data-before-srcset': optimised ? optimised.sources.jpeg : before.srcset,
+      'data-before-alt': before.alt,
+      'data-before-label': before.label,
+      'data-after-label': before.afterLabel
+    };
+
+    return Object.entries(attributes)
+      .filter(([, value]) => value)
+      .map(([name, value]) => ` ${name}="${escapeHTML(value)}"`)
+      .join('');
+  }
+
+  renderGalleryItem(project) {
+    const [image] = project.images;
+    const meta = [project.location, project.year].filter(Boolean).join(' · ');
+    const tags = (project.tags || []).map(tag => `<li>${escapeHTML(tag)}</li>`).join('');
+
+    return `
+      <article class="gallery-item" data-project="${escapeHTML(project.id)}"${this.renderBeforeAttributes(project.before)}>
+        <div class="gallery-image">
+          ${this.renderImage(image, '(max-width: 768px) 100vw, 50vw')}
+        </div>
+        <div class="gallery-info">
+          <h3>${escapeHTML(project.title)}</h3>
+          <p class="gallery-category">${escapeHTML(project.subtitle || meta)}</p>
+          <p class="gallery-description">${escapeHTML(project.description)}</p>
+          ${tags ? `<ul class="gallery-tags" aria-label="${escapeHTML(t('Tags'))}">${tags}</ul>` : ''}
+        </div>
+      </article>
+    `;
+  }
+
+  renderPortfolioCard(category, projects) {
+    const { image } = category;
+    const count = projects.filter(project => project.category === category.id).length;
+
+    return `
+      <article class="portfolio-card">
+        <a href="${escapeHTML(category.page)}" class="portfolio-card-link">
+          <div class="portfolio-card-image">
+            ${this.renderImage(image, '(max-width: 768px) 100vw, (max-width: 1024px) 50vw, 400px')}
+          </div>
+          <div class="portfolio-card-content">
+            <h3 class="portfolio-card-title">${escapeHTML(category.title)}</h3>
+            <p class="portfolio-card-description">${escapeHTML(category.description)}</p>
+            ${count > 0 ? `<p class="portfolio-card-count">${escapeHTML(t(count === 1 ? '{count} project' : '{count} projects', { count }))}</p>` : ''}
+          </div>
+        </a>
+      </article>
+    `;
+  }
+}
+
+
+// ===================================
+// PORTFOLIO GALLERY LIGHTBOX
+// Keyboard, swipe and #project-slug deep links
+// ===================================
+
+class GalleryLightbox {
+  constructor() {
+    this.itemSelector = '.gallery-item';
+    this.imageSelector = '.gallery-image img';
+    this.items = [];
+    this.currentIndex = -1;
+    this.lastFocused = null;
+    this.touchStartX = 0;
+    this.swipeThreshold = 50;
+
+    if (document.querySelector(this.imageSelector)) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.build();
+    this.refresh();
+
+    // Delegate so cards rendered after start-up work too
+    this.handleDocumentClick = (e) => {
+      const image = e.target.closest(this.imageSelector);
+      if (image) {
+        this.openFromElement(image);
+      }
+    };
+    document.addEventListener('click', this.handleDocumentClick);
+
+    this.handleDocumentKeydown = (e) => {
+      if (this.isOpen()) {
+        this.handleKeydown(e);
+        return;
+      }
+
+      // Space and Enter on a control inside the card, like the before/after range, belong to it
+      if (e.target.matches('input, select, textarea, button')) return;
+
+      const trigger = e.target.closest('.gallery-image');
+      if (trigger && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        this.openFromElement(trigger.querySelector('img'));
+      }
+    };
+    document.addEventListener('keydown', this.handleDocumentKeydown);
+
+    this.handleHashChange = () => this.openFromHash();
+    window.addEventListener('hashchange', this.handleHashChange);
+    this.unsubscribe = events.on('portfolio:rendered', () => this.openFromHash());
+    this.openFromHash();
+  }
+
+  destroy() {
+    if (!this.lightbox) return;
+
+    document.removeEventListener('click', this.handleDocumentClick);
+    document.removeEventListener('keydown', this.handleDocumentKeydown);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    this.unsubscribe();
+
+    if (this.isOpen()) this.close(false);
+    this.lightbox.remove();
+  }
+
+  build() {
+    this.lightbox = document.createElement('div');
+    this.lightbox.className = 'lightbox';
+    this.lightbox.setAttribute('role', 'dialog');
+    this.lightbox.setAttribute('aria-modal', 'true');
+    this.lightbox.setAttribute('aria-labelledby', 'lightbox-title');
+    this.lightbox.hidden = true;
+    this.lightbox.innerHTML = `
+      <button class="lightbox-close" type="button" aria-label="${escapeHTML(t('Close gallery'))}">
+        <i class="fas fa-times" aria-hidden="true"></i>
+      </button>
+      <button class="lightbox-prev" type="button" aria-label="${escapeHTML(t('Previous project'))}">
+        <i class="fas fa-chevron-left" aria-hidden="true"></i>
+      </button>
+      <figure class="lightbox-figure">
+        <div class="lightbox-media">
+          <img class="lightbox-image" src="" alt="">
+        </div>
+        <figcaption class="lightbox-caption">
+          <h2 class="lightbox-title" id="lightbox-title"></h2>
+          <p class="lightbox-category"></p>
+          <p class="lightbox-counter" aria-live="polite"></p>
+        </figcaption>
+      </figure>
+      <button class="lightbox-next" type="button" aria-label="${escapeHTML(t('Next project'))}">
+        <i class="fas fa-chevron-right" aria-hidden="true"></i>
+      </button>
+    `;
+
+    document.body.appendChild(this.lightbox);
+
+    this.media = this.lightbox.querySelector('.lightbox-media');
+    this.image = this.lightbox.querySelector('.lightbox-image');
+    this.title = this.lightbox.querySelector('.lightbox-title');
+    this.category = this.lightbox.querySelector('.lightbox-category');
+    this.counter = this.lightbox.querySelector('.lightbox-counter');
+
+    this.lightbox.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+    this.lightbox.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.currentIndex - 1));
+    this.lightbox.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.currentIndex + 1));
+
+    // Clicking the dark backdrop closes, clicks on the content do not
+    this.lightbox.addEventListener('click', (e) => {
+      if (e.target === this.lightbox) {
+        this.close();
+      }
+    });
+
+    this.lightbox.addEventListener('touchstart', (e) => {
+      this.touchStartX = e.changedTouches[0].clientX;
+    }, { passive: true });
+
+    this.lightbox.addEventListener('touchend', (e) => {
+      const deltaX = e.changedTouches[0].clientX - this.touchStartX;
+      if (Math.abs(deltaX) > this.swipeThreshold) {
+        this.show(this.currentIndex + (deltaX < 0 ? 1 : -1));
+      }
+    });
+  }
+
+  /**
+   * Re-scan the page for gallery cards and make their images keyboard-operable
+   */
+  refresh() {
+    this.items = Array.from(document.querySelectorAll(this.itemSelector))
+      .filter(item => item.querySelector(this.imageSelector))
+      .map(item => {
+        const img = item.querySelector(this.imageSelector);
+        const title = item.querySelector('h3')?.textContent.trim() || img.alt;
+        const trigger = img.closest('.gallery-image');
+
+        if (trigger && !trigger.hasAttribute('tabindex')) {
+          trigger.setAttribute('tabindex', '0');
+          trigger.setAttribute('role', 'button');
+          trigger.setAttribute('aria-label', t('View {title} full screen', { title }));
+        }
+
+        return {
+          element: item,
+          img,
+          title,
+          category: item.querySelector('.gallery-category')?.textContent.trim() || '',
+          slug: `project-${item.getAttribute('data-project') || slugify(title)}`
+        };
+      });
+  }
+
+  openFromElement(img) {
+    this.refresh();
+    // The "before" image of a comparison slider belongs to the same card
+    const index = this.items.findIndex(item => item.element.contains(img));
+    if (index !== -1) {
+      this.open(index);
+    }
+  }
+
+  openFromHash() {
+    const hash = window.location.hash.slice(1);
+
+    if (!hash.startsWith('project-')) {
+      if (this.isOpen()) {
+        this.close(false);
+      }
+      return;
+    }
+
+    this.refresh();
+    const index = this.items.findIndex(item => item.slug === hash);
+    if (index !== -1) {
+      this.open(index);
+    }
+  }
+
+  open(index) {
+    if (!this.isOpen()) {
+      this.lastFocused = document.activeElement;
+      this.lightbox.hidden = false;
+      document.body.classList.add('lightbox-open');
+      document.body.style.overflow = 'hidden';
+    }
+
+    this.show(index);
+    this.lightbox.querySelector('.lightbox-close').focus();
+  }
+
+  show(index) {
+    if (this.items.length === 0) return;
+
+    // Wrap around at either end
+    this.currentIndex = (index + this.items.length) % this.items.length;
+    const item = this.items[this.currentIndex];
+    // Images still on their blurred placeholder have not been swapped in yet
+    const source = item.img.dataset.src || item.img.currentSrc || item.img.src;
+
+    this.image.src = source;
+    this.image.alt = item.img.alt;
+    this.showComparison(item);
+    this.title.textContent = item.title;
+    this.category.textContent = item.category;
+    this.counter.textContent = t('{current} of {total}', { current: this.currentIndex + 1, total: this.items.length });
+
+    const single = this.items.length < 2;
+    this.lightbox.querySelector('.lightbox-prev').hidden = single;
+    this.lightbox.querySelector('.lightbox-next').hidden = single;
+
+    history.replaceState(null, '', `#${item.slug}`);
+    events.emit('project:view', { title: item.title, category: item.category, slug: item.slug });
+  }
+
+  /**
+   * Swap the single image for a BeforeAfterSlider when the card has one
+   */
+  showComparison(item) {
+    const current = this.media.querySelector('.before-after');
+    if (current) {
+      this.media.appendChild(this.image);
+      current.remove();
+    }
+
+    if (!item.element.dataset.before) return;
+
+    const slider = BeforeAfterSlider.mount(this.media, BeforeAfterSlider.optionsFor(item.element));
+    BeforeAfterSlider.load(slider);
+  }
+
+  close(restoreFocus = true) {
+    this.lightbox.hidden = true;
+    this.currentIndex = -1;
+    document.body.classList.remove('lightbox-open');
+    document.body.style.overflow = '';
+
+    // Drop the project hash so a reload does not reopen the lightbox
+    if (window.location.hash.startsWith('#project-')) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+
+    if (restoreFocus && this.lastFocused && typeof this.lastFocused.focus === 'function') {
+      this.lastFocused.focus();
+    }
+  }
+
+  isOpen() {
+    return !this.lightbox.hidden;
+  }
+
+  handleKeydown(e) {
+    // Arrow keys on a comparison slider move the slider, not the gallery
+    if (e.target.matches && e.target.matches('.before-after-range') && e.key.startsWith('Arrow')) return;
+
+    switch (e.key) {
+      case 'Escape':
+        this.close();
+        break;
+      case 'ArrowLeft':
+        this.show(this.currentIndex - 1);
+        break;
+      case 'ArrowRight':
+        this.show(this.currentIndex + 1);
+        break;
+      case 'Tab':
+        this.trapFocus(e);
+        break;
+      default:
+        return;
+    }
+  }
+
+  trapFocus(e) {
+    const focusable = Array.from(this.lightbox.querySelectorAll('button, [href], input, [tabindex]:not([tabindex="-1"])'))
+      .filter(el => !el.hidden && !el.disabled);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!this.lightbox.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+
+// ===================================
+// BEFORE / AFTER COMPARISON SLIDER
+// Opt in with data-before on a .gallery-item
+// ===================================
+
+class BeforeAfterSlider {
+  constructor() {
+    this.itemSelector = '.gallery-item[data-before]';
+    this.observer = null;
+    this.init();
+  }
+
+  init() {
+    // Only fetch the "before" photo once the slider is about to be seen
+    if ('IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            BeforeAfterSlider.load(entry.target);
+            this.observer.unobserve(entry.target);
+          }
+        });
+      }, { threshold: 0.15, rootMargin: '200px 0px' });
+    }
+
+    this.enhanceAll();
+    this.unsubscribe = events.on('portfolio:rendered', () => this.enhanceAll());
+  }
+
+  destroy() {
+    if (this.observer) this.observer.disconnect();
+    this.unsubscribe();
+  }
+
+  enhanceAll() {
+    document.querySelectorAll(this.itemSelector).forEach(item => {
+      const media = item.querySelector('.gallery-image');
+      if (!media || media.querySelector('.before-after')) return;
+
+      const slider = BeforeAfterSlider.mount(media, BeforeAfterSlider.optionsFor(item));
+
+      if (this.observer) {
+        this.observer.observe(slider);
+      } else {
+        BeforeAfterSlider.load(slider);
+      }
+    });
+  }
+
+  /**
+   * Slider options from a card's data attributes:
+   * data-before, data-before-srcset, data-before-alt,
+   * data-before-label and data-after-label
+   */
+  static optionsFor(item) {
+    const title = item.querySelector('h3')?.textContent.trim() || t('this project');
+
+    return {
+      src: item.dataset.before,
+      srcset: item.dataset.beforeSrcset || '',
+      alt: item.dataset.beforeAlt || t('{title} before', { title }),
+      beforeLabel: item.dataset.beforeLabel || t('Before'),
+      afterLabel: item.dataset.afterLabel || t('After')
+    };
+  }
+
+  /**
+   * Wrap the existing contents of `container` (the "after" image) in a
+   * slider and return it. The "before" image waits for load().
+   */
+  static mount(container, options) {
+    const slider = document.createElement('div');
+    slider.className = 'before-after';
+
+    const after = document.createElement('div');
+    after.className = 'before-after-after';
+    after.append(...container.childNodes);
+
+    // Let the browser pick the "before" candidate for the same slot as the "after" image
+    const sizes = after.querySelector('img')?.getAttribute('sizes');
+
+    slider.innerHTML = `
+      <div class="before-after-before">
+        <img class="before-after-image"
+             data-src="${escapeHTML(options.src)}"
+             ${options.srcset ? `data-srcset="${escapeHTML(options.srcset)}"` : ''}
+             ${options.srcset && sizes ? `sizes="${escapeHTML(sizes)}"` : ''}
+             alt="${escapeHTML(options.alt)}"
+             decoding="async">
+      </div>
+      <span class="before-after-label before-after-label--before" aria-hidden="true">${escapeHTML(options.beforeLabel)}</span>
+      <span class="before-after-label before-after-label--after" aria-hidden="true">${escapeHTML(options.afterLabel)}</span>
+      <div class="before-after-handle" aria-hidden="true"><i class="fas fa-arrows-alt-h"></i></div>
+      <input type="range" class="before-after-range sr-only" min="0" max="100" step="1" value="50"
+             aria-label="${escapeHTML(t('{before} and {after} comparison', { before: options.beforeLabel, after: options.afterLabel.toLowerCase() }))}">
+    `;
+
+    slider.prepend(after);
+    container.appendChild(slider);
+
+    BeforeAfterSlider.bind(slider);
+    BeforeAfterSlider.setPosition(slider, 50);
+
+    return slider;
+  }
+
+  static bind(slider) {
+    const range = slider.querySelector('.before-after-range');
+    let drag = null;
+
+    // The range input gives keyboard and screen reader users the same control
+    range.addEventListener('input', () => BeforeAfterSlider.setPosition(slider, Number(range.value)));
+
+    // Pointer events cover both mouse and touch; a tap without movement
+    // still reaches the gallery's lightbox click handler
+    slider.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      drag = { pointerId: e.pointerId, startX: e.clientX, moved: false };
+    });
+
+    slider.addEventListener('pointermove', (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+
+      if (!drag.moved && Math.abs(e.clientX - drag.startX) > BeforeAfterSlider.dragThreshold) {
+        drag.moved = true;
+        slider.classList.add('is-dragging');
+        slider.setPointerCapture?.(e.pointerId);
+      }
+
+      if (drag.moved) {
+        const rect = slider.getBoundingClientRect();
+        BeforeAfterSlider.setPosition(slider, ((e.clientX - rect.left) / rect.width) * 100);
+      }
+    });
+
+    const endDrag = (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+
+      if (drag.moved) {
+        slider.classList.remove('is-dragging');
+        // Swallow the click that follows a drag so the lightbox stays shut
+        slider.addEventListener('click', (event) => event.stopPropagation(), { capture: true, once: true });
+      }
+      drag = null;
+    };
+
+    slider.addEventListener('pointerup', endDrag);
+    slider.addEventListener('pointercancel', endDrag);
+  }
+
+  static setPosition(slider, percent) {
+    const position = Math.round(Math.min(100, Math.max(0, percent)));
+    const range = slider.querySelector('.before-after-range');
+
+    slider.style.setProperty('--before-after-position', `${position}%`);
+    range.value = position;
+    range.setAttribute('aria-valuetext', `${position}% ${slider.querySelector('.before-after-label--before').textContent.toLowerCase()}`);
+  }
+
+  static load(slider) {
+    const img = slider.querySelector('.before-after-image[data-src]');
+    if (!img) return;
+
+    if (img.dataset.srcset) {
+      img.srcset = img.dataset.srcset;
+      img.removeAttribute('data-srcset');
+    }
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+  }
+}
+
+// Pixels a pointer must travel before a press becomes a drag
+BeforeAfterSlider.dragThreshold = 5;
+
+
+// ===================================
+// PROJECT ENQUIRY FORM
+// Validation, draft saving and offline queue
+// ===================================
+
+class EnquiryForm {
+  constructor() {
+    this.form = document.querySelector('.enquiry-form');
+    this.draftKey = 'urbanways-enquiry-draft';
+    this.queueKey = 'urbanways-enquiry-queue';
+
+    if (this.form) {
+      this.endpoint = this.form.getAttribute('data-endpoint') || this.form.getAttribute('action');
+      this.status = this.form.querySelector('.form-status');
+      this.submitButton = this.form.querySelector('[type="submit"]');
+      this.fields = this.form.querySelectorAll('input[name], select[name], textarea[name]');
+      // Offered when sending fails, as shown in the page's own tel: links
+      const telephone = document.querySelector('a[href^="tel:"]');
+      this.phoneLabel = telephone ? telephone.textContent.trim() : '';
+      this.init();
+    }
+  }
+
+  init() {
+    // Let our inline messages replace the browser's validation bubbles
+    this.form.setAttribute('novalidate', '');
+
+    this.restoreDraft();
+    this.applyQueryPrefill();
+
+    this.handleInput = debounce(() => {
+      this.saveDraft();
+    }, 400);
+    this.form.addEventListener('input', this.handleInput);
+
+    // Validate a field once the user leaves it, then live while it is invalid
+    this.handleBlur = (e) => this.validateField(e.currentTarget);
+    this.handleFieldInput = (e) => {
+      if (e.currentTarget.getAttribute('aria-invalid') === 'true') {
+        this.validateField(e.currentTarget);
+      }
+    };
+    this.fields.forEach(field => {
+      field.addEventListener('blur', this.handleBlur);
+      field.addEventListener('input', this.handleFieldInput);
+    });
+
+    this.handleSubmit = (e) => {
+      e.preventDefault();
+      this.submit();
+    };
+    this.form.addEventListener('submit', this.handleSubmit);
+
+    // Send anything queued while offline as soon as we reconnect
+    this.handleOnline = () => this.flushQueue();
+    window.addEventListener('online', this.handleOnline);
+    if (navigator.onLine) {
+      this.flushQueue();
+    }
+  }
+
+  destroy() {
+    if (!this.handleOnline) return;
+
+    window.removeEventListener('online', this.handleOnline);
+    this.form.removeEventListener('input', this.handleInput);
+    this.fields.forEach(field => {
+      field.removeEventListener('blur', this.handleBlur);
+      field.removeEventListener('input', this.handleFieldInput);
+    });
+    this.form.removeEventListener('submit', this.handleSubmit);
+  }
+
+  validateField(field) {
+    const value = field.value.trim();
+    let message = '';
+
+    if (field.required && !value) {
+      message = field.getAttribute('data-error-required') || t('This field is required.');
+    } else if (value && field.name === 'phone' && !EnquiryForm.isValidIndianPhone(value)) {
+      message = t('Enter a valid 10-digit Indian mobile number, e.g. +91 98765 43210.');
+    } else if (value && field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      message = t('Enter a valid email address.');
+    }
+
+    this.setFieldError(field, message);
+    return !message;
+  }
+
+  setFieldError(field, message) {
+    const error = this.form.querySelector(`#${field.id}-error`);
+
+    if (message) {
+      field.setAttribute('aria-invalid', 'true');
+      field.setAttribute('aria-describedby', `${field.id}-error`);
+    } else {
+      field.removeAttribute('aria-invalid');
+      field.removeAttribute('aria-describedby');
+    }
+
+    if (error) {
+      error.textContent = message;
+      error.hidden = !message;
+    }
+  }
+
+  validateAll() {
+    let firstInvalid = null;
+
+    this.fields.forEach(field => {
+      if (!this.validateField(field) && !firstInvalid) {
+        firstInvalid = field;
+      }
+    });
+
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+
+    return !firstInvalid;
+  }
+
+  getData() {
+    const data = {};
+    this.fields.forEach(field => {
+      data[field.name] = field.value.trim();
+    });
+    return data;
+  }
+
+  async submit() {
+    if (!this.validateAll()) {
+      this.showStatus(t('Please correct the highlighted fields.'), 'error');
+      return;
+    }
+
+    const enquiry = {
+      ...this.getData(),
+      page: window.location.pathname,
+      submittedAt: new Date().toISOString()
+    };
+
+    if (!navigator.onLine) {
+      this.enqueue(enquiry);
+      this.resetForm();
+      this.showStatus(t('You appear to be offline. Your enquiry has been saved and will be sent automatically when you reconnect.'), 'info');
+      return;
+    }
+
+    this.setSubmitting(true);
+
+    try {
+      await this.send(enquiry);
+      this.resetForm();
+      this.showStatus(t('Thank you! Our team will call you within one working day.'), 'success');
+    } catch (error) {
+      // Network failures are queued; server rejections are surfaced to the user
+      if (error instanceof TypeError) {
+        this.enqueue(enquiry);
+        this.resetForm();
+        this.showStatus(t('We could not reach our server. Your enquiry has been saved and will be sent automatically.'), 'info');
+      } else {
+        console.error('Enquiry submission failed:', error);
+        this.showStatus(this.phoneLabel
+          ? t('Something went wrong. Please try again or call us on {phone}.', { phone: this.phoneLabel })
+          : t('Something went wrong. Please try again.'), 'error');
+      }
+    } finally {
+      this.setSubmitting(false);
+    }
+  }
+
+  async send(enquiry) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(enquiry)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Enquiry endpoint responded with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Send queued enquiries. Network errors and 5xx responses stay queued for
+   * the next attempt; an enquiry the server rejects (4xx) would be rejected
+   * again, so it leaves the queue and goes back into the form to be fixed.
+   */
+  async flushQueue() {
+    const queue = this.readStorage(this.queueKey, []);
+    if (queue.length === 0) return;
+
+    const remaining = [];
+    const rejected = [];
+    let sent = 0;
+
+    for (const enquiry of queue) {
+      try {
+        await this.send(enquiry);
+        sent++;
+      } catch (error) {
+        if (error.status >= 400 && error.status < 500) {
+          console.error('Saved enquiry rejected:', error);
+          rejected.push(enquiry);
+        } else {
+          remaining.push(enquiry);
+        }
+      }
+    }
+
+    this.writeStorage(this.queueKey, remaining);
+
+    if (rejected.length > 0) {
+      this.fill(rejected[0]);
+      this.validateAll();
+      this.showStatus(t('We could not send your saved enquiry. Please check the details below and send it again.'), 'error');
+    } else if (sent > 0) {
+      this.showStatus(t('Your saved enquiry has now been sent. Thank you!'), 'success');
+    }
+  }
+
+  enqueue(enquiry) {
+    const queue = this.readStorage(this.queueKey, []);
+    queue.push(enquiry);
+    this.writeStorage(this.queueKey, queue);
+  }
+
+  saveDraft() {
+    this.writeStorage(this.draftKey, this.getData());
+  }
+
+  restoreDraft() {
+    const draft = this.readStorage(this.draftKey, null);
+    if (!draft) return;
+
+    this.fill(draft);
+  }
+
+  fill(values) {
+    this.fields.forEach(field => {
+      if (values[field.name]) {
+        field.value = values[field.name];
+      }
+    });
+  }
+
+  applyQueryPrefill() {
+    // Links such as the cost estimator's pass field values in the query string
+    const params = new URLSearchParams(window.location.search);
+    let prefilled = false;
+
+    this.fields.forEach(field => {
+      const value = params.get(field.name);
+      if (value) {
+        field.value = value;
+        prefilled = true;
+      }
+    });
+
+    if (prefilled) {
+      this.saveDraft();
+    }
+  }
+
+  resetForm() {
+    this.form.reset();
+    this.fields.forEach(field => this.setFieldError(field, ''));
+    this.removeStorage(this.draftKey);
+  }
+
+  setSubmitting(isSubmitting) {
+    if (!this.submitButton) return;
+    this.submitButton.disabled = isSubmitting;
+    this.form.setAttribute('aria-busy', isSubmitting ? 'true' : 'false');
+  }
+
+  showStatus(message, type) {
+    if (!this.status) return;
+    this.status.textContent = message;
+    this.status.className = `form-status form-status-${type}`;
+  }
+
+  readStorage(key, fallback) {
+    try {
+      const value = localStorage.getItem(key);
+      return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  writeStorage(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      // Storage may be full or disabled (private browsing); drafts are best-effort
+    }
+  }
+
+  removeStorage(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch (error) {
+      // Nothing to clear when storage is unavailable
+    }
+  }
+
+  static isValidIndianPhone(value) {
+    // Accepts +91 / 91 / 0 prefixes, spaces and hyphens; mobile numbers start with 6-9
+    const digits = value.replace(/[\s-]/g, '');
+    return /^(?:\+?91|0)?[6-9]\d{9}$/.test(digits);
+  }
+}
+
+
+// ===================================
+// CONTACT WIDGET
+// WhatsApp, call, email and call-back options behind the floating button
+// ===================================
+
+/**
+ * Replaces the WhatsApp float with a toggle for a small contact panel.
+ * The WhatsApp message and call-back request mention what the visitor
+ * was looking at: the article being read, the last project opened in the
+ * lightbox or the latest cost estimate. Office hours come from
+ * data/availability.json, the studio hours the appointment scheduler uses.
+ */
+class ContactWidget {
+  constructor(options = {}) {
+    this.float = document.querySelector('a.whatsapp-float');
+    this.endpoint = options.endpoint || document.body.dataset.callbackEndpoint || '/api/callbacks';
+    this.hoursUrl = options.hoursUrl || siteUrl('data/availability.json');
+    this.hours = null;
+    this.hoursPromise = null;
+    this.context = null;
+    this.unsubscribe = [];
+
+    if (this.float) {
+      this.init();
+    }
+  }
+
+  init() {
+    const link = new URL(this.float.href);
+    const telephone = document.querySelector('a[href^="tel:"]');
+    const email = document.querySelector('a[href^="mailto:"]');
+
+    this.whatsappNumber = link.pathname.replace(/\D/g, '');
+    this.defaultMessage = link.searchParams.get('text') || '';
+    this.phone = telephone ? telephone.getAttribute('href').slice(4) : `+${this.whatsappNumber}`;
+    this.phoneLabel = telephone ? telephone.textContent.trim() : this.phone;
+    this.email = email ? email.getAttribute('href').slice(7) : '';
+
+    const article = document.querySelector('.blog-post-title');
+    if (article) {
+      this.context = { type: 'article', title: article.textContent.trim() };
+    }
+
+    this.build();
+    this.bindEvents();
+    this.updateLinks();
+  }
+
+  build() {
+    const text = (value, params) => escapeHTML(t(value, params));
+
+    this.root = document.createElement('div');
+    this.root.className = 'contact-widget';
+    this.root.innerHTML = `
+      <button type="button" class="whatsapp-float contact-widget-toggle" aria-expanded="false" aria-controls="contactWidgetPanel" aria-label="${text('Contact us')}">
+        <i class="fab fa-whatsapp" aria-hidden="true"></i>
+      </button>
+      <section class="contact-widget-panel" id="contactWidgetPanel" aria-labelledby="contactWidgetTitle" hidden>
+        <h2 class="contact-widget-title" id="contactWidgetTitle">${text('Talk to our team')}</h2>
+        <p class="contact-widget-hours" hidden></p>
+        <ul class="contact-widget-channels">
+          <li>
+            <a class="contact-widget-channel contact-widget-whatsapp" target="_blank" rel="noopener noreferrer" data-track="contact_channel" data-track-channel="whatsapp">
+              <i class="fab fa-whatsapp" aria-hidden="true"></i> ${text('Chat on WhatsApp')}
+            </a>
+          </li>
+          <li>
+            <a class="contact-widget-channel" href="tel:${escapeHTML(this.phone)}" data-track="contact_channel" data-track-channel="call">
+              <i class="fas fa-phone" aria-hidden="true"></i> ${text('Call {phone}', { phone: this.phoneLabel })}
+            </a>
+          </li>
+          ${this.email ? `
+          <li>
+            <a class="contact-widget-channel contact-widget-email" data-track="contact_channel" data-track-channel="email">
+              <i class="fas fa-envelope" aria-hidden="true"></i> ${text('Email {email}', { email: this.email })}
+            </a>
+          </li>` : ''}
+          <li>
+            <button type="button" class="contact-widget-channel contact-widget-callback-toggle" aria-expanded="false" aria-controls="contactWidgetCallback">
+              <i class="fas fa-phone-volume" aria-hidden="true"></i> ${text('Request a call-back')}
+            </button>
+          </li>
+        </ul>
+        <form class="contact-widget-callback" id="contactWidgetCallback" novalidate hidden>
+          <p class="contact-widget-note"></p>
+          <div class="form-field">
+            <label for="callback-name">${text('Full Name')}</label>
+            <input type="text" id="callback-name" name="name" autocomplete="name" required>
+            <p class="form-error" id="callback-name-error" hidden></p>
+          </div>
+          <div class="form-field">
+            <label for="callback-phone">${text('Phone Number')}</label>
+            <input type="tel" id="callback-phone" name="phone" autocomplete="tel" inputmode="tel" placeholder="+91 98765 43210" required>
+            <p class="form-error" id="callback-phone-error" hidden></p>
+          </div>
+          <button type="submit" class="cta-btn">${text('Call Me Back')}</button>
+          <p class="form-status" role="status" aria-live="polite"></p>
+        </form>
+      </section>
+    `;
+
+    this.float.replaceWith(this.root);
+
+    this.toggle = this.root.querySelector('.contact-widget-toggle');
+    this.panel = this.root.querySelector('.contact-widget-panel');
+    this.hoursLabel = this.root.querySelector('.contact-widget-hours');
+    this.whatsapp = this.root.querySelector('.contact-widget-whatsapp');
+    this.emailLink = this.root.querySelector('.contact-widget-email');
+    this.callbackToggle = this.root.querySelector('.contact-widget-callback-toggle');
+    this.form = this.root.querySelector('.contact-widget-callback');
+    this.note = this.root.querySelector('.contact-widget-note');
+    this.fields = Array.from(this.form.querySelectorAll('input[name]'));
+    this.submitButton = this.form.querySelector('[type="submit"]');
+    this.status = this.form.querySelector('.form-status');
+  }
+
+  bindEvents() {
+    this.toggle.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    this.callbackToggle.addEventListener('click', () => {
+      const expanded = this.form.hidden;
+      this.form.hidden = !expanded;
+      this.callbackToggle.setAttribute('aria-expanded', String(expanded));
+      if (expanded) {
+        this.fields[0].focus();
+      }
+    });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleCallback();
+    });
+
+    this.handleKeydown = (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        this.close();
+      }
+    };
+    this.handleOutsideClick = (e) => {
+      if (this.isOpen() && !this.root.contains(e.target)) {
+        this.close(false);
+      }
+    };
+    document.addEventListener('keydown', this.handleKeydown);
+    document.addEventListener('click', this.handleOutsideClick);
+
+    // Later context replaces earlier: an estimate made after opening a project wins
+    this.unsubscribe.push(
+      events.on('project:view', ({ title }) => this.setContext({ type: 'project', title })),
+      events.on('estimate:change', ({ total, tier }) => this.setContext({ type: 'estimate', total, tier }))
+    );
+  }
+
+  isOpen() {
+    return !this.panel.hidden;
+  }
+
+  open() {
+    this.panel.hidden = false;
+    this.toggle.setAttribute('aria-expanded', 'true');
+    this.toggle.querySelector('i').className = 'fas fa-times';
+    this.updateLinks();
+
+    // Re-rendered on every open so "open now" stays true to the clock
+    this.renderHours();
+    this.loadHours().then(() => this.renderHours());
+
+    this.whatsapp.focus();
+  }
+
+  close(restoreFocus = true) {
+    this.panel.hidden = true;
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.toggle.querySelector('i').className = 'fab fa-whatsapp';
+
+    if (restoreFocus) {
+      this.toggle.focus();
+    }
+  }
+
+  setContext(context) {
+    this.context = context;
+    this.updateLinks();
+  }
+
+  getMessage() {
+    const { context } = this;
+    if (!context) return this.defaultMessage;
+
+    switch (context.type) {
+      case 'project':
+        return t('Hi Urbanways, I saw your {project} project and would like something similar.', { project: context.title });
+      case 'article':
+        return t('Hi Urbanways, I was reading "{article}" and have a question.', { article: context.title });
+      case 'estimate':
+        return t('Hi Urbanways, my online estimate came to {total} for a {tier} finish. Could you give me an exact quote?', {
+          total: context.total,
+          tier: context.tier
+        });
+      default:
+        return this.defaultMessage;
+    }
+  }
+
+  updateLinks() {
+    const message = this.getMessage();
+    const contextType = this.context ? this.context.type : 'page';
+
+    this.whatsapp.href = `https://wa.me/${this.whatsappNumber}?text=${encodeURIComponent(message)}`;
+    if (this.emailLink) {
+      this.emailLink.href = `mailto:${this.email}?body=${encodeURIComponent(message)}`;
+    }
+
+    // Analytics reads data-track-* when a channel is clicked
+    this.root.querySelectorAll('[data-track="contact_channel"]').forEach(channel => {
+      channel.dataset.trackContext = contextType;
+    });
+  }
+
+  loadHours() {
+    if (!this.hoursPromise) {
+      this.hoursPromise = fetch(this.hoursUrl)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Office hours responded with ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(config => {
+          if (!config || typeof config.hours !== 'object' || config.hours === null) {
+            throw new Error('Office hours have no "hours" table');
+          }
+          this.hours = config;
+        })
+        .catch(error => {
+          // The panel works without hours; it just cannot say whether we are open
+          console.warn('Office hours unavailable:', error);
+        });
+    }
+
+    return this.hoursPromise;
+  }
+
+  renderHours() {
+    if (!this.hours) return;
+
+    const availability = ContactWidget.getAvailability(this.hours);
+    let status;
+    let note;
+
+    if (availability.open) {
+      status = t('Open now until {time}', { time: this.formatTime(availability.until) });
+      note = t('Leave your number and we will call you back shortly.');
+    } else if (availability.opens) {
+      const when = { day: this.formatDay(availability), time: this.formatTime(availability.opens) };
+      status = t('Closed now. We open {day} at {time}.', when);
+      note = t('Leave your number and we will call you back {day} after {time}.', when);
+    } else {
+      status = t('Closed now');
+      note = t('Leave your number and we will call you back when we reopen.');
+    }
+
+    this.hoursLabel.textContent = status;
+    this.hoursLabel.classList.toggle('is-open', availability.open);
+    this.hoursLabel.hidden = false;
+    this.note.textContent = note;
+  }
+
+  formatTime(time) {
+    return new Intl.DateTimeFormat(PAGE_LOCALE, { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' })
+      .format(new Date(`1970-01-01T${time}:00Z`));
+  }
+
+  formatDay({ date, days }) {
+    if (days === 0) return t('today');
+    if (days === 1) return t('tomorrow');
+    return new Intl.DateTimeFormat(PAGE_LOCALE, { timeZone: 'UTC', weekday: 'long' })
+      .format(new Date(`${date}T00:00:00Z`));
+  }
+
+  /**
+   * Whether the studio is open at `now`, and if not when it next opens.
+   * Days and times are read in the studio's own time zone (config.utcOffset),
+   * falling back to ContactWidget.defaultUtcOffset when that is missing or malformed.
+   * @returns {{open: true, until: string} | {open: false, opens?: string, date?: string, days?: number}}
+   */
+  static getAvailability(config, now = new Date()) {
+    const pattern = /^([+-])(\d{2}):(\d{2})$/;
+    const utcOffset = pattern.test(config.utcOffset) ? config.utcOffset : ContactWidget.defaultUtcOffset;
+    const [, sign, offsetHours, offsetMinutes] = utcOffset.match(pattern);
+    const offset = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes));
+    // Shifted so the UTC getters read the studio's wall clock
+    const local = new Date(now.getTime() + offset * 60000);
+    const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+    const toMinutes = (time) => {
+      const [hours, mins] = time.split(':').map(Number);
+      return hours * 60 + mins;
+    };
+
+    for (let days = 0; days < 14; days++) {
+      const day = new Date(local.getTime() + days * 86400000);
+      const date = day.toISOString().slice(0, 10);
+      const hours = config.hours[ContactWidget.dayKeys[day.getUTCDay()]];
+
+      if (!hours || (config.closed || []).includes(date)) continue;
+      if (days === 0 && minutes >= toMinutes(hours[1])) continue;
+
+      if (days === 0 && minutes >= toMinutes(hours[0])) {
+        return { open: true, until: hours[1] };
+      }
+      return { open: false, opens: hours[0], date, days };
+    }
+
+    return { open: false };
+  }
+
+  validateField(field) {
+    const value = field.value.trim();
+    let message = '';
+
+    if (!value) {
+      message = field.name === 'name'
+        ? t('Please tell us your name.')
+        : t('Please enter a phone number so we can call you back.');
+    } else if (field.name === 'phone' && !EnquiryForm.isValidIndianPhone(value)) {
+      message = t('Enter a valid 10-digit Indian mobile number, e.g. +91 98765 43210.');
+    }
+
+    const error = this.form.querySelector(`#${field.id}-error`);
+    if (message) {
+      field.setAttribute('aria-invalid', 'true');
+      field.setAttribute('aria-describedby', error.id);
+    } else {
+      field.removeAttribute('aria-invalid');
+      field.removeAttribute('aria-describedby');
+    }
+    error.textContent = message;
+    error.hidden = !message;
+
+    return !message;
+  }
+
+  async handleCallback() {
+    const invalid = this.fields.filter(field => !this.validateField(field));
+    if (invalid.length) {
+      invalid[0].focus();
+      return;
+    }
+
+    const [name, phone] = this.fields.map(field => field.value.trim());
+    const contextType = this.context ? this.context.type : 'page';
+    const request = {
+      name,
+      phone,
+      context: contextType,
+      message: this.getMessage(),
+      page: window.location.pathname,
+      requestedAt: new Date().toISOString()
+    };
+
+    this.submitButton.disabled = true;
+    this.form.setAttribute('aria-busy', 'true');
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Call-back endpoint responded with ${response.status}`);
+      }
+
+      this.form.reset();
+      this.showStatus(t('Thank you! We will call you on {phone}.', { phone }), 'success');
+      events.emit('analytics:track', { name: 'contact_channel', params: { channel: 'callback', context: contextType } });
+    } catch (error) {
+      console.error('Call-back request failed:', error);
+      this.showStatus(t('Something went wrong. Please try again or call us on {phone}.', { phone: this.phoneLabel }), 'error');
+    } finally {
+      this.submitButton.disabled = false;
+      this.form.setAttribute('aria-busy', 'false');
+    }
+  }
+
+  showStatus(message, type) {
+    this.status.textContent = message;
+    this.status.className = `form-status form-status-${type}`;
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('click', this.handleOutsideClick);
+    this.unsubscribe.forEach(off => off());
+    this.unsubscribe = [];
+
+    // Put the plain WhatsApp link back where the widget stood
+    if (this.root && this.root.isConnected) {
+      this.root.replaceWith(this.float);
+    }
+  }
+}
+
+// Keys of config.hours, indexed by Date#getUTCDay()
+ContactWidget.dayKeys = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// The studio is in Dehradun (IST)
+ContactWidget.defaultUtcOffset = '+05:30';
+
+
+// ===================================
+// SITE SEARCH
+// Queries the prebuilt data/search-index.json
+// ===================================
+
+class SiteSearch {
+  constructor() {
+    this.headerContent = document.querySelector('.header-content');
+    this.indexUrl = siteUrl('data/search-index.json');
+    this.indexPromise = null;
+    this.maxResults = 8;
+    this.maxPerArticle = 3;
+    this.forms = [];
+    this.init();
+  }
+
+  init() {
+    // Article pages get heading ids so results can jump to a section
+    const articleBody = document.querySelector('.blog-post-body');
+    if (articleBody) {
+      assignHeadingIds(articleBody);
+    }
+
+    if (this.headerContent) {
+      this.buildHeaderSearch();
+    }
+
+    this.handleFocus = () => this.loadIndex();
+    this.handleInput = debounce((e) => this.run(e.target.form), 150);
+    this.handleSubmit = (e) => {
+      e.preventDefault();
+      this.run(e.currentTarget);
+    };
+
+    document.querySelectorAll('.site-search').forEach(form => this.bindForm(form));
+  }
+
+  buildHeaderSearch() {
+    this.toggle = document.createElement('button');
+    this.toggle.className = 'search-toggle';
+    this.toggle.type = 'button';
+    this.toggle.setAttribute('aria-label', t('Search articles'));
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.toggle.setAttribute('aria-controls', 'siteSearchPanel');
+    this.toggle.innerHTML = '<i class="fas fa-search" aria-hidden="true"></i>';
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'search-panel';
+    this.panel.id = 'siteSearchPanel';
+    this.panel.hidden = true;
+    this.panel.innerHTML = `
+      <form class="site-search" role="search" action="${escapeHTML(siteUrl('blogs.html'))}">
+        <label for="siteSearchHeaderInput" class="sr-only">${escapeHTML(t('Search articles'))}</label>
+        <input type="search" id="siteSearchHeaderInput" class="site-search-input" name="q" placeholder="${escapeHTML(t('Search articles, e.g. modular kitchen cost'))}" autocomplete="off">
+        <p class="site-search-status" aria-live="polite"></p>
+        <div class="site-search-results"></div>
+      </form>
+    `;
+
+    const hamburger = this.headerContent.querySelector('.hamburger');
+    this.headerContent.insertBefore(this.toggle, hamburger);
+    this.headerContent.appendChild(this.panel);
+
+    this.handleToggle = () => {
+      if (this.panel.hidden) {
+        this.openPanel();
+      } else {
+        this.closePanel();
+      }
+    };
+    this.toggle.addEventListener('click', this.handleToggle);
+
+    this.handleKeydown = (e) => {
+      if (e.key === 'Escape' && !this.panel.hidden) {
+        this.closePanel();
+        this.toggle.focus();
+      }
+    };
+    document.addEventListener('keydown', this.handleKeydown);
+
+    this.handleClick = (e) => {
+      if (!this.panel.hidden && !this.panel.contains(e.target) && !this.toggle.contains(e.target)) {
+        this.closePanel();
+      }
+    };
+    document.addEventListener('click', this.handleClick);
+  }
+
+  destroy() {
+    this.forms.forEach(form => {
+      const input = form.querySelector('.site-search-input');
+      input.removeEventListener('focus', this.handleFocus);
+      input.removeEventListener('input', this.handleInput);
+      form.removeEventListener('submit', this.handleSubmit);
+    });
+    this.forms = [];
+
+    if (!this.toggle) return;
+
+    document.removeEventListener('keydown', this.handleKeydown);
+    document.removeEventListener('click', this.handleClick);
+    this.toggle.removeEventListener('click', this.handleToggle);
+    this.toggle.remove();
+    this.panel.remove();
+  }
+
+  openPanel() {
+    this.panel.hidden = false;
+    this.toggle.setAttribute('aria-expanded', 'true');
+    this.panel.querySelector('.site-search-input').focus();
+    this.loadIndex();
+  }
+
+  closePanel() {
+    this.panel.hidden = true;
+    this.toggle.setAttribute('aria-expanded', 'false');
+  }
+
+  bindForm(form) {
+    const input = form.querySelector('.site-search-input');
+    const results = form.querySelector('.site-search-results');
+    if (!input || !results) return;
+
+    this.forms.push(form);
+    input.addEventListener('focus', this.handleFocus, { once: true });
+    input.addEventListener('input', this.handleInput);
+    form.addEventListener('submit', this.handleSubmit);
+
+    // blogs.html?q=... arrives with the query pre-filled
+    const query = new URLSearchParams(window.location.search).get('q');
+    if (query && !input.closest('.search-panel')) {
+      input.value = query;
+      this.run(form);
+    }
+  }
+
+  async run(form) {
+    const input = form.querySelector('.site-search-input');
+    const results = form.querySelector('.site-search-results');
+    const status = form.querySelector('.site-search-status');
+    const query = input.value.trim();
+
+    if (query.length < 2) {
+      results.innerHTML = '';
+      if (status) status.textContent = '';
+      return;
+    }
+
+    const index = await this.loadIndex();
+    if (!index) {
+      if (status) status.textContent = t('Search is unavailable right now.');
+      return;
+    }
+
+    const matches = this.search(index, query);
+    this.renderResults(results, matches, query);
+
+    if (status) {
+      status.textContent = matches.length === 0
+        ? t('No articles found for "{query}".', { query })
+        : t(matches.length === 1 ? '{count} result for "{query}"' : '{count} results for "{query}"', { count: matches.length, query });
+    }
+  }
+
+  loadIndex() {
+    if (!this.indexPromise) {
+      this.indexPromise = fetch(this.indexUrl)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Search index responded with ${response.status}`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          console.error('Error loading search index:', error);
+          // Allow a later attempt once the network is back
+          this.indexPromise = null;
+          return null;
+        });
+    }
+
+    return this.indexPromise;
+  }
+
+  search(index, query) {
+    const terms = SiteSearch.tokenize(query);
+    if (terms.length === 0) return [];
+
+    const results = [];
+
+    index.documents.forEach(doc => {
+      const title = SiteSearch.normalize(doc.title);
+      const docResults = [];
+
+      doc.sections.forEach(section => {
+        const heading = SiteSearch.normalize(section.heading);
+        const text = SiteSearch.normalize(section.text);
+
+        // Every term has to appear somewhere in the title, heading or body
+        if (!terms.every(term => title.includes(term) || heading.includes(term) || text.includes(term))) {
+          return;
+        }
+
+        const score = terms.reduce((sum, term) => sum
+          + (title.includes(term) ? 8 : 0)
+          + (heading.includes(term) ? 5 : 0)
+          + Math.min(text.split(term).length - 1, 5), 0);
+
+        docResults.push({ doc, section, score });
+      });
+
+      docResults
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxPerArticle)
+        .forEach(result => results.push(result));
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxResults)
+      .map(({ doc, section, score }) => ({
+        url: section.id ? `${doc.url}#${section.id}` : doc.url,
+        title: doc.title,
+        heading: section.heading,
+        snippet: this.buildSnippet(section.text, terms),
+        score
+      }));
+  }
+
+  buildSnippet(text, terms, radius = 80) {
+    const { normalized, offsets } = SiteSearch.normalizeWithOffsets(text);
+    const positions = terms.map(term => normalized.indexOf(term)).filter(pos => pos !== -1);
+    // Matches are found in the normalized text but cut from the original
+    const first = positions.length > 0 ? offsets[Math.min(...positions)] : 0;
+
+    const start = Math.max(0, first - radius);
+    const end = Math.min(text.length, first + radius * 2);
+    const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+
+    return SiteSearch.highlight(excerpt, terms);
+  }
+
+  renderResults(container, matches, query) {
+    if (matches.length === 0) {
+      container.innerHTML = `<p class="site-search-empty">${escapeHTML(t('Try a different word, or'))} <a href="${escapeHTML(siteUrl('blogs.html'))}">${escapeHTML(t('browse all articles'))}</a>.</p>`;
+      return;
+    }
+
+    const terms = SiteSearch.tokenize(query);
+
+    container.innerHTML = `
+      <ul class="search-results">
+        ${matches.map(match => `
+          <li>
+            <a href="${escapeHTML(siteUrl(match.url))}" class="search-result">
+              <span class="search-result-title">${SiteSearch.highlight(match.title, terms)}</span>
+              ${match.heading ? `<span class="search-result-heading">${SiteSearch.highlight(match.heading, terms)}</span>` : ''}
+              <span class="search-result-snippet">${match.snippet}</span>
+            </a>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  static normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Normalize one character at a time, recording for each character of the
+   * result the offset in `text` it came from (normalizing can change length)
+   */
+  static normalizeWithOffsets(text) {
+    let normalized = '';
+    const offsets = [];
+    let offset = 0;
+
+    for (const char of String(text)) {
+      const part = SiteSearch.normalize(char);
+      normalized += part;
+      offsets.push(...Array(part.length).fill(offset));
+      offset += char.length;
+    }
+
+    return { normalized, offsets };
+  }
+
+  static tokenize(query) {
+    const terms = SiteSearch.normalize(query)
+      .split(/[^a-z0-9\u0900-\u097f]+/)
+      .filter(term => term.length >= 2);
+    return Array.from(new Set(terms));
+  }
+
+  /**
+   * Wrap every occurrence of the search terms in <mark>. The raw text is
+   * split on the matches before escaping, so a term such as "amp" can
+   * never land inside an entity.
+   */
+  static highlight(text, terms) {
+    if (terms.length === 0) return escapeHTML(text);
+
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    // The capturing group puts the matches at the odd indexes
+    return String(text)
+      .split(pattern)
+      .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)))
+      .join('');
+  }
+}
+
+
+// ===================================
+// ARTICLE TABLE OF CONTENTS
+// With reading progress and reading time
+// ===================================
+
+class ArticleToc {
+  constructor() {
+    this.article = document.querySelector('.blog-post');
+    this.body = document.querySelector('.blog-post-body');
+    this.sidebar = document.querySelector('.blog-post-sidebar');
+    this.wordsPerMinute = 200;
+    this.minHeadings = 3;
+    // Below this width the sidebar drops under the article, so the TOC moves inline
+    this.wideQuery = window.matchMedia('(min-width: 1025px)');
+
+    if (this.article && this.body) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.updateReadingTime();
+    this.buildProgressBar();
+
+    assignHeadingIds(this.body);
+
+    // FAQ questions, CTA boxes and widgets are not part of the article outline
+    this.headings = Array.from(this.body.querySelectorAll('h2, h3'))
+      .filter(heading => heading.id && !heading.closest('.faq-item, .cta-box, .cost-estimator'));
+
+    if (this.headings.length >= this.minHeadings) {
+      this.buildToc();
+      this.placeToc();
+      this.handleWidthChange = () => this.placeToc();
+      this.wideQuery.addEventListener('change', this.handleWidthChange);
+    }
+
+    this.removeTask = scrollScheduler.add({
+      read: (metrics) => this.measure(metrics),
+      write: (metrics, measured) => this.render(measured)
+    });
+  }
+
+  updateReadingTime() {
+    const words = this.body.textContent.trim().split(/\s+/).length;
+    const minutes = Math.max(1, Math.round(words / this.wordsPerMinute));
+    const meta = this.article.querySelector('.blog-post-meta');
+    let readTime = this.article.querySelector('.blog-post-read-time');
+
+    if (!readTime && meta) {
+      readTime = document.createElement('span');
+      readTime.className = 'blog-post-read-time';
+      meta.appendChild(readTime);
+    }
+
+    if (readTime) {
+      readTime.innerHTML = `<i class="far fa-clock" aria-hidden="true"></i> ${escapeHTML(t('{minutes} min read', { minutes }))}`;
+    }
+  }
+
+  buildProgressBar() {
+    this.progress = document.createElement('div');
+    this.progress.className = 'reading-progress';
+    this.progress.setAttribute('role', 'progressbar');
+    this.progress.setAttribute('aria-label', t('Reading progress'));
+    this.progress.setAttribute('aria-valuemin', '0');
+    this.progress.setAttribute('aria-valuemax', '100');
+    this.progress.setAttribute('aria-valuenow', '0');
+    this.progress.innerHTML = '<span class="reading-progress-bar"></span>';
+    this.progressBar = this.progress.querySelector('.reading-progress-bar');
+    document.body.appendChild(this.progress);
+  }
+
+  buildToc() {
+    this.toc = document.createElement('nav');
+    this.toc.className = 'article-toc';
+    this.toc.setAttribute('aria-label', t('Table of contents'));
+
+    const items = this.headings.map(heading => `
+      <li class="toc-item toc-level-${heading.tagName.toLowerCase()}">
+        <a href="#${heading.id}" class="toc-link">${escapeHTML(heading.textContent.trim())}</a>
+      </li>
+    `).join('');
+
+    this.toc.innerHTML = `
+      <button class="toc-toggle" type="button" aria-expanded="true" aria-controls="articleTocList">
+        <span>${escapeHTML(t('Contents'))}</span>
+        <i class="fas fa-chevron-down" aria-hidden="true"></i>
+      </button>
+      <ol class="toc-list" id="articleTocList">${items}</ol>
+    `;
+
+    this.toggle = this.toc.querySelector('.toc-toggle');
+    this.list = this.toc.querySelector('.toc-list');
+    this.links = this.toc.querySelectorAll('.toc-link');
+
+    this.handleToggle = () => {
+      this.setExpanded(this.toggle.getAttribute('aria-expanded') !== 'true');
+    };
+    this.toggle.addEventListener('click', this.handleToggle);
+
+    this.handleLinkClick = (e) => {
+      const href = e.currentTarget.getAttribute('href');
+      const target = document.getElementById(href.slice(1));
+      if (!target) return;
+
+      e.preventDefault();
+      target.scrollIntoView({ behavior: motionPreferences.scrollBehavior, block: 'start' });
+      history.pushState(null, null, href);
+
+      // The inline TOC gets out of the reader's way once they pick a section
+      if (!this.wideQuery.matches) {
+        this.setExpanded(false);
+      }
+    };
+    this.links.forEach(link => link.addEventListener('click', this.handleLinkClick));
+  }
+
+  placeToc() {
+    if (this.wideQuery.matches && this.sidebar) {
+      this.sidebar.insertBefore(this.toc, this.sidebar.firstChild);
+      this.toc.classList.remove('article-toc-inline');
+      this.setExpanded(true);
+    } else {
+      this.body.insertBefore(this.toc, this.body.firstChild);
+      this.toc.classList.add('article-toc-inline');
+      this.setExpanded(false);
+    }
+  }
+
+  setExpanded(expanded) {
+    this.toggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    this.list.hidden = !expanded;
+    this.toc.classList.toggle('collapsed', !expanded);
+  }
+
+  // Layout reads only; the scroll scheduler runs render() after every module has measured
+  measure({ viewportHeight }) {
+    const bodyRect = this.body.getBoundingClientRect();
+    const scrollable = bodyRect.height - viewportHeight;
+    const progress = scrollable > 0
+      ? Math.min(Math.max(-bodyRect.top / scrollable, 0), 1)
+      : (bodyRect.top < 0 ? 1 : 0);
+
+    if (!this.toc) return { progress, current: null };
+
+    const offset = (document.getElementById('header')?.offsetHeight || 0) + 40;
+    let current = null;
+
+    this.headings.forEach(heading => {
+      if (heading.getBoundingClientRect().top <= offset) {
+        current = heading.id;
+      }
+    });
+
+    return { progress, current };
+  }
+
+  render({ progress, current }) {
+    this.progressBar.style.transform = `scaleX(${progress})`;
+    this.progress.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+
+    if (!this.toc) return;
+
+    this.links.forEach(link => {
+      const isCurrent = link.getAttribute('href') === `#${current}`;
+      link.classList.toggle('active', isCurrent);
+      if (isCurrent) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  destroy() {
+    if (this.removeTask) this.removeTask();
+    // The bar only moves while the scroll task runs
+    if (this.progress) this.progress.remove();
+    if (!this.toc) return;
+
+    this.wideQuery.removeEventListener('change', this.handleWidthChange);
+    this.toggle.removeEventListener('click', this.handleToggle);
+    this.links.forEach(link => link.removeEventListener('click', this.handleLinkClick));
+    this.toc.remove();
+  }
+}
+
+
+// ===================================
+// FAQ ACCORDION
+// Disclosure widgets plus generated FAQPage JSON-LD
+// ===================================
+
+class FaqAccordion {
+  constructor() {
+    this.sections = document.querySelectorAll('.faq-section');
+    this.items = [];
+
+    if (this.sections.length > 0) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.handleQuestionClick = (e) => this.toggleEntry(this.entryFor(e.currentTarget));
+    this.handleQuestionKeydown = (e) => this.handleKeydown(e, this.entryFor(e.currentTarget));
+    this.handleExpandAll = (e) => this.expandAll(e.currentTarget);
+    this.expandToggles = [];
+
+    this.sections.forEach(section => {
+      assignHeadingIds(section, '.faq-item h3');
+      section.querySelectorAll('.faq-item').forEach(item => this.enhanceItem(item));
+      this.addExpandAll(section);
+    });
+
+    if (this.items.length === 0) return;
+
+    this.renderSchema();
+
+    this.handleHashChange = () => this.openFromHash();
+    window.addEventListener('hashchange', this.handleHashChange);
+    // App scrolls to the question once every module has started
+    this.openFromHash({ scroll: false });
+  }
+
+  destroy() {
+    if (this.handleHashChange) window.removeEventListener('hashchange', this.handleHashChange);
+    this.items.forEach(({ button }) => {
+      button.removeEventListener('click', this.handleQuestionClick);
+      button.removeEventListener('keydown', this.handleQuestionKeydown);
+    });
+    if (!this.expandToggles) return;
+
+    this.expandToggles.forEach(toggle => toggle.remove());
+    this.expandToggles = [];
+  }
+
+  entryFor(button) {
+    return this.items.find(entry => entry.button === button);
+  }
+
+  enhanceItem(item) {
+    const question = item.querySelector('h3');
+    if (!question) return;
+
+    const index = this.items.length + 1;
+    const buttonId = `faq-question-${index}`;
+    const answerId = `faq-answer-${index}`;
+
+    // Everything after the question becomes the collapsible answer
+    const answer = document.createElement('div');
+    answer.className = 'faq-answer';
+    answer.id = answerId;
+    answer.setAttribute('role', 'region');
+    answer.setAttribute('aria-labelledby', buttonId);
+    answer.hidden = true;
+    while (question.nextSibling) {
+      answer.appendChild(question.nextSibling);
+    }
+    item.appendChild(answer);
+    item.classList.add('faq-collapsible');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'faq-question';
+    button.id = buttonId;
+    button.setAttribute('aria-expanded', 'false');
+    button.setAttribute('aria-controls', answerId);
+    button.innerHTML = `<span>${question.innerHTML}</span><i class="fas fa-plus" aria-hidden="true"></i>`;
+    question.innerHTML = '';
+    question.appendChild(button);
+
+    const entry = { item, question, button, answer };
+    this.items.push(entry);
+
+    button.addEventListener('click', this.handleQuestionClick);
+    button.addEventListener('keydown', this.handleQuestionKeydown);
+  }
+
+  toggleEntry(entry) {
+    const expanded = entry.button.getAttribute('aria-expanded') !== 'true';
+    this.setExpanded(entry, expanded);
+
+    // Opening a question makes it shareable from the address bar
+    if (expanded) {
+      history.replaceState(null, '', `#${entry.question.id}`);
+    }
+  }
+
+  addExpandAll(section) {
+    const entries = this.items.filter(entry => section.contains(entry.item));
+    if (entries.length < 2) return;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'faq-expand-all';
+    toggle.textContent = t('Expand all');
+
+    toggle.addEventListener('click', this.handleExpandAll);
+    this.expandToggles.push(toggle);
+
+    const heading = section.querySelector('h2');
+    if (heading) {
+      heading.insertAdjacentElement('afterend', toggle);
+    } else {
+      section.insertBefore(toggle, section.firstChild);
+    }
+  }
+
+  expandAll(toggle) {
+    const section = toggle.closest('.faq-section');
+    const entries = this.items.filter(entry => section.contains(entry.item));
+    const expand = entries.some(entry => entry.button.getAttribute('aria-expanded') !== 'true');
+    entries.forEach(entry => this.setExpanded(entry, expand));
+    toggle.textContent = t(expand ? 'Collapse all' : 'Expand all');
+  }
+
+  setExpanded(entry, expanded) {
+    entry.button.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    entry.answer.hidden = !expanded;
+    entry.item.classList.toggle('open', expanded);
+  }
+
+  handleKeydown(e, entry) {
+    const buttons = this.items.map(item => item.button);
+    const index = buttons.indexOf(entry.button);
+    let next = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        next = buttons[(index + 1) % buttons.length];
+        break;
+      case 'ArrowUp':
+        next = buttons[(index - 1 + buttons.length) % buttons.length];
+        break;
+      case 'Home':
+        next = buttons[0];
+        break;
+      case 'End':
+        next = buttons[buttons.length - 1];
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    next.focus();
+  }
+
+  openFromHash({ scroll = true } = {}) {
+    const hash = decodeURIComponent(window.location.hash.slice(1));
+    const entry = hash && this.items.find(item => item.question.id === hash);
+    if (!entry) return;
+
+    this.setExpanded(entry, true);
+    if (scroll) {
+      entry.question.scrollIntoView();
+    }
+    entry.button.focus({ preventScroll: true });
+  }
+
+  /**
+   * Build FAQPage structured data from the questions actually on the page,
+   * replacing any hand-written FAQPage block so the two can never drift.
+   */
+  renderSchema() {
+    const schema = {
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: this.items.map(({ question, answer }) => ({
+        '@type': 'Question',
+        name: question.textContent.trim().replace(/^Q:\s*/i, ''),
+        acceptedAnswer: {
+          '@type': 'Answer',
+          text: answer.textContent.replace(/\s+/g, ' ').trim().replace(/^A:\s*/i, '')
+        }
+      }))
+    };
+
+    let script = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+      .find(existing => {
+        try {
+          return JSON.parse(existing.textContent)['@type'] === 'FAQPage';
+        } catch (error) {
+          return false;
+        }
+      });
+
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify(schema);
+  }
+}
+
+
+// ===================================
+// LANGUAGE SWITCHER
+// Remembers the visitor's language and sends them to it next time
+// ===================================
+
+class LanguageSwitcher {
+  constructor() {
+    this.storageKey = 'urbanways-language';
+    this.links = document.querySelectorAll('.language-switcher a[hreflang]');
+
+    if (this.links.length > 0) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.handleClick = (e) => this.remember(e.currentTarget.hreflang);
+    this.links.forEach(link => link.addEventListener('click', this.handleClick));
+
+    this.redirect();
+  }
+
+  destroy() {
+    this.links.forEach(link => link.removeEventListener('click', this.handleClick));
+  }
+
+  remember(language) {
+    try {
+      localStorage.setItem(this.storageKey, language);
+    } catch (error) {
+      // Storage can be unavailable (private mode); the choice just isn't kept
+    }
+  }
+
+  getPreference() {
+    try {
+      return localStorage.getItem(this.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Only switch when this page has a translation in the preferred
+   * language; otherwise stay rather than dropping the visitor on a home page.
+   */
+  redirect() {
+    const preferred = this.getPreference();
+    if (!preferred || preferred === document.documentElement.lang) return;
+
+    const link = Array.from(this.links).find(item => item.hreflang === preferred && item.hasAttribute('data-translated'));
+    if (link) {
+      window.location.replace(link.href + window.location.hash);
+    }
+  }
+}
+
+
+// ===================================
+// THEME MANAGER
+// ===================================
+
+/**
+ * Light, dark or follow-the-system colour theme. The inline script in
+ * src/partials/head.html applies the stored choice before first paint;
+ * this class keeps <html data-theme> in sync afterwards and renders the
+ * header toggle and the mobile nav options.
+ */
+class ThemeManager {
+  constructor() {
+    this.storageKey = 'urbanways-theme';
+    this.modes = {
+      light: { label: 'Light', icon: 'fa-sun' },
+      dark: { label: 'Dark', icon: 'fa-moon' },
+      system: { label: 'System', icon: 'fa-circle-half-stroke' }
+    };
+    this.systemQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    this.headerContent = document.querySelector('.header-content');
+    this.mobileNavFooter = document.querySelector('.mobile-nav-footer');
+
+    this.init();
+  }
+
+  init() {
+    this.mode = this.getPreference();
+
+    if (this.headerContent) {
+      this.buildToggle();
+    }
+
+    if (this.mobileNavFooter) {
+      this.buildOptions();
+    }
+
+    this.handleSystemChange = () => {
+      if (this.mode === 'system') this.apply();
+    };
+    if (this.systemQuery) {
+      this.systemQuery.addEventListener('change', this.handleSystemChange);
+    }
+
+    // Keep other open tabs in step with a change made here
+    this.handleStorage = (event) => {
+      if (event.key !== this.storageKey) return;
+      this.mode = this.getPreference();
+      this.apply();
+    };
+    window.addEventListener('storage', this.handleStorage);
+
+    this.apply();
+  }
+
+  destroy() {
+    if (this.systemQuery) {
+      this.systemQuery.removeEventListener('change', this.handleSystemChange);
+    }
+    window.removeEventListener('storage', this.handleStorage);
+    if (this.toggle) this.toggle.remove();
+    if (this.options) this.options.remove();
+  }
+
+  getPreference() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      return this.modes[stored] ? stored : 'system';
+    } catch (error) {
+      return 'system';
+    }
+  }
+
+  resolve(mode) {
+    if (mode !== 'system') return mode;
+    return this.systemQuery && this.systemQuery.matches ? 'dark' : 'light';
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+
+    try {
+      localStorage.setItem(this.storageKey, mode);
+    } catch (error) {
+      // Storage can be unavailable (private mode); the choice lasts for this page only
+    }
+
+    this.apply();
+  }
+
+  buildToggle() {
+    this.toggle = document.createElement('button');
+    this.toggle.className = 'theme-toggle';
+    this.toggle.type = 'button';
+
+    const hamburger = this.headerContent.querySelector('.hamburger');
+    this.headerContent.insertBefore(this.toggle, hamburger);
+
+    // Cycles light → dark → system
+    this.toggle.addEventListener('click', () => {
+      const modes = Object.keys(this.modes);
+      this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+    });
+  }
+
+  buildOptions() {
+    this.options = document.createElement('div');
+    this.options.className = 'theme-options';
+    this.options.setAttribute('role', 'group');
+    this.options.setAttribute('aria-label', t('Colour theme'));
+    this.options.innerHTML = Object.entries(this.modes).map(([mode, { label, icon }]) => `
+      <button type="button" class="theme-option" data-theme-mode="${mode}" aria-pressed="false">
+        <i class="fas ${icon}" aria-hidden="true"></i>
+        <span>${escapeHTML(t(label))}</span>
+      </button>
+    `).join('');
+
+    this.mobileNavFooter.insertBefore(this.options, this.mobileNavFooter.firstChild);
+
+    this.options.addEventListener('click', (event) => {
+      const option = event.target.closest('.theme-option');
+      if (option) this.setMode(option.dataset.themeMode);
+    });
+  }
+
+  apply() {
+    const theme = this.resolve(this.mode);
+    document.documentElement.dataset.theme = theme;
+
+    if (this.toggle) {
+      const { label, icon } = this.modes[this.mode];
+      const text = t('Colour theme: {mode}', { mode: t(label) });
+      this.toggle.setAttribute('aria-label', text);
+      this.toggle.title = text;
+      this.toggle.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+    }
+
+    if (this.options) {
+      this.options.querySelectorAll('.theme-option').forEach(option => {
+        option.setAttribute('aria-pressed', String(option.dataset.themeMode === this.mode));
+      });
+    }
+
+    events.emit('theme:change', { mode: this.mode, theme });
+  }
+}
+
+
+// ===================================
+// REDUCE ANIMATIONS TOGGLE
+// ===================================
+
+class MotionToggle {
+  constructor() {
+    this.footerBottom = document.querySelector('.footer-bottom');
+
+    if (this.footerBottom) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'motion-toggle';
+    this.button.setAttribute('role', 'switch');
+    this.button.innerHTML = `<span class="motion-toggle-track" aria-hidden="true"></span>${escapeHTML(t('Reduce animations'))}`;
+    this.footerBottom.appendChild(this.button);
+
+    this.button.addEventListener('click', () => {
+      motionPreferences.setUserReduced(!motionPreferences.userReduced);
+    });
+
+    this.unsubscribe = events.on('motion:change', () => this.update());
+    this.update();
+  }
+
+  destroy() {
+    if (!this.button) return;
+
+    this.unsubscribe();
+    this.button.remove();
+  }
+
+  update() {
+    this.button.setAttribute('aria-checked', String(motionPreferences.reduced));
+
+    // The device setting wins; the switch can't turn animations back on
+    this.button.disabled = motionPreferences.systemReduced;
+    if (motionPreferences.systemReduced) {
+      this.button.title = t('Animations are reduced by your device settings');
+    } else {
+      this.button.removeAttribute('title');
+    }
+  }
+}
+
+
+// ===================================
+// SERVICE WORKER REGISTRATION
+// ===================================
+
+class ServiceWorkerManager {
+  constructor() {
+    this.scriptUrl = 'sw.js';
+    this.init();
+  }
+
+  init() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    // Register after load so precaching never competes with the first paint
+    if (document.readyState === 'complete') {
+      this.register();
+    } else {
+      window.addEventListener('load', () => this.register());
+    }
+  }
+
+  getVersion() {
+    // The cache version follows the main.js?v= query string on the page
+    return ASSET_VERSION;
+  }
+
+  async register() {
+    try {
+      // Relative to main.js, so the site can be served from a subdirectory
+      await navigator.serviceWorker.register(siteUrl(`${this.scriptUrl}?v=${encodeURIComponent(this.getVersion())}`), {
+        scope: siteUrl('./')
+      });
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  }
+}
+
+
+// ===================================
+// ANALYTICS (CONSENT-AWARE GTAG WRAPPER)
+// Loads Google Analytics only after consent and
+// sends declarative data-track events
+// ===================================
+
+class Analytics {
+  constructor(options = {}) {
+    this.measurementId = options.measurementId || 'G-KM0MF30WX3';
+    // 'buffer' replays events once consent is granted, 'drop' discards them
+    this.preConsent = options.preConsent || document.body.dataset.analyticsPreConsent || 'buffer';
+    this.storageKey = 'urbanways-analytics-consent';
+    this.maxQueueSize = 50;
+    this.scrollMarks = [25, 50, 75, 100];
+    this.sentScrollMarks = new Set();
+    this.queue = [];
+    this.loaded = false;
+    this.banner = null;
+
+    this.init();
+  }
+
+  init() {
+    this.consent = this.readConsent();
+
+    this.decorateLinks();
+    this.bindEvents();
+
+    if (this.consent === 'granted') {
+      this.load();
+    } else if (!this.consent) {
+      this.showBanner();
+    }
+
+    this.trackPageError();
+  }
+
+  readConsent() {
+    try {
+      const value = localStorage.getItem(this.storageKey);
+      return value === 'granted' || value === 'denied' ? value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  setConsent(value) {
+    this.consent = value;
+
+    try {
+      localStorage.setItem(this.storageKey, value);
+    } catch (error) {
+      // Storage unavailable - the choice only lasts for this page view
+    }
+
+    this.hideBanner();
+
+    if (value === 'granted') {
+      this.load();
+    } else {
+      this.queue = [];
+      if (this.loaded) {
+        window.gtag('consent', 'update', { analytics_storage: 'denied' });
+      }
+    }
+  }
+
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    window.dataLayer = window.dataLayer || [];
+
+    // An existing gtag (e.g. a test stub) is reused instead of loading the library
+    if (typeof window.gtag !== 'function') {
+      window.gtag = function gtag() {
+        window.dataLayer.push(arguments);
+      };
+
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(this.measurementId)}`;
+      document.head.appendChild(script);
+    }
+
+    window.gtag('js', new Date());
+    window.gtag('consent', 'update', { analytics_storage: 'granted' });
+    window.gtag('config', this.measurementId, { anonymize_ip: true });
+
+    this.flushQueue();
+  }
+
+  flushQueue() {
+    const pending = this.queue;
+    this.queue = [];
+    pending.forEach(({ name, params }) => this.track(name, params));
+  }
+
+  track(name, params = {}) {
+    if (!name || this.consent === 'denied') return;
+
+    if (!this.loaded) {
+      if (this.preConsent === 'buffer' && this.queue.length < this.maxQueueSize) {
+        this.queue.push({ name, params });
+      }
+      return;
+    }
+
+    window.gtag('event', name, params);
+  }
+
+  showBanner() {
+    if (this.banner) {
+      this.banner.hidden = false;
+      this.banner.querySelector('.consent-accept').focus();
+      return;
+    }
+
+    this.banner = document.createElement('div');
+    this.banner.className = 'consent-banner';
+    this.banner.setAttribute('role', 'region');
+    this.banner.setAttribute('aria-label', t('Cookie consent'));
+    this.banner.innerHTML = `
+      <p class="consent-text">
+        ${escapeHTML(t('We use Google Analytics cookies to understand how visitors use our website. No analytics data is collected unless you accept.'))}
+        <a href="${escapeHTML(siteUrl('privacy-policy.html#google-analytics'))}">${escapeHTML(t('Read our Privacy Policy'))}</a>
+      </p>
+      <div class="consent-actions">
+        <button type="button" class="consent-decline">${escapeHTML(t('Decline'))}</button>
+        <button type="button" class="consent-accept">${escapeHTML(t('Accept'))}</button>
+      </div>
+    `;
+
+    this.banner.querySelector('.consent-accept').addEventListener('click', () => this.setConsent('granted'));
+    this.banner.querySelector('.consent-decline').addEventListener('click', () => this.setConsent('denied'));
+
+    document.body.appendChild(this.banner);
+  }
+
+  hideBanner() {
+    if (this.banner) {
+      this.banner.hidden = true;
+    }
+  }
+
+  decorateLinks() {
+    document.querySelectorAll('a[href]').forEach(link => {
+      if (link.dataset.track) return;
+
+      const href = link.getAttribute('href');
+      let event = null;
+
+      if (href.startsWith('tel:')) {
+        event = 'click_call';
+      } else if (href.startsWith('mailto:')) {
+        event = 'click_email';
+      } else if (link.classList.contains('whatsapp-float')) {
+        event = 'click_whatsapp';
+      } else if (link.hostname && link.hostname !== window.location.hostname) {
+        event = 'click_outbound';
+      }
+
+      if (event) {
+        link.dataset.track = event;
+        link.dataset.trackLinkUrl = href;
+      }
+    });
+  }
+
+  getTrackParams(element) {
+    const params = {};
+
+    // data-track-filter-type="tag" becomes { filter_type: 'tag' }
+    Object.keys(element.dataset).forEach(key => {
+      if (key === 'track' || !key.startsWith('track')) return;
+
+      const name = key
+        .slice(5)
+        .replace(/^[A-Z]/, char => char.toLowerCase())
+        .replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+      params[name] = element.dataset[key];
+    });
+
+    return params;
+  }
+
+  bindEvents() {
+    this.handleClick = (e) => {
+      const settings = e.target.closest('[data-consent-settings]');
+      if (settings) {
+        this.showBanner();
+        return;
+      }
+
+      const tracked = e.target.closest('[data-track]');
+      if (tracked) {
+        this.track(tracked.dataset.track, this.getTrackParams(tracked));
+      }
+    };
+    document.addEventListener('click', this.handleClick);
+
+    // Events raised by other modules, e.g. ImageErrorHandler's analytics reporter
+    this.unsubscribe = events.on('analytics:track', ({ name, params }) => {
+      this.track(name, params);
+    });
+
+    this.removeTask = scrollScheduler.add({
+      write: (metrics) => this.trackScrollDepth(metrics)
+    });
+  }
+
+  destroy() {
+    document.removeEventListener('click', this.handleClick);
+    this.unsubscribe();
+    this.removeTask();
+    if (this.banner) this.banner.remove();
+  }
+
+  trackScrollDepth({ scrollY, viewportHeight, documentHeight }) {
+    const scrollable = documentHeight - viewportHeight;
+    if (scrollable <= 0) return;
+
+    const percent = Math.round((scrollY / scrollable) * 100);
+
+    this.scrollMarks.forEach(mark => {
+      if (percent >= mark && !this.sentScrollMarks.has(mark)) {
+        this.sentScrollMarks.add(mark);
+        this.track('scroll_depth', { percent_scrolled: mark });
+      }
+    });
+  }
+
+  trackPageError() {
+    const code = document.body.dataset.pageError;
+    if (!code) return;
+
+    this.track('exception', {
+      description: `${code} Error: ${window.location.pathname}`,
+      fatal: false
+    });
+  }
+}
+
+
+// ===================================
+// CORE WEB VITALS
+// LCP, CLS and INP from PerformanceObserver,
+// sent to pluggable sinks when the page is hidden
+// ===================================
+
+/**
+ * A simplified take on the web-vitals library: LCP is the last
+ * largest-contentful-paint before the visitor interacts, CLS the worst
+ * one-second-gap / five-second-cap window of unexpected layout shifts, and
+ * INP the slowest interaction once one outlier per 50 is ignored. Each time
+ * the page is hidden, metrics that changed go to the sinks as
+ * { name, value, delta, rating, page }.
+ */
+class WebVitals {
+  constructor(options = {}) {
+    // A function, or the name(s) of built-in sinks: 'console', 'analytics', 'beacon'
+    this.sink = options.sink || document.body.dataset.vitalsSink || 'analytics';
+    this.endpoint = options.endpoint || document.body.dataset.vitalsEndpoint || '/api/vitals';
+    this.values = {};
+    this.reported = {};
+    this.lcpFinal = false;
+    this.shiftWindow = { value: 0, start: 0, last: 0 };
+    this.interactions = new Map();
+    this.observers = [];
+
+    if (typeof PerformanceObserver !== 'undefined') {
+      this.init();
+    }
+  }
+
+  init() {
+    this.observe('largest-contentful-paint', (entry) => {
+      if (!this.lcpFinal) this.values.LCP = entry.startTime;
+    });
+    this.observe('layout-shift', (entry) => this.addLayoutShift(entry));
+    this.observe('event', (entry) => this.addInteraction(entry), { durationThreshold: 40 });
+    this.observe('first-input', (entry) => this.addInteraction(entry));
+
+    // Later, larger paints are caused by the visitor, not the page load
+    this.finalizeLcp = () => { this.lcpFinal = true; };
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, this.finalizeLcp, { once: true, capture: true });
+    });
+
+    this.handleVisibility = () => {
+      if (document.visibilityState === 'hidden') this.report();
+    };
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    window.addEventListener('pagehide', this.handleVisibility);
+  }
+
+  observe(type, callback, options = {}) {
+    if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) return;
+
+    try {
+      const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      // Entry type listed but not observable with these options
+    }
+  }
+
+  addLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+
+    const shifts = this.shiftWindow;
+    const continues = shifts.value > 0 &&
+      entry.startTime - shifts.last < 1000 &&
+      entry.startTime - shifts.start < 5000;
+
+    if (continues) {
+      shifts.value += entry.value;
+    } else {
+      shifts.value = entry.value;
+      shifts.start = entry.startTime;
+    }
+    shifts.last = entry.startTime;
+
+    this.values.CLS = Math.max(this.values.CLS || 0, shifts.value);
+  }
+
+  addInteraction(entry) {
+    if (!entry.interactionId) return;
+
+    const longest = Math.max(this.interactions.get(entry.interactionId) || 0, entry.duration);
+    this.interactions.set(entry.interactionId, longest);
+
+    const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+    this.values.INP = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+  }
+
+  rate(name, value) {
+    const [good, poor] = WebVitals.thresholds[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+  }
+
+  // Whole milliseconds; CLS to four decimal places
+  round(name, value) {
+    return name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+  }
+
+  report() {
+    Object.keys(this.values).forEach(name => {
+      const value = this.round(name, this.values[name]);
+      const previous = this.reported[name];
+      if (previous === value) return;
+
+      this.reported[name] = value;
+      this.send({
+        name,
+        value,
+        delta: this.round(name, value - (previous || 0)),
+        rating: this.rate(name, value),
+        page: window.location.pathname
+      });
+    });
+  }
+
+  send(metric) {
+    const sinks = typeof this.sink === 'function'
+      ? [this.sink]
+      : String(this.sink).split(',').map(name => WebVitals.sinks[name.trim()]).filter(Boolean);
+
+    sinks.forEach(sink => {
+      try {
+        sink(metric, this);
+      } catch (error) {
+        console.warn('Web vitals sink failed:', error);
+      }
+    });
+  }
+
+  destroy() {
+    this.observers.forEach(observer => observer.disconnect());
+    if (this.handleVisibility) {
+      ['keydown', 'pointerdown'].forEach(type => {
+        window.removeEventListener(type, this.finalizeLcp, { capture: true });
+      });
+      document.removeEventListener('visibilitychange', this.handleVisibility);
+      window.removeEventListener('pagehide', this.handleVisibility);
+    }
+  }
+}
+
+// Upper bounds for "good" and "needs improvement" (ms; CLS is unitless)
+WebVitals.thresholds = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500]
+};
+
+WebVitals.sinks = {
+  console: (metric) => {
+    console.info(`${metric.name}: ${metric.value} (${metric.rating})`, metric);
+  },
+
+  // Picked up by Analytics, which only sends it once consent is given
+  analytics: (metric) => {
+    events.emit('analytics:track', {
+      name: 'web_vitals',
+      params: {
+        metric_name: metric.name,
+        metric_value: metric.value,
+        metric_delta: metric.delta,
+        metric_rating: metric.rating,
+        non_interaction: true
+      }
+    });
+  },
+
+  beacon: (metric, vitals) => {
+    const body = JSON.stringify(metric);
+
+    if (navigator.sendBeacon && navigator.sendBeacon(vitals.endpoint, body)) return;
+
+    fetch(vitals.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch(() => {});
+  }
+};
+
+// ===================================
+// MODULE REGISTRY
+// ===================================
+
+/**
+ * Starts each feature only on pages that use it. A definition gives the
+ * module a name and, optionally, the selector it works on; any element
+ * with data-module="<name>" opts a page in as well. Definitions with
+ * `load` instead of `module` are dynamically imported from /modules/
+ * once their element nears the viewport. Modules start and stop one by
+ * one, so an error in one is logged without stopping the others.
+ */
+class ModuleRegistry {
+  constructor(shared = {}) {
+    this.shared = shared;
+    this.pending = [];
+    this.running = new Map();
+    this.waiting = new Map();
+    this.observer = null;
+    this.stopped = false;
+
+    // Rendered portfolio cards can bring a module's element onto the page
+    this.unsubscribe = events.on('portfolio:rendered', () => this.scan());
+  }
+
+  register(definitions) {
+    this.pending.push(...definitions);
+    this.scan();
+    return this;
+  }
+
+  // Element that shows the page needs this module, or null
+  hostFor({ name, selector }) {
+    if (!selector) return document.documentElement;
+
+    return document.querySelector(selector) ||
+      document.querySelector(`[data-module~="${name}"]`);
+  }
+
+  scan() {
+    this.pending = this.pending.filter(definition => {
+      const host = this.hostFor(definition);
+      if (!host) return true;
+
+      if (definition.load) {
+        this.schedule(definition, host);
+      } else {
+        this.start(definition, definition.module);
+      }
+      return false;
+    });
+  }
+
+  schedule(definition, host) {
+    if (!('IntersectionObserver' in window)) {
+      this.load(definition);
+      return;
+    }
+
+    if (!this.observer) {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+
+          this.observer.unobserve(entry.target);
+          (this.waiting.get(entry.target) || []).forEach(waiting => this.load(waiting));
+          this.waiting.delete(entry.target);
+        });
+      }, { rootMargin: '300px 0px' });
+    }
+
+    if (this.waiting.has(host)) {
+      this.waiting.get(host).push(definition);
+    } else {
+      this.waiting.set(host, [definition]);
+      this.observer.observe(host);
+    }
+  }
+
+  async load(definition) {
+    try {
+      const exports = await this.importModule(definition.load);
+      this.start(definition, exports.default(this.shared));
+    } catch (error) {
+      console.error(`Module "${definition.name}" failed to load:`, error);
+    }
+  }
+
+  importModule(file) {
+    return import(siteUrl(`modules/${file}?v=${ASSET_VERSION}`));
+  }
+
+  start({ name }, Module) {
+    // A lazy import can resolve after stopAll()
+    if (this.stopped || this.running.has(name)) return;
+
+    try {
+      this.running.set(name, new Module());
+    } catch (error) {
+      console.error(`Module "${name}" failed to start:`, error);
+    }
+  }
+
+  stop(name) {
+    const instance = this.running.get(name);
+    if (!instance) return;
+
+    this.running.delete(name);
+    try {
+      if (typeof instance.destroy === 'function') {
+        instance.destroy();
+      }
+    } catch (error) {
+      console.error(`Module "${name}" failed to stop:`, error);
+    }
+  }
+
+  // Stops every running module and drops those still waiting to start
+  stopAll() {
+    this.stopped = true;
+    this.unsubscribe();
+    if (this.observer) this.observer.disconnect();
+    this.waiting.clear();
+    this.pending = [];
+
+    Array.from(this.running.keys()).reverse().forEach(name => this.stop(name));
+  }
+}
+
+// ===================================
+// INITIALIZE ALL MODULES
+// ===================================
+
+class App {
+  constructor() {
+    this.modules = new ModuleRegistry({
+      t,
+      escapeHTML,
+      siteUrl,
+      PAGE_LOCALE,
+      events,
+      motionPreferences,
+      isValidIndianPhone: EnquiryForm.isValidIndianPhone
+    });
+    this.init();
+  }
+
+  init() {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => {
+        this.initializeModules();
+      });
+    } else {
+      this.initializeModules();
+    }
+  }
+
+  initializeModules() {
+    this.modules.register([
+      { name: 'theme-manager', module: ThemeManager },
+      { name: 'motion-toggle', selector: '.footer-bottom', module: MotionToggle },
+      { name: 'language-switcher', selector: '.language-switcher a[hreflang]', module: LanguageSwitcher },
+      { name: 'loading-screen', selector: '#loadingScreen', module: LoadingScreen },
+      { name: 'header-scroll', selector: '#header', module: HeaderScroll },
+      { name: 'hamburger-menu', selector: '.hamburger', module: HamburgerMenu },
+      { name: 'nav-dropdown', selector: '.desktop-nav .nav-dropdown', module: NavDropdown },
+      { name: 'smooth-scroll', selector: 'a[href^="#"]', module: SmoothScroll },
+      { name: 'active-nav-link', selector: 'section[id]', module: ActiveNavLink },
+      { name: 'scroll-reveal', selector: '.reveal', module: ScrollReveal },
+      { name: 'animated-counter', selector: '.stat-number', module: AnimatedCounter },
+      { name: 'back-to-top', selector: '#backToTop', module: BackToTop },
+      { name: 'lazy-load-images', module: LazyLoadImages },
+      { name: 'image-error-handler', module: ImageErrorHandler },
+      { name: 'blog-filter', selector: '.blog-grid', module: BlogFilter },
+      { name: 'site-search', selector: '.header-content', module: SiteSearch },
+      { name: 'article-toc', selector: '.blog-post-body', module: ArticleToc },
+      { name: 'faq-accordion', selector: '.faq-section', module: FaqAccordion },
+      { name: 'service-worker', module: ServiceWorkerManager },
+      { name: 'analytics', module: Analytics },
+      { name: 'web-vitals', module: WebVitals },
+      { name: 'enquiry-form', selector: '.enquiry-form', module: EnquiryForm },
+      { name: 'contact-widget', selector: '.whatsapp-float', module: ContactWidget },
+      { name: 'appointment-scheduler', selector: '.appointment-scheduler', load: 'appointment-scheduler.js' },
+      { name: 'cost-estimator', selector: '.cost-estimator', load: 'cost-estimator.js' },
+      { name: 'testimonial-carousel', selector: '.testimonial-carousel', load: 'testimonial-carousel.js' },
+      { name: 'portfolio-renderer', selector: '.gallery-grid[data-category], .portfolio-grid[data-source]', module: PortfolioRenderer },
+      { name: 'gallery-lightbox', selector: '.gallery-image img', module: GalleryLightbox },
+      { name: 'before-after-slider', selector: '.gallery-item[data-before]', module: BeforeAfterSlider },
+      { name: 'mobile-dropdown', selector: '.mobile-nav .nav-dropdown', module: MobileDropdownToggle }
+    ]);
+
+    // SiteSearch, ArticleToc and FaqAccordion have now assigned their heading ids
+    scrollToHash();
+
+    // Pages kept in the back/forward cache stay running for when the visitor returns
+    this.handlePageHide = (e) => {
+      if (e.persisted) return;
+      window.removeEventListener('pagehide', this.handlePageHide);
+      this.modules.stopAll();
+    };
+    window.addEventListener('pagehide', this.handlePageHide);
   }
 }
 
@@ -746,6 +4750,18 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     debounce,
     throttle,
+    escapeHTML,
+    slugify,
+    assignHeadingIds,
+    scrollToHash,
+    siteUrl,
+    t,
+    EventBus,
+    events,
+    MotionPreferences,
+    motionPreferences,
+    ScrollScheduler,
+    scrollScheduler,
     LoadingScreen,
     HeaderScroll,
     HamburgerMenu,
@@ -755,6 +4771,24 @@ if (typeof module !== 'undefined' && module.exports) {
     AnimatedCounter,
     BackToTop,
     BlogFilter,
-    MobileDropdownToggle
+    MobileDropdownToggle,
+    NavDropdown,
+    ImageErrorHandler,
+    EnquiryForm,
+    ContactWidget,
+    GalleryLightbox,
+    BeforeAfterSlider,
+    PortfolioRenderer,
+    SiteSearch,
+    ArticleToc,
+    FaqAccordion,
+    LanguageSwitcher,
+    ThemeManager,
+    MotionToggle,
+    ServiceWorkerManager,
+    Analytics,
+    WebVitals,
+    ModuleRegistry,
+    App
   };
 }
\ No newline at end of file
@@ -0,0 +1,643 @@
+/**
+ * URBANWAYS - CONSULTATION APPOINTMENT SCHEDULER
+ * Slots come from the availability feed (see scripts/appointments.js).
+ * Loaded on demand by the module registry in main.js, which passes in
+ * the shared helpers this class needs.
+ */
+
+export default ({ t, escapeHTML, PAGE_LOCALE, events, isValidIndianPhone }) => class AppointmentScheduler {
+  constructor() {
+    this.container = document.querySelector('.appointment-scheduler');
+    this.feed = null;
+    this.type = null;
+    this.view = 'week';
+    this.anchor = null;
+    this.hold = null;
+    this.holdTimer = null;
+    this.icsUrl = null;
+    this.dayFormatter = new Intl.DateTimeFormat(PAGE_LOCALE, { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' });
+    this.longDayFormatter = new Intl.DateTimeFormat(PAGE_LOCALE, { timeZone: 'UTC', weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    this.monthFormatter = new Intl.DateTimeFormat(PAGE_LOCALE, { timeZone: 'UTC', month: 'long', year: 'numeric' });
+    this.weekdayFormatter = new Intl.DateTimeFormat(PAGE_LOCALE, { timeZone: 'UTC', weekday: 'short' });
+    this.timeFormatter = new Intl.DateTimeFormat(PAGE_LOCALE, { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' });
+    // The studio number as the page's header and footer show it
+    this.telephone = document.querySelector('a[href^="tel:"]');
+
+    if (this.container) {
+      this.availabilityUrl = this.container.getAttribute('data-availability') || '/api/availability';
+      this.endpoint = this.container.getAttribute('data-endpoint') || '/api/appointments';
+      // From src/site.json, for the calendar invite
+      this.contact = {
+        telephone: this.container.getAttribute('data-telephone') || '',
+        email: this.container.getAttribute('data-email') || ''
+      };
+      this.init();
+    }
+  }
+
+  async init() {
+    try {
+      await this.loadAvailability();
+    } catch (error) {
+      console.error('Error loading appointment availability:', error);
+      const enquiry = `<a href="#enquiry">${escapeHTML(t('send an enquiry'))}</a>`;
+      this.container.innerHTML = `<p class="scheduler-error">${this.telephone
+        ? t('Online booking is unavailable right now. Please call us on {phone} or {enquiry}.', {
+          phone: `<a href="${escapeHTML(this.telephone.getAttribute('href'))}">${escapeHTML(this.telephone.textContent.trim())}</a>`,
+          enquiry
+        })
+        : t('Online booking is unavailable right now. Please {enquiry}.', { enquiry })}</p>`;
+      return;
+    }
+
+    // stop() may have run while the feed was loading
+    if (this.destroyed) return;
+
+    this.type = Object.keys(this.feed.types)[0];
+    this.anchor = this.firstOpenDate() || this.feed.bookable.from;
+
+    this.render();
+    this.bindEvents();
+    this.renderCalendar();
+  }
+
+  async loadAvailability() {
+    const response = await fetch(this.availabilityUrl, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Availability feed responded with ${response.status}`);
+    }
+    this.feed = await response.json();
+  }
+
+  render() {
+    const text = (value, params) => escapeHTML(t(value, params));
+    const typeOptions = Object.entries(this.feed.types).map(([id, type]) => `
+      <label class="scheduler-type">
+        <input type="radio" name="appointmentType" value="${escapeHTML(id)}"${id === this.type ? ' checked' : ''}>
+        <span class="scheduler-type-label">${text(type.label)} <small>${text('{minutes} min', { minutes: type.duration })}</small></span>
+        <span class="scheduler-type-description">${type.description ? text(type.description) : ''}</span>
+      </label>
+    `).join('');
+
+    this.container.innerHTML = `
+      <form class="scheduler-form" novalidate>
+        <fieldset class="scheduler-types">
+          <legend>${text('1. Choose a consultation')}</legend>
+          <div class="scheduler-type-list">${typeOptions}</div>
+        </fieldset>
+
+        <fieldset class="scheduler-calendar">
+          <legend>${text('2. Pick a time')} <small>${text('(Dehradun time, UTC{offset})', { offset: this.feed.utcOffset })}</small></legend>
+          <div class="scheduler-toolbar">
+            <button type="button" class="scheduler-nav" data-step="-1" aria-label="${text('Previous')}">
+              <i class="fas fa-chevron-left" aria-hidden="true"></i>
+            </button>
+            <p class="scheduler-range" aria-live="polite"></p>
+            <button type="button" class="scheduler-nav" data-step="1" aria-label="${text('Next')}">
+              <i class="fas fa-chevron-right" aria-hidden="true"></i>
+            </button>
+            <div class="scheduler-views" role="group" aria-label="${text('Calendar view')}">
+              <button type="button" data-view="week" aria-pressed="true">${text('Week')}</button>
+              <button type="button" data-view="month" aria-pressed="false">${text('Month')}</button>
+            </div>
+          </div>
+          <div class="scheduler-grid"></div>
+          <p class="scheduler-hold" role="status" aria-live="polite"></p>
+        </fieldset>
+
+        <fieldset class="scheduler-details" disabled>
+          <legend>${text('3. Your details')}</legend>
+          <div class="form-grid">
+            <div class="form-field">
+              <label for="appointment-name">${text('Full Name')} <span aria-hidden="true">*</span></label>
+              <input type="text" id="appointment-name" name="name" autocomplete="name" required data-error-required="${text('Please tell us your name.')}">
+              <p class="form-error" id="appointment-name-error" hidden></p>
+            </div>
+            <div class="form-field">
+              <label for="appointment-phone">${text('Phone Number')} <span aria-hidden="true">*</span></label>
+              <input type="tel" id="appointment-phone" name="phone" autocomplete="tel" inputmode="tel" placeholder="+91 98765 43210" required data-error-required="${text('Please enter a phone number in case we need to reschedule.')}">
+              <p class="form-error" id="appointment-phone-error" hidden></p>
+            </div>
+            <div class="form-field">
+              <label for="appointment-email">${text('Email')}</label>
+              <input type="email" id="appointment-email" name="email" autocomplete="email">
+              <p class="form-error" id="appointment-email-error" hidden></p>
+            </div>
+            <div class="form-field">
+              <label for="appointment-notes">${text('Anything we should prepare?')}</label>
+              <input type="text" id="appointment-notes" name="notes" placeholder="${text('e.g. 3BHK in Rajpur Road, kitchen and wardrobes')}">
+              <p class="form-error" id="appointment-notes-error" hidden></p>
+            </div>
+          </div>
+          <div class="form-actions">
+            <button type="submit" class="action-btn action-btn-primary">
+              <i class="fas fa-calendar-check" aria-hidden="true"></i>
+              ${text('Confirm Booking')}
+            </button>
+          </div>
+        </fieldset>
+
+        <p class="form-status" role="status" aria-live="polite"></p>
+      </form>
+      <div class="scheduler-confirmation" tabindex="-1" hidden></div>
+    `;
+
+    this.form = this.container.querySelector('.scheduler-form');
+    this.grid = this.container.querySelector('.scheduler-grid');
+    this.range = this.container.querySelector('.scheduler-range');
+    this.holdStatus = this.container.querySelector('.scheduler-hold');
+    this.details = this.container.querySelector('.scheduler-details');
+    this.status = this.container.querySelector('.form-status');
+    this.confirmation = this.container.querySelector('.scheduler-confirmation');
+    this.fields = this.details.querySelectorAll('input[name]');
+  }
+
+  bindEvents() {
+    this.handleChange = (e) => {
+      if (e.target.name === 'appointmentType') {
+        this.type = e.target.value;
+        this.releaseHold();
+        this.anchor = this.firstOpenDate() || this.anchor;
+        this.renderCalendar();
+      }
+    };
+
+    this.handleClick = (e) => {
+      const nav = e.target.closest('.scheduler-nav');
+      const view = e.target.closest('[data-view]');
+      const day = e.target.closest('.scheduler-month-day[data-date]');
+      const slot = e.target.closest('.scheduler-slot');
+
+      if (nav) {
+        this.move(Number(nav.dataset.step));
+      } else if (view) {
+        this.setView(view.dataset.view);
+      } else if (day) {
+        // Picking a day in the month view opens its week
+        this.anchor = day.dataset.date;
+        this.setView('week');
+      } else if (slot) {
+        this.holdSlot(slot.dataset.slot);
+      } else if (e.target.closest('.scheduler-restart')) {
+        this.restart();
+      }
+    };
+
+    this.handleBlur = (e) => this.validateField(e.target);
+
+    this.handleSubmit = (e) => {
+      e.preventDefault();
+      this.submit();
+    };
+
+    this.form.addEventListener('change', this.handleChange);
+    this.container.addEventListener('click', this.handleClick);
+    this.fields.forEach(field => field.addEventListener('blur', this.handleBlur));
+    this.form.addEventListener('submit', this.handleSubmit);
+  }
+
+  destroy() {
+    this.destroyed = true;
+    if (!this.form) return;
+
+    this.form.removeEventListener('change', this.handleChange);
+    this.container.removeEventListener('click', this.handleClick);
+    this.fields.forEach(field => field.removeEventListener('blur', this.handleBlur));
+    this.form.removeEventListener('submit', this.handleSubmit);
+    this.releaseHold();
+    this.revokeIcs();
+  }
+
+  // ---- Calendar ----
+
+  slotsFor(date) {
+    return this.feed.slots.filter(slot => slot.type === this.type && slot.date === date);
+  }
+
+  firstOpenDate() {
+    const slot = this.feed.slots.find(item => item.type === this.type);
+    return slot ? slot.date : null;
+  }
+
+  getRange() {
+    if (this.view === 'month') {
+      const first = `${this.anchor.slice(0, 7)}-01`;
+      const last = AppointmentScheduler.addDays(AppointmentScheduler.addMonths(first, 1), -1);
+      return { first, last };
+    }
+
+    const first = AppointmentScheduler.startOfWeek(this.anchor);
+    return { first, last: AppointmentScheduler.addDays(first, 6) };
+  }
+
+  move(step) {
+    this.anchor = this.view === 'month'
+      ? AppointmentScheduler.addMonths(`${this.anchor.slice(0, 7)}-01`, step)
+      : AppointmentScheduler.addDays(this.anchor, step * 7);
+    this.renderCalendar();
+  }
+
+  setView(view) {
+    this.view = view;
+    this.container.querySelectorAll('[data-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.view === view));
+    });
+    this.renderCalendar();
+  }
+
+  renderCalendar() {
+    const { first, last } = this.getRange();
+    const { bookable } = this.feed;
+    const [prev, next] = this.container.querySelectorAll('.scheduler-nav');
+    const month = this.view === 'month';
+
+    prev.disabled = first <= bookable.from;
+    next.disabled = last >= bookable.to;
+    prev.setAttribute('aria-label', t(month ? 'Previous month' : 'Previous week'));
+    next.setAttribute('aria-label', t(month ? 'Next month' : 'Next week'));
+
+    this.range.textContent = month
+      ? this.monthFormatter.format(AppointmentScheduler.toDate(first))
+      : `${this.dayFormatter.format(AppointmentScheduler.toDate(first))} – ${this.dayFormatter.format(AppointmentScheduler.toDate(last))}`;
+
+    this.grid.innerHTML = month
+      ? this.renderMonth(first, last)
+      : this.renderWeek(first);
+  }
+
+  renderWeek(first) {
+    const days = Array.from({ length: 7 }, (_, index) => AppointmentScheduler.addDays(first, index));
+
+    return `
+      <div class="scheduler-week">
+        ${days.map(date => {
+          const slots = this.slotsFor(date);
+          const label = this.dayFormatter.format(AppointmentScheduler.toDate(date));
+
+          return `
+            <div class="scheduler-day">
+              <h4 class="scheduler-day-title">${label}</h4>
+              ${slots.length ? `
+                <ul class="scheduler-slots">
+                  ${slots.map(slot => `
+                    <li>
+                      <button type="button" class="scheduler-slot" data-slot="${escapeHTML(slot.id)}"
+                              aria-pressed="${this.hold && this.hold.slot.id === slot.id}"
+                              aria-label="${escapeHTML(this.describeSlot(slot))}">${this.formatTime(slot.time)}</button>
+                    </li>
+                  `).join('')}
+                </ul>
+              ` : `<p class="scheduler-none">${escapeHTML(t('No slots'))}</p>`}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  renderMonth(first, last) {
+    const start = AppointmentScheduler.startOfWeek(first);
+    const cells = [];
+
+    for (let date = start; date <= last || cells.length % 7; date = AppointmentScheduler.addDays(date, 1)) {
+      const inMonth = date >= first && date <= last;
+      const count = inMonth ? this.slotsFor(date).length : 0;
+      const day = Number(date.slice(8));
+      const summary = count
+        ? t(count === 1 ? '{count} slot free' : '{count} slots free', { count })
+        : t('fully booked or closed');
+
+      cells.push(!inMonth
+        ? '<span class="scheduler-month-day is-outside" aria-hidden="true"></span>'
+        : `<button type="button" class="scheduler-month-day" data-date="${date}"${count ? '' : ' disabled'}
+                   aria-label="${escapeHTML(`${this.longDayFormatter.format(AppointmentScheduler.toDate(date))}, ${summary}`)}">
+             <span class="scheduler-month-number">${day}</span>
+             ${count ? `<span class="scheduler-month-count">${escapeHTML(t('{count} free', { count }))}</span>` : ''}
+           </button>`);
+    }
+
+    const weekdays = Array.from({ length: 7 }, (_, index) => this.weekdayFormatter.format(AppointmentScheduler.toDate(AppointmentScheduler.addDays(start, index))))
+      .map(name => `<span class="scheduler-weekday" aria-hidden="true">${escapeHTML(name)}</span>`)
+      .join('');
+
+    return `<div class="scheduler-month">${weekdays}${cells.join('')}</div>`;
+  }
+
+  formatTime(time) {
+    return this.timeFormatter.format(new Date(`1970-01-01T${time}:00Z`));
+  }
+
+  describeSlot(slot) {
+    const type = this.feed.types[slot.type];
+    return t('{type}, {date} at {time}', {
+      type: t(type.label),
+      date: this.longDayFormatter.format(AppointmentScheduler.toDate(slot.date)),
+      time: this.formatTime(slot.time)
+    });
+  }
+
+  // ---- Holding a slot ----
+
+  async holdSlot(slotId) {
+    this.showStatus('', '');
+
+    try {
+      const response = await fetch(`${this.endpoint}/holds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ slotId, replaces: this.hold ? this.hold.holdId : undefined })
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (response.status === 409) {
+        this.clearHold();
+        await this.refresh(t('Sorry, someone has just taken that time. Please pick another.'));
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Hold endpoint responded with ${response.status}`);
+      }
+
+      this.setHold(result);
+    } catch (error) {
+      console.error('Could not hold appointment slot:', error);
+      this.showStatus(this.telephone
+        ? t('We could not reserve that time. Please try again or call us on {phone}.', { phone: this.telephone.textContent.trim() })
+        : t('We could not reserve that time. Please try again.'), 'error');
+    }
+  }
+
+  setHold(hold) {
+    this.clearHold();
+    this.hold = hold;
+    this.details.disabled = false;
+
+    const remaining = Math.max(0, new Date(hold.expiresAt).getTime() - Date.now());
+    const minutes = Math.max(1, Math.round(remaining / 60000));
+    this.holdStatus.textContent = t('{slot} is held for you for {minutes} minutes. Add your details below to confirm.', {
+      slot: this.describeSlot(hold.slot),
+      minutes
+    });
+
+    this.holdTimer = setTimeout(() => {
+      this.clearHold();
+      this.refresh(t('Your hold has expired. Please pick a time again.'));
+    }, remaining);
+
+    this.renderCalendar();
+    this.fields[0].focus();
+  }
+
+  clearHold() {
+    clearTimeout(this.holdTimer);
+    this.hold = null;
+    this.details.disabled = true;
+    this.holdStatus.textContent = '';
+  }
+
+  releaseHold() {
+    const { hold } = this;
+    this.clearHold();
+    this.showStatus('', '');
+    if (!hold) return;
+
+    // Free the slot for other visitors now; failing that it expires on its own
+    fetch(`${this.endpoint}/holds/release`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ holdId: hold.holdId }),
+      keepalive: true
+    }).catch(() => {});
+  }
+
+  async refresh(message) {
+    try {
+      await this.loadAvailability();
+    } catch (error) {
+      // Keep showing the slots we have
+    }
+    this.renderCalendar();
+    this.showStatus(message, 'info');
+  }
+
+  // ---- Booking ----
+
+  validateField(field) {
+    const value = field.value.trim();
+    let message = '';
+
+    if (field.required && !value) {
+      message = field.getAttribute('data-error-required') || t('This field is required.');
+    } else if (value && field.name === 'phone' && !isValidIndianPhone(value)) {
+      message = t('Enter a valid 10-digit Indian mobile number, e.g. +91 98765 43210.');
+    } else if (value && field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      message = t('Enter a valid email address.');
+    }
+
+    const error = this.form.querySelector(`#${field.id}-error`);
+    if (message) {
+      field.setAttribute('aria-invalid', 'true');
+      field.setAttribute('aria-describedby', error.id);
+    } else {
+      field.removeAttribute('aria-invalid');
+      field.removeAttribute('aria-describedby');
+    }
+    error.textContent = message;
+    error.hidden = !message;
+
+    return !message;
+  }
+
+  async submit() {
+    if (!this.hold) {
+      this.showStatus(t('Please pick a time first.'), 'error');
+      return;
+    }
+
+    const invalid = Array.from(this.fields).filter(field => !this.validateField(field));
+    if (invalid.length) {
+      invalid[0].focus();
+      this.showStatus(t('Please correct the highlighted fields.'), 'error');
+      return;
+    }
+
+    const details = {};
+    this.fields.forEach(field => {
+      details[field.name] = field.value.trim();
+    });
+
+    this.form.setAttribute('aria-busy', 'true');
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...details, holdId: this.hold.holdId, page: window.location.pathname })
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (response.status === 410) {
+        this.clearHold();
+        await this.refresh(t('Your hold expired before we received your details. Please pick a time again.'));
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Appointments endpoint responded with ${response.status}`);
+      }
+
+      this.showConfirmation(result);
+    } catch (error) {
+      console.error('Appointment booking failed:', error);
+      this.showStatus(this.telephone
+        ? t('Something went wrong. Please try again or call us on {phone}.', { phone: this.telephone.textContent.trim() })
+        : t('Something went wrong. Please try again.'), 'error');
+    } finally {
+      this.form.setAttribute('aria-busy', 'false');
+    }
+  }
+
+  showConfirmation(appointment) {
+    clearTimeout(this.holdTimer);
+    this.hold = null;
+
+    const ics = AppointmentScheduler.toIcs(appointment, this.contact);
+    this.revokeIcs();
+    this.icsUrl = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+
+    const text = (value, params) => escapeHTML(t(value, params));
+
+    this.form.hidden = true;
+    this.confirmation.hidden = false;
+    this.confirmation.innerHTML = `
+      <i class="fas fa-check-circle scheduler-confirmation-icon" aria-hidden="true"></i>
+      <h3>${text("You're booked in")}</h3>
+      <p><strong>${escapeHTML(this.describeSlot(appointment))}</strong></p>
+      <p>${text(appointment.location)}</p>
+      <p>${text('Booking reference: {id}. We will call you on {phone} if anything changes.', { id: appointment.id, phone: appointment.phone })}</p>
+      <div class="form-actions">
+        <a href="${this.icsUrl}" download="urbanways-consultation.ics" class="action-btn action-btn-primary">
+          <i class="fas fa-calendar-plus" aria-hidden="true"></i>
+          ${text('Add to Calendar')}
+        </a>
+        <button type="button" class="action-btn scheduler-restart">${text('Book Another')}</button>
+      </div>
+    `;
+    this.confirmation.focus();
+
+    events.emit('analytics:track', { name: 'appointment_booked', params: { appointment_type: appointment.type } });
+  }
+
+  revokeIcs() {
+    if (this.icsUrl) {
+      URL.revokeObjectURL(this.icsUrl);
+      this.icsUrl = null;
+    }
+  }
+
+  async restart() {
+    this.revokeIcs();
+    this.form.reset();
+    this.form.hidden = false;
+    this.confirmation.hidden = true;
+    this.clearHold();
+    this.type = this.form.querySelector('[name="appointmentType"]:checked').value;
+    await this.refresh('');
+  }
+
+  showStatus(message, type) {
+    this.status.textContent = message;
+    this.status.className = `form-status${type ? ` form-status-${type}` : ''}`;
+  }
+
+  // ---- Dates (YYYY-MM-DD strings in the studio's calendar) ----
+
+  static toDate(date) {
+    return new Date(`${date}T00:00:00Z`);
+  }
+
+  static addDays(date, days) {
+    const next = AppointmentScheduler.toDate(date);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+  }
+
+  static addMonths(date, months) {
+    const next = AppointmentScheduler.toDate(date);
+    next.setUTCMonth(next.getUTCMonth() + months, 1);
+    return next.toISOString().slice(0, 10);
+  }
+
+  static startOfWeek(date) {
+    // Weeks start on Monday
+    const weekday = (AppointmentScheduler.toDate(date).getUTCDay() + 6) % 7;
+    return AppointmentScheduler.addDays(date, -weekday);
+  }
+
+  /**
+   * An RFC 5545 calendar invite for a confirmed appointment. `contact`
+   * holds the studio's telephone and email from src/site.json.
+   */
+  static toIcs(appointment, { telephone = '', email = '' } = {}) {
+    const stamp = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const text = (value) => String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+    // UTF-8 length of one character
+    const octets = (char) => {
+      const code = char.codePointAt(0);
+      return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    };
+    // Lines longer than 75 octets are folded onto continuation lines, whose
+    // leading space counts towards their 75; characters are never split
+    const fold = (line) => {
+      const lines = [''];
+      let size = 0;
+
+      for (const char of line) {
+        if (size + octets(char) > (lines.length === 1 ? 75 : 74)) {
+          lines.push('');
+          size = 0;
+        }
+        lines[lines.length - 1] += char;
+        size += octets(char);
+      }
+
+      return lines.join('\r\n ');
+    };
+
+    const contact = [telephone, email].filter(Boolean).join(' / ');
+    const description = [
+      `Your ${appointment.label.toLowerCase()} with Urbanways.`,
+      `Booking reference: ${appointment.id}`,
+      ...(contact ? [`Questions or changes: ${contact}`] : [])
+    ].join('\n');
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Urbanways//Consultation Booking//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${appointment.id}@urbanways.co.in`,
+      `DTSTAMP:${stamp(Date.now())}`,
+      `DTSTART:${stamp(appointment.start)}`,
+      `DTEND:${stamp(appointment.end)}`,
+      `SUMMARY:${text(`Urbanways ${appointment.label}`)}`,
+      `DESCRIPTION:${text(description)}`,
+      `LOCATION:${text(appointment.location)}`,
+      ...(email ? [`ORGANIZER;CN=Urbanways:mailto:${email}`] : []),
+      'BEGIN:VALARM',
+      'TRIGGER:-PT1H',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${text(`Urbanways ${appointment.label} in one hour`)}`,
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].map(fold).join('\r\n') + '\r\n';
+  }
+};
@@ -0,0 +1,274 @@
+/**
+ * URBANWAYS - INTERIOR COST ESTIMATOR
+ * Rates live in data/cost-rates.json.
+ * Loaded on demand by the module registry in main.js, which passes in
+ * the shared helpers this class needs.
+ */
+
+export default ({ t, escapeHTML, siteUrl, PAGE_LOCALE, events }) => class CostEstimator {
+  constructor() {
+    this.container = document.querySelector('.cost-estimator');
+    this.rates = null;
+    this.formatter = new Intl.NumberFormat(PAGE_LOCALE, {
+      style: 'currency',
+      currency: 'INR',
+      maximumFractionDigits: 0
+    });
+
+    if (this.container) {
+      this.init();
+    }
+  }
+
+  async init() {
+    const source = this.container.getAttribute('data-rates') || siteUrl('data/cost-rates.json');
+
+    try {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Rate table responded with ${response.status}`);
+      }
+      this.rates = await response.json();
+    } catch (error) {
+      console.error('Error loading cost rates:', error);
+      this.container.innerHTML = `<p class="estimator-error">${t('The cost calculator is unavailable right now. Please {contact} for a quote.', {
+        contact: `<a href="contact.html#enquiry">${escapeHTML(t('contact us'))}</a>`
+      })}</p>`;
+      return;
+    }
+
+    this.render();
+    this.container.addEventListener('input', () => this.handleInput());
+    this.container.addEventListener('change', () => this.handleInput());
+    // The first estimate is the default one, not something the visitor chose
+    this.update();
+  }
+
+  handleInput() {
+    const result = this.update();
+    if (!result) return;
+
+    // Lets the contact widget quote this estimate in its WhatsApp message
+    events.emit('estimate:change', {
+      tier: t(this.rates.tiers[result.selection.tier].label),
+      total: this.formatRange(result.estimate.total)
+    });
+  }
+
+  render() {
+    const { rooms, tiers, feeModels } = this.rates;
+    // Labels come from the rate table, so they are translated and escaped like any other text
+    const text = (value, params) => escapeHTML(t(value, params));
+
+    const roomRows = rooms.map(room => `
+      <div class="estimator-room">
+        <label class="estimator-check">
+          <input type="checkbox" name="room" value="${escapeHTML(room.id)}" checked>
+          <span>${text(room.label)}</span>
+        </label>
+        <label class="estimator-area">
+          <span class="sr-only">${text('{room} area in square feet', { room: t(room.label) })}</span>
+          <input type="number" name="area-${escapeHTML(room.id)}" min="10" max="5000" step="10" value="${escapeHTML(room.defaultArea)}" inputmode="numeric">
+          <span aria-hidden="true">${t('sq ft')}</span>
+        </label>
+      </div>
+    `).join('');
+
+    const tierOptions = Object.entries(tiers).map(([id, tier], index) => `
+      <label class="estimator-tier">
+        <input type="radio" name="tier" value="${escapeHTML(id)}"${index === 0 ? ' checked' : ''}>
+        <span>${text(tier.label)}</span>
+      </label>
+    `).join('');
+
+    const feeOptions = Object.entries(feeModels).map(([id, model]) => `
+      <option value="${escapeHTML(id)}">${text(model.label)}</option>
+    `).join('');
+
+    this.container.innerHTML = `
+      <h3 class="estimator-title">${t('Estimate Your Interior Cost')}</h3>
+      <form class="estimator-form" novalidate>
+        <fieldset>
+          <legend>${t('Rooms &amp; area')}</legend>
+          ${roomRows}
+        </fieldset>
+        <fieldset>
+          <legend>${t('Finish')}</legend>
+          <div class="estimator-tiers">${tierOptions}</div>
+        </fieldset>
+        <div class="estimator-fee">
+          <label for="estimator-fee-model">${t('Designer fee model')}</label>
+          <select id="estimator-fee-model" name="feeModel">${feeOptions}</select>
+        </div>
+      </form>
+      <div class="estimator-result" aria-live="polite"></div>
+    `;
+
+    this.form = this.container.querySelector('.estimator-form');
+    this.result = this.container.querySelector('.estimator-result');
+    this.form.addEventListener('submit', (e) => e.preventDefault());
+  }
+
+  getSelection() {
+    const tier = this.form.querySelector('input[name="tier"]:checked').value;
+    const feeModel = this.form.elements.feeModel.value;
+
+    const rooms = this.rates.rooms
+      .filter(room => this.form.querySelector(`input[name="room"][value="${room.id}"]`).checked)
+      .map(room => {
+        // Typed areas are held to the field's own min and max
+        const input = this.form.elements[`area-${room.id}`];
+        const typed = parseFloat(input.value);
+        const area = Number.isFinite(typed)
+          ? Math.min(Math.max(typed, Number(input.min)), Number(input.max))
+          : room.defaultArea;
+        return { ...room, area };
+      });
+
+    return { tier, feeModel, rooms };
+  }
+
+  calculate({ tier, feeModel, rooms }) {
+    // Published room rates assume the room's default area; scale linearly from there
+    const items = rooms.map(room => {
+      const [low, high] = room.rates[tier];
+      const factor = room.area / room.defaultArea;
+      return {
+        label: room.label,
+        area: room.area,
+        low: Math.round(low * factor),
+        high: Math.round(high * factor)
+      };
+    });
+
+    const subtotal = items.reduce((sum, item) => ({
+      low: sum.low + item.low,
+      high: sum.high + item.high
+    }), { low: 0, high: 0 });
+
+    const fee = this.calculateFee(feeModel, items, subtotal);
+
+    return {
+      items,
+      subtotal,
+      fee,
+      total: {
+        low: subtotal.low + fee.low,
+        high: subtotal.high + fee.high
+      }
+    };
+  }
+
+  calculateFee(feeModel, items, subtotal) {
+    const model = this.rates.feeModels[feeModel];
+    const totalArea = items.reduce((sum, item) => sum + item.area, 0);
+
+    switch (feeModel) {
+      case 'percentage':
+        return {
+          low: Math.round(subtotal.low * model.range[0]),
+          high: Math.round(subtotal.high * model.range[1])
+        };
+      case 'per-sqft':
+        return {
+          low: Math.round(totalArea * model.range[0]),
+          high: Math.round(totalArea * model.range[1])
+        };
+      case 'flat':
+        return {
+          low: Math.min(items.length * model.perRoom[0], model.max),
+          high: Math.min(items.length * model.perRoom[1], model.max)
+        };
+      case 'hourly': {
+        const hours = items.length * model.hoursPerRoom;
+        return {
+          low: hours * model.range[0],
+          high: hours * model.range[1]
+        };
+      }
+      default:
+        return { low: 0, high: 0 };
+    }
+  }
+
+  formatRange({ low, high }) {
+    return `${this.formatter.format(low)} – ${this.formatter.format(high)}`;
+  }
+
+  update() {
+    const selection = this.getSelection();
+
+    if (selection.rooms.length === 0) {
+      this.result.innerHTML = `<p class="estimator-empty">${t('Select at least one room to see an estimate.')}</p>`;
+      return null;
+    }
+
+    const estimate = this.calculate(selection);
+    const text = (value, params) => escapeHTML(t(value, params));
+    const feeLabel = this.rates.feeModels[selection.feeModel].label;
+
+    const rows = estimate.items.map(item => `
+      <tr>
+        <th scope="row">${text(item.label)} <span class="estimator-meta">${item.area} ${t('sq ft')}</span></th>
+        <td>${this.formatRange(item)}</td>
+      </tr>
+    `).join('');
+
+    this.result.innerHTML = `
+      <table class="estimator-table">
+        <caption class="sr-only">${t('Itemised cost estimate')}</caption>
+        <tbody>
+          ${rows}
+          <tr class="estimator-fee-row">
+            <th scope="row">${t('Designer fee')} <span class="estimator-meta">${text(feeLabel)}</span></th>
+            <td>${this.formatRange(estimate.fee)}</td>
+          </tr>
+        </tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">${t('Estimated total')}</th>
+            <td>${this.formatRange(estimate.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      <p class="estimator-disclaimer">${t('Indicative ranges for Dehradun based on {updated} rates. Your final quote depends on site conditions and material choices.', { updated: this.rates.updated })}</p>
+      <a href="${escapeHTML(this.buildEnquiryLink(selection, estimate))}" class="cta-btn estimator-cta">${t('Get an Exact Quote')}</a>
+    `;
+
+    return { selection, estimate };
+  }
+
+  // Pre-fills the enquiry form in the page's language
+  buildEnquiryLink(selection, estimate) {
+    const tier = t(this.rates.tiers[selection.tier].label);
+    const lines = estimate.items.map(item => t('{room} ({area} sq ft): {amount}', {
+      room: t(item.label),
+      area: item.area,
+      amount: this.formatRange(item)
+    }));
+
+    const message = [
+      t('Online estimate ({tier} finish):', { tier }),
+      ...lines,
+      t('Designer fee: {amount}', { amount: this.formatRange(estimate.fee) }),
+      t('Total: {amount}', { amount: this.formatRange(estimate.total) })
+    ].join('\n');
+
+    const params = new URLSearchParams({
+      projectType: 'residential',
+      budget: CostEstimator.getBudgetBand(estimate.total.high),
+      message
+    });
+
+    return `contact.html?${params.toString()}#enquiry`;
+  }
+
+  static getBudgetBand(amount) {
+    // Matches the budget <option> values in the contact.html enquiry form
+    if (amount < 500000) return 'under-5-lakh';
+    if (amount < 1500000) return '5-15-lakh';
+    if (amount < 5000000) return '15-50-lakh';
+    if (amount < 10000000) return '50-lakh-1-crore';
+    return 'above-1-crore';
+  }
+};
@@ -0,0 +1,340 @@
+/**
+ * URBANWAYS - TESTIMONIAL CAROUSEL
+ * Client reviews from data/reviews.json, one slide at a time, following the
+ * WAI-ARIA carousel pattern. Keeps the LocalBusiness JSON-LD's review and
+ * aggregateRating in step with the reviews on screen.
+ * Loaded on demand by the module registry in main.js, which passes in
+ * the shared helpers this class needs.
+ */
+
+const BUSINESS_TYPES = ['LocalBusiness', 'InteriorDesigner', 'HomeAndConstructionBusiness', 'GeneralContractor'];
+
+// Mirrors aggregateRating() in scripts/structured-data.js; only pass reviews that have a rating
+const aggregateRating = (reviews, bestRating) => ({
+  '@type': 'AggregateRating',
+  ratingValue: Math.round((reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length) * 10) / 10,
+  reviewCount: reviews.length,
+  bestRating,
+  worstRating: 1
+});
+
+export default ({ t, escapeHTML, siteUrl, PAGE_LOCALE, events, motionPreferences }) => class TestimonialCarousel {
+  constructor() {
+    this.container = document.querySelector('.testimonial-carousel');
+    this.language = document.documentElement.lang || 'en';
+    this.interval = 7000;
+    this.data = null;
+    this.reviews = [];
+    this.category = 'all';
+    this.index = 0;
+    this.timer = null;
+    // Rotation pauses while hovered or focused, and stays off once the visitor stops it
+    this.stopped = false;
+    this.hovered = false;
+    this.focused = false;
+    this.unsubscribe = [];
+    this.dateFormatter = new Intl.DateTimeFormat(PAGE_LOCALE, { timeZone: 'UTC', month: 'long', year: 'numeric' });
+
+    if (this.container) {
+      this.interval = Number(this.container.getAttribute('data-interval')) || this.interval;
+      this.init();
+    }
+  }
+
+  async init() {
+    const source = this.container.getAttribute('data-source') || siteUrl('data/reviews.json');
+
+    try {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Reviews feed responded with ${response.status}`);
+      }
+      this.data = await response.json();
+    } catch (error) {
+      // Any static quotes already in the page stay in place
+      console.warn('Reviews unavailable, keeping static markup:', error);
+      return;
+    }
+
+    if (this.data.reviews.length === 0) return;
+
+    this.bestRating = this.data.bestRating || 5;
+    // Rating, date and category are optional; undated reviews keep their file order
+    this.data.reviews.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+    const requested = this.container.getAttribute('data-category');
+    if (requested && this.data.reviews.some(review => review.category === requested)) {
+      this.category = requested;
+    }
+
+    this.render();
+    this.bindEvents();
+    this.applyFilter(this.category);
+
+    const section = this.container.closest('.testimonials-section');
+    if (section) section.hidden = false;
+  }
+
+  quoteOf(review) {
+    return typeof review.quote === 'string'
+      ? review.quote
+      : review.quote[this.language] || review.quote.en;
+  }
+
+  labelOf(categoryId) {
+    const category = this.data.categories.find(entry => entry.id === categoryId);
+    return t(category ? category.label : categoryId);
+  }
+
+  render() {
+    const text = (value, params) => escapeHTML(t(value, params));
+
+    this.container.setAttribute('role', 'region');
+    this.container.setAttribute('aria-roledescription', t('carousel'));
+    this.container.setAttribute('aria-label', t('Client reviews'));
+
+    this.container.innerHTML = `
+      ${this.container.hasAttribute('data-filter') ? this.renderFilters() : ''}
+      <div class="testimonial-controls">
+        <button type="button" class="testimonial-rotation"></button>
+        <button type="button" class="testimonial-prev" aria-controls="testimonialSlides" aria-label="${text('Previous review')}">
+          <i class="fas fa-chevron-left" aria-hidden="true"></i>
+        </button>
+        <button type="button" class="testimonial-next" aria-controls="testimonialSlides" aria-label="${text('Next review')}">
+          <i class="fas fa-chevron-right" aria-hidden="true"></i>
+        </button>
+      </div>
+      <div class="testimonial-slides" id="testimonialSlides" aria-live="off"></div>
+      <div class="testimonial-dots" role="group" aria-label="${text('Choose a review')}"></div>
+      <p class="testimonial-summary"></p>
+    `;
+
+    this.filterButtons = Array.from(this.container.querySelectorAll('.testimonial-filter'));
+    this.rotationButton = this.container.querySelector('.testimonial-rotation');
+    this.prevButton = this.container.querySelector('.testimonial-prev');
+    this.nextButton = this.container.querySelector('.testimonial-next');
+    this.slides = this.container.querySelector('.testimonial-slides');
+    this.dots = this.container.querySelector('.testimonial-dots');
+    this.summary = this.container.querySelector('.testimonial-summary');
+  }
+
+  // "All projects" plus every project type that has at least one review
+  renderFilters() {
+    const used = new Set(this.data.reviews.map(review => review.category));
+    const categories = this.data.categories.filter(category => used.has(category.id));
+    if (categories.length === 0) return '';
+
+    const options = [{ id: 'all', label: 'All projects' }].concat(categories);
+
+    return `
+      <div class="testimonial-filters" role="group" aria-label="${escapeHTML(t('Filter reviews by project type'))}">
+        ${options.map(option => `
+          <button type="button" class="testimonial-filter" data-category="${escapeHTML(option.id)}" aria-pressed="false">${escapeHTML(t(option.label))}</button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderSlide(review, index) {
+    const text = (value, params) => escapeHTML(t(value, params));
+    const stars = Array.from({ length: this.bestRating }, (_, star) => (
+      `<i class="${star < review.rating ? 'fas' : 'far'} fa-star" aria-hidden="true"></i>`
+    )).join('');
+    const details = [
+      review.category ? escapeHTML(this.labelOf(review.category)) : '',
+      review.date ? `<time datetime="${escapeHTML(review.date)}">${escapeHTML(this.dateFormatter.format(new Date(review.date)))}</time>` : ''
+    ].filter(Boolean);
+
+    return `
+      <figure class="testimonial-card testimonial-slide" role="group" aria-roledescription="${text('slide')}"
+              aria-label="${text('{current} of {total}', { current: index + 1, total: this.reviews.length })}"
+              data-review="${escapeHTML(review.id)}" hidden>
+        ${review.rating ? `<p class="testimonial-rating" role="img" aria-label="${text('Rated {rating} out of {best}', { rating: review.rating, best: this.bestRating })}">${stars}</p>` : ''}
+        <blockquote class="testimonial-quote">"${escapeHTML(this.quoteOf(review))}"</blockquote>
+        <figcaption class="testimonial-author">— ${escapeHTML(review.author)}</figcaption>
+        ${details.length ? `<p class="testimonial-role">${details.join(' · ')}</p>` : ''}
+      </figure>
+    `;
+  }
+
+  bindEvents() {
+    this.filterButtons.forEach(button => {
+      button.addEventListener('click', () => this.applyFilter(button.dataset.category));
+    });
+
+    this.prevButton.addEventListener('click', () => this.go(this.index - 1));
+    this.nextButton.addEventListener('click', () => this.go(this.index + 1));
+
+    this.dots.addEventListener('click', (e) => {
+      const dot = e.target.closest('.testimonial-dot');
+      if (dot) this.go(Number(dot.dataset.index));
+    });
+
+    this.rotationButton.addEventListener('click', () => {
+      this.stopped = !this.stopped;
+      // Starting rotation is an explicit request, so it overrides the focus pause
+      if (!this.stopped) this.focused = false;
+      this.restart();
+    });
+
+    this.container.addEventListener('mouseenter', () => {
+      this.hovered = true;
+      this.restart();
+    });
+    this.container.addEventListener('mouseleave', () => {
+      this.hovered = false;
+      this.restart();
+    });
+
+    this.container.addEventListener('focusin', (e) => {
+      if (e.target === this.rotationButton) return;
+      this.focused = true;
+      this.restart();
+    });
+    this.container.addEventListener('focusout', (e) => {
+      if (this.container.contains(e.relatedTarget)) return;
+      this.focused = false;
+      this.restart();
+    });
+
+    this.unsubscribe.push(events.on('motion:change', () => this.restart()));
+  }
+
+  applyFilter(category) {
+    const text = (value, params) => escapeHTML(t(value, params));
+
+    this.category = category;
+    this.reviews = category === 'all'
+      ? this.data.reviews
+      : this.data.reviews.filter(review => review.category === category);
+
+    this.filterButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.category === category));
+    });
+
+    this.slides.innerHTML = this.reviews.map((review, index) => this.renderSlide(review, index)).join('');
+    this.dots.innerHTML = this.reviews.map((review, index) => `
+      <button type="button" class="testimonial-dot" data-index="${index}" aria-label="${text('Show review {number}', { number: index + 1 })}"></button>
+    `).join('');
+
+    const single = this.reviews.length < 2;
+    this.prevButton.hidden = single;
+    this.nextButton.hidden = single;
+    this.dots.hidden = single;
+
+    const rated = this.reviews.filter(review => review.rating);
+    const rating = rated.length ? aggregateRating(rated, this.bestRating) : null;
+    this.summary.textContent = rating
+      ? t(rating.reviewCount === 1 ? '{rating} out of {best} from {count} review' : '{rating} out of {best} from {count} reviews', {
+        rating: rating.ratingValue.toLocaleString(PAGE_LOCALE, { minimumFractionDigits: 1 }),
+        best: this.bestRating,
+        count: rating.reviewCount
+      })
+      : '';
+    this.summary.hidden = !rating;
+
+    this.renderSchema(rating);
+    this.show(0);
+    this.restart();
+  }
+
+  show(index) {
+    const count = this.reviews.length;
+    this.index = (index + count) % count;
+
+    Array.from(this.slides.children).forEach((slide, position) => {
+      slide.hidden = position !== this.index;
+    });
+
+    Array.from(this.dots.children).forEach((dot, position) => {
+      if (position === this.index) {
+        dot.setAttribute('aria-current', 'true');
+      } else {
+        dot.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  // Visitor navigation also resets the rotation timer
+  go(index) {
+    this.show(index);
+    this.restart();
+  }
+
+  get rotating() {
+    return !this.stopped && !this.hovered && !this.focused &&
+      !motionPreferences.reduced && this.reviews.length > 1;
+  }
+
+  restart() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const rotating = this.rotating;
+
+    // Announce slide changes only when the visitor makes them
+    this.slides.setAttribute('aria-live', rotating ? 'off' : 'polite');
+    this.updateRotationButton();
+
+    if (rotating) {
+      this.timer = setTimeout(() => {
+        this.show(this.index + 1);
+        this.restart();
+      }, this.interval);
+    }
+  }
+
+  updateRotationButton() {
+    // Reduced motion means no automatic rotation at all
+    this.rotationButton.hidden = motionPreferences.reduced || this.reviews.length < 2;
+
+    const label = this.stopped ? t('Start automatic slide show') : t('Stop automatic slide show');
+    this.rotationButton.setAttribute('aria-label', label);
+    this.rotationButton.innerHTML = `<i class="fas ${this.stopped ? 'fa-play' : 'fa-pause'}" aria-hidden="true"></i>`;
+  }
+
+  /**
+   * Give the page's LocalBusiness JSON-LD the reviews currently shown,
+   * so the structured data never claims more than the visitor can read.
+   * Without rated reviews on screen the business's own aggregateRating stays.
+   */
+  renderSchema(rating) {
+    const script = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+      .find(existing => {
+        try {
+          return [].concat(JSON.parse(existing.textContent)['@type']).some(type => BUSINESS_TYPES.includes(type));
+        } catch (error) {
+          return false;
+        }
+      });
+
+    if (!script) return;
+
+    const business = JSON.parse(script.textContent);
+    if (rating) {
+      business.aggregateRating = rating;
+    }
+    business.review = this.reviews.map(review => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: review.author },
+      ...(review.date ? { datePublished: review.date } : {}),
+      reviewBody: this.quoteOf(review),
+      ...(review.rating ? {
+        reviewRating: {
+          '@type': 'Rating',
+          ratingValue: review.rating,
+          bestRating: this.bestRating,
+          worstRating: 1
+        }
+      } : {})
+    }));
+
+    script.textContent = JSON.stringify(business);
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+    this.unsubscribe.forEach(off => off());
+    this.unsubscribe = [];
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * URBANWAYS - CONSULTATION APPOINTMENTS
+ * Turns data/availability.json into bookable slots and keeps holds and
+ * bookings in memory. Backs the /api/availability and /api/appointments
+ * routes of scripts/mock-server.js used by AppointmentScheduler in main.js.
+ * All dates and times are local to the studio (config.utcOffset).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONFIG = path.resolve(__dirname, '..', 'data', 'availability.json');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 62;
+
+const loadConfig = (file = CONFIG) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Calendar date at the studio for an instant
+const localDate = (instant, utcOffset) => {
+  const [, sign, hours, minutes] = utcOffset.match(/([+-])(\d{2}):(\d{2})/);
+  const offset = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  return new Date(instant.getTime() + offset * 60000).toISOString().slice(0, 10);
+};
+
+/**
+ * Every slot of every type between `from` and `to` (inclusive) that fits
+ * the opening hours, ignoring holds and bookings.
+ */
+const generateSlots = (config, from, to) => {
+  const slots = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const day = DAY_KEYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const hours = config.hours[day];
+    if (!hours || config.closed.includes(date)) continue;
+
+    Object.entries(config.types).forEach(([type, settings]) => {
+      const [open, close] = settings.hours || hours;
+      const first = Math.max(toMinutes(open), toMinutes(hours[0]));
+      const last = Math.min(toMinutes(close), toMinutes(hours[1])) - settings.duration;
+
+      for (let minutes = first; minutes <= last; minutes += settings.interval || settings.duration) {
+        const time = toTime(minutes);
+        slots.push({
+          id: `${type}@${date}T${time}`,
+          type,
+          date,
+          time,
+          start: `${date}T${time}:00${config.utcOffset}`,
+          end: `${date}T${toTime(minutes + settings.duration)}:00${config.utcOffset}`
+        });
+      }
+    });
+  }
+
+  return slots;
+};
+
+const overlaps = (a, b) => Date.parse(a.start) < Date.parse(b.end) && Date.parse(b.start) < Date.parse(a.end);
+
+/**
+ * In-memory appointment book. The studio has one design team, so any
+ * hold or booking blocks overlapping slots of every type.
+ */
+const createAppointmentBook = (config = loadConfig(), { now = () => new Date() } = {}) => {
+  const holds = new Map();
+  const bookings = new Map();
+
+  const dropExpiredHolds = () => {
+    holds.forEach((hold, id) => {
+      if (Date.parse(hold.expiresAt) <= now().getTime()) {
+        holds.delete(id);
+      }
+    });
+  };
+
+  // Bookings carry their slot's times themselves, holds keep the slot
+  const isTaken = (slot) => [...bookings.values(), ...[...holds.values()].map(held => held.slot)]
+    .some(taken => overlaps(taken, slot));
+
+  const bookableRange = () => {
+    const today = localDate(now(), config.utcOffset);
+    return { first: today, last: addDays(today, config.bookingWindowDays) };
+  };
+
+  /**
+   * The availability feed: type details plus the free slots between
+   * `from` and `to`, clamped to the booking window.
+   */
+  const availability = ({ from, to } = {}) => {
+    const { first, last } = bookableRange();
+    const start = DATE.test(from || '') && from > first ? from : first;
+    let end = DATE.test(to || '') && to < last ? to : last;
+
+    if (end > addDays(start, MAX_RANGE_DAYS)) {
+      end = addDays(start, MAX_RANGE_DAYS);
+    }
+
+    dropExpiredHolds();
+
+    const earliest = now().getTime() + config.minNoticeHours * 3600000;
+    const slots = start > end ? [] : generateSlots(config, start, end)
+      .filter(slot => Date.parse(slot.start) >= earliest && !isTaken(slot));
+
+    return {
+      timezone: config.timezone,
+      utcOffset: config.utcOffset,
+      bookable: { from: first, to: last },
+      holdMinutes: config.holdMinutes,
+      types: config.types,
+      slots
+    };
+  };
+
+  const findSlot = (slotId) => {
+    const match = /^([\w-]+)@(\d{4}-\d{2}-\d{2})T/.exec(slotId || '');
+    if (!match) return null;
+
+    return generateSlots(config, match[2], match[2]).find(slot => slot.id === slotId) || null;
+  };
+
+  /**
+   * Reserve a slot for config.holdMinutes while the visitor fills in
+   * their details. `replaces` releases the visitor's previous hold.
+   */
+  const hold = ({ slotId, replaces } = {}) => {
+    // The visitor's previous choice must not block their new one
+    holds.delete(replaces);
+
+    const slot = findSlot(slotId);
+    const free = slot && availability({ from: slot.date, to: slot.date }).slots.some(open => open.id === slotId);
+
+    if (!free) {
+      return [409, { error: 'That slot is no longer available' }];
+    }
+
+    const holdId = crypto.randomUUID();
+    const expiresAt = new Date(now().getTime() + config.holdMinutes * 60000).toISOString();
+    holds.set(holdId, { slot, expiresAt });
+
+    return [201, { holdId, slot, expiresAt }];
+  };
+
+  // The visitor changed their mind; unknown or expired holds are already free
+  const release = ({ holdId } = {}) => [200, { released: holds.delete(holdId) }];
+
+  const book = (payload = {}) => {
+    dropExpiredHolds();
+
+    const held = holds.get(payload.holdId);
+    if (!held) {
+      return [410, { error: 'Your hold on this slot has expired' }];
+    }
+
+    if (!payload.name || !payload.phone) {
+      return [422, { error: 'name and phone are required' }];
+    }
+
+    const settings = config.types[held.slot.type];
+    const appointment = {
+      ...held.slot,
+      slotId: held.slot.id,
+      // Bookings in the same millisecond must not replace each other
+      id: `APT-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      label: settings.label,
+      duration: settings.duration,
+      location: settings.location,
+      name: payload.name,
+      phone: payload.phone,
+      email: payload.email || '',
+      notes: payload.notes || ''
+    };
+
+    holds.delete(payload.holdId);
+    bookings.set(appointment.id, appointment);
+
+    return [201, appointment];
+  };
+
+  return { availability, hold, release, book, holds, bookings };
+};
+
+module.exports = { loadConfig, generateSlots, createAppointmentBook, addDays, localDate };
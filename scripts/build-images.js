@@ -0,0 +1,228 @@
+/**
+ * URBANWAYS - IMAGE PIPELINE
+ * Resizes the local photos referenced by src/pages and data/projects.json
+ * into AVIF, WebP and JPEG at several widths, adds a tiny blurred
+ * placeholder for each, and records everything in data/images.json.
+ * scripts/build.js uses the manifest to turn <img> tags into <picture>
+ * markup; PortfolioRenderer uses it for the cards it renders.
+ * Usage: npm run images [-- --force]
+ * Requires the `sharp` dev dependency (npm install).
+ *
+ * The generated files in assets/images/optimized are committed along with
+ * data/images.json, just like the built pages: the site is published
+ * straight from the repository root, with no build step on the host.
+ * scripts/build.js refuses to render pages while any of them is missing.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGES_DIR = path.join(ROOT, 'src', 'pages');
+const PROJECTS = path.join(ROOT, 'data', 'projects.json');
+const MANIFEST = path.join(ROOT, 'data', 'images.json');
+const OUTPUT_DIR = 'assets/images/optimized';
+
+const WIDTHS = [400, 800, 1200, 1600];
+const FALLBACK_WIDTH = 800;
+const PLACEHOLDER_WIDTH = 20;
+const DEFAULT_SIZES = '(max-width: 768px) 100vw, 50vw';
+
+// Listed in the order browsers should try them; jpeg is the <img> fallback
+const FORMATS = {
+  avif: { ext: 'avif', type: 'image/avif', options: { quality: 50, effort: 4 } },
+  webp: { ext: 'webp', type: 'image/webp', options: { quality: 72 } },
+  jpeg: { ext: 'jpg', type: 'image/jpeg', options: { quality: 78, mozjpeg: true } }
+};
+
+const LOCAL_IMAGE = /^(?!https?:|\/\/|data:)[\w./-]+\.(jpe?g|png)$/i;
+
+const loadSharp = () => {
+  try {
+    return require('sharp');
+  } catch (error) {
+    throw new Error('The image pipeline needs the "sharp" package (npm install)');
+  }
+};
+
+/**
+ * Every local JPEG/PNG used by a page or by the portfolio data.
+ */
+const findSources = () => {
+  const sources = new Set();
+
+  fs.readdirSync(PAGES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .forEach(file => {
+      const html = fs.readFileSync(path.join(PAGES_DIR, file), 'utf8');
+      [...html.matchAll(/<img\s[^>]*?\bsrc="([^"]+)"/gi)].forEach(match => sources.add(match[1]));
+    });
+
+  const data = JSON.parse(fs.readFileSync(PROJECTS, 'utf8'));
+  data.categories.forEach(category => sources.add(category.image.src));
+  data.projects.forEach(project => {
+    project.images.forEach(image => sources.add(image.src));
+    if (project.before) {
+      sources.add(project.before.src);
+    }
+  });
+
+  return [...sources]
+    .filter(src => LOCAL_IMAGE.test(src) && fs.existsSync(path.join(ROOT, src)))
+    .sort();
+};
+
+const getWidths = (original) => {
+  const largest = Math.min(original, WIDTHS[WIDTHS.length - 1]);
+  return [...new Set(WIDTHS.filter(width => width < largest).concat(largest))];
+};
+
+const isFresh = (input, output) => fs.existsSync(output)
+  && fs.statSync(output).mtimeMs >= fs.statSync(input).mtimeMs;
+
+const processImage = async (sharp, src, force) => {
+  const input = path.join(ROOT, src);
+  const name = path.basename(src, path.extname(src));
+  const { width, height } = await sharp(input).metadata();
+  const widths = getWidths(width);
+  const sources = {};
+
+  for (const [format, { ext, options }] of Object.entries(FORMATS)) {
+    const candidates = [];
+
+    for (const size of widths) {
+      const file = `${OUTPUT_DIR}/${name}-${size}.${ext}`;
+      const output = path.join(ROOT, file);
+
+      if (force || !isFresh(input, output)) {
+        await sharp(input).rotate().resize({ width: size }).toFormat(format, options).toFile(output);
+      }
+      candidates.push(`${file} ${size}w`);
+    }
+
+    sources[format] = candidates.join(', ');
+  }
+
+  const placeholder = await sharp(input)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .jpeg({ quality: 40 })
+    .toBuffer();
+
+  const fallbackWidth = widths.filter(size => size <= FALLBACK_WIDTH).pop() || widths[0];
+
+  return {
+    width,
+    height,
+    src: `${OUTPUT_DIR}/${name}-${fallbackWidth}.${FORMATS.jpeg.ext}`,
+    placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}`,
+    sources
+  };
+};
+
+const build = async ({ force = false } = {}) => {
+  const sharp = loadSharp();
+  const files = findSources();
+  const names = new Map();
+  const images = {};
+
+  files.forEach(src => {
+    const name = path.basename(src, path.extname(src));
+    if (names.has(name)) {
+      throw new Error(`${src} and ${names.get(name)} would produce the same output files`);
+    }
+    names.set(name, src);
+  });
+
+  fs.mkdirSync(path.join(ROOT, OUTPUT_DIR), { recursive: true });
+
+  // One image at a time keeps memory use flat for large originals
+  for (const src of files) {
+    images[src] = await processImage(sharp, src, force);
+    console.log(`Optimised ${src} (${Object.keys(FORMATS).length} formats x ${images[src].sources.jpeg.split(',').length} widths)`);
+  }
+
+  fs.writeFileSync(MANIFEST, `${JSON.stringify({ images }, null, 2)}\n`);
+  console.log(`Wrote ${files.length} images to ${path.relative(ROOT, MANIFEST)}`);
+};
+
+const readManifest = () => (fs.existsSync(MANIFEST)
+  ? JSON.parse(fs.readFileSync(MANIFEST, 'utf8')).images
+  : {});
+
+/**
+ * Files the manifest points at that are not on disk, e.g. after a new photo
+ * was added to a page without running the pipeline.
+ */
+const missingFiles = (manifest) => [...new Set(Object.values(manifest).flatMap(image => [
+  image.src,
+  ...Object.values(image.sources).flatMap(candidates => candidates.split(',').map(candidate => candidate.trim().split(' ')[0]))
+]))].filter(file => !fs.existsSync(path.join(ROOT, file))).sort();
+
+const parseAttributes = (tag) => {
+  const attributes = new Map();
+  [...tag.replace(/^<img\s+|\s*\/?>$/g, '').matchAll(/([\w-]+)(?:="([^"]*)")?/g)]
+    .forEach(([, name, value = '']) => attributes.set(name, value));
+  return attributes;
+};
+
+const formatAttributes = (attributes) => [...attributes]
+  .map(([name, value]) => `${name}="${value}"`)
+  .join(' ');
+
+/**
+ * Replace each <img> whose src is in the manifest with a <picture> that
+ * starts on the blurred placeholder; LazyLoadImages in main.js copies the
+ * data-srcset/data-src values in when the image nears the viewport.
+ * Must stay in sync with PortfolioRenderer.renderImage() in main.js.
+ */
+const rewriteImages = (html, manifest) => html.replace(/<img\s[^>]*>/gi, (tag, offset) => {
+  const attributes = parseAttributes(tag);
+  const image = manifest[attributes.get('src')];
+  const before = html.slice(0, offset);
+
+  if (!image || before.lastIndexOf('<picture') > before.lastIndexOf('</picture>')) {
+    return tag;
+  }
+
+  const indent = before.slice(before.lastIndexOf('\n') + 1).match(/^[ \t]*/)[0];
+  const sizes = attributes.get('sizes') || DEFAULT_SIZES;
+  const className = ['blur-up', attributes.get('class')].filter(Boolean).join(' ');
+
+  ['src', 'srcset', 'sizes', 'class'].forEach(name => attributes.delete(name));
+
+  const fallback = new Map([['src', image.src], ...[...attributes].filter(([name]) => ['alt', 'width', 'height'].includes(name))]);
+  const img = new Map([
+    ['src', image.placeholder],
+    ['data-src', image.src],
+    ['data-srcset', image.sources.jpeg],
+    ['sizes', sizes],
+    ['class', className],
+    ...attributes,
+    ['decoding', 'async']
+  ]);
+
+  if (!img.has('loading')) {
+    img.set('loading', 'lazy');
+  }
+
+  return [
+    '<picture class="responsive-picture">',
+    `${indent}  <source type="${FORMATS.avif.type}" data-srcset="${image.sources.avif}" sizes="${sizes}">`,
+    `${indent}  <source type="${FORMATS.webp.type}" data-srcset="${image.sources.webp}" sizes="${sizes}">`,
+    `${indent}  <img ${formatAttributes(img)}>`,
+    `${indent}</picture>`,
+    `${indent}<noscript><img ${formatAttributes(fallback)}></noscript>`
+  ].join('\n');
+});
+
+if (require.main === module) {
+  build({ force: process.argv.includes('--force') }).catch(error => {
+    console.error(`Image build failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { build, findSources, getWidths, readManifest, missingFiles, rewriteImages };
@@ -0,0 +1,130 @@
+/**
+ * URBANWAYS - SEARCH INDEX GENERATOR
+ * Builds data/search-index.json from the blog-*.html articles.
+ * Usage: node scripts/build-search-index.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'data', 'search-index.json');
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' ',
+  '&copy;': '©'
+};
+
+const decodeEntities = (text) => text
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+  .replace(/&[a-z]+;|&#39;/g, entity => ENTITIES[entity] || entity);
+
+const stripTags = (html) => decodeEntities(
+  html
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+).replace(/\s+/g, ' ').trim();
+
+// Must stay in sync with slugify() in main.js
+const slugify = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const matchText = (html, pattern) => {
+  const match = html.match(pattern);
+  return match ? stripTags(match[1]) : '';
+};
+
+/**
+ * Split the article body into sections at every h2/h3, giving each
+ * heading the same id the browser assigns at runtime.
+ */
+const extractSections = (body) => {
+  const sections = [];
+  const usedIds = new Set();
+  const headingPattern = /<h([23])(?:\s+[^>]*)?>([\s\S]*?)<\/h\1>/gi;
+  let current = { id: '', heading: '', level: 0, start: 0 };
+  let match;
+
+  const close = (end) => {
+    const text = stripTags(body.slice(current.start, end));
+    if (text) {
+      sections.push({ id: current.id, heading: current.heading, level: current.level, text });
+    }
+  };
+
+  while ((match = headingPattern.exec(body)) !== null) {
+    close(match.index);
+
+    const heading = stripTags(match[2]);
+    const explicitId = match[0].match(/\sid="([^"]+)"/);
+    let id = explicitId ? explicitId[1] : slugify(heading);
+
+    if (!explicitId) {
+      const base = id;
+      let suffix = 2;
+      while (usedIds.has(id)) {
+        id = `${base}-${suffix++}`;
+      }
+    }
+    usedIds.add(id);
+
+    current = { id, heading, level: Number(match[1]), start: headingPattern.lastIndex };
+  }
+
+  close(body.length);
+  return sections;
+};
+
+const indexArticle = (file) => {
+  const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const bodyStart = html.indexOf('<div class="blog-post-body">');
+  const bodyEnd = html.indexOf('<aside class="blog-post-sidebar">');
+
+  if (bodyStart === -1 || bodyEnd === -1) {
+    throw new Error(`${file}: could not find .blog-post-body and .blog-post-sidebar`);
+  }
+
+  return {
+    url: file,
+    title: matchText(html, /<h1[^>]*class="blog-post-title"[^>]*>([\s\S]*?)<\/h1>/i),
+    description: decodeEntities((html.match(/<meta name="description" content="([^"]*)"/i) || [])[1] || ''),
+    category: matchText(html, /<span class="blog-post-category">([\s\S]*?)<\/span>/i),
+    date: matchText(html, /<span class="blog-post-date">([\s\S]*?)<\/span>/i),
+    sections: extractSections(html.slice(bodyStart, bodyEnd))
+  };
+};
+
+const build = () => {
+  const files = fs.readdirSync(ROOT)
+    .filter(file => /^blog-.+\.html$/.test(file))
+    .sort();
+
+  const index = {
+    generated: new Date().toISOString(),
+    documents: files.map(indexArticle)
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, `${JSON.stringify(index, null, 2)}\n`);
+
+  const sectionCount = index.documents.reduce((sum, doc) => sum + doc.sections.length, 0);
+  console.log(`Indexed ${index.documents.length} articles (${sectionCount} sections) into ${path.relative(ROOT, OUTPUT)}`);
+};
+
+if (require.main === module) {
+  build();
+}
+
+module.exports = { build, extractSections, slugify, stripTags };
@@ -0,0 +1,410 @@
+/**
+ * URBANWAYS - STATIC SITE BUILD
+ * Renders src/pages/*.html into the flat HTML files at the site root,
+ * expanding the shared partials in src/partials with each page's front-matter
+ * and swapping local <img> tags for the responsive markup recorded in
+ * data/images.json (see scripts/build-images.js). It then audits the
+ * output and writes sitemap.xml and robots.txt.
+ *
+ * Translated pages live in src/pages/<locale>/ (e.g. src/pages/hi/) and are
+ * written to the matching folder at the site root. Partials take their text
+ * from the locale's catalogue in src/i18n as {{t.key}}.
+ * Usage: node scripts/build.js [--check]
+ *
+ * Template syntax:
+ *   {{> header}}          include src/partials/header.html (indented like the tag)
+ *   {{title}}             HTML-escaped front-matter / site value
+ *   {{t.home}}            dotted keys look inside objects
+ *   {{{jsonLd}}}          raw value
+ *   {{#keywords}}..{{/keywords}}  lines kept only when the value is set
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const images = require('./build-images');
+const structuredData = require('./structured-data');
+const sitemap = require('./sitemap');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const PAGES_DIR = path.join(SRC, 'pages');
+const PARTIALS_DIR = path.join(SRC, 'partials');
+const I18N_DIR = path.join(SRC, 'i18n');
+const SITE_CONFIG = path.join(SRC, 'site.json');
+const ROBOTS_TEMPLATE = path.join(SRC, 'robots.txt');
+
+const MAX_INCLUDE_DEPTH = 10;
+
+// Attribute values that point at a file of ours, relative to the page
+const RELATIVE_FILE = /^(?![a-z][\w+.-]*:|\/|#|\.\.\/)[\w./-]+\.(html|css|js|json|xml|txt|ico|png|jpe?g|webp|avif|svg|gif)([?#].*)?$/i;
+
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split the leading "---" block of `key: value` lines from the page body.
+ * Lines that are not key/value pairs (blank lines, # comments) are ignored.
+ */
+const parseFrontMatter = (source) => {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!pair) return;
+
+    const value = pair[2].trim();
+    data[pair[1]] = value === 'true' ? true : value === 'false' ? false : value;
+  });
+
+  return { data, body: source.slice(match[0].length) };
+};
+
+/**
+ * The data-category of a page's testimonial carousel: null without a
+ * carousel, '' for one that starts on every review.
+ */
+const carouselCategory = (source) => {
+  const carousel = source.match(/<div class="testimonial-carousel\b[^>]*>/);
+  if (!carousel) return null;
+
+  const category = carousel[0].match(/data-category="([^"]*)"/);
+  return category ? category[1] : '';
+};
+
+/**
+ * Add `active` to the nav link pointing at `nav`. Pages that live inside a
+ * dropdown (the portfolio pages) highlight the dropdown trigger instead.
+ */
+const markActiveNav = (html, nav) => {
+  if (!nav) return html;
+
+  const href = `href="${nav}"`;
+  const link = new RegExp(`(<a ${escapeRegExp(href)} class="nav-link)"`, 'g');
+
+  if (html.includes(`<a ${href} class="nav-link"`)) {
+    return html.replace(link, '$1 active"');
+  }
+
+  return html.replace(
+    /<div class="nav-dropdown">\s*<button type="button" class="nav-link nav-link-dropdown"[\s\S]*?<\/div>\s*<\/div>/g,
+    dropdown => (dropdown.includes(href)
+      ? dropdown.replace('nav-link-dropdown"', 'nav-link-dropdown active"')
+      : dropdown)
+  );
+};
+
+const readPartial = (name, cache) => {
+  if (!cache.has(name)) {
+    const file = path.join(PARTIALS_DIR, `${name}.html`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Unknown partial "${name}"`);
+    }
+    cache.set(name, fs.readFileSync(file, 'utf8'));
+  }
+  return cache.get(name);
+};
+
+const lookup = (context, key) => {
+  const value = key.split('.').reduce((scope, name) => {
+    if (scope == null || typeof scope !== 'object' || !(name in scope)) {
+      throw new Error(`Unknown variable "${key}"`);
+    }
+    return scope[name];
+  }, context);
+
+  return value === false || value == null ? '' : value;
+};
+
+/**
+ * Render a template: sections first, then variables, then includes (each
+ * partial is rendered on its own so its output is never re-scanned).
+ */
+const render = (template, context, partials = new Map(), depth = 0) => {
+  if (depth > MAX_INCLUDE_DEPTH) {
+    throw new Error('Partials are nested too deeply (circular include?)');
+  }
+
+  return template
+    .replace(
+      /^[ \t]*\{\{#(\w+)\}\}\r?\n([\s\S]*?)^[ \t]*\{\{\/\1\}\}\r?\n/gm,
+      (match, key, inner) => (context[key] ? inner : '')
+    )
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (match, key) => String(lookup(context, key)))
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => escapeHTML(lookup(context, key)))
+    .replace(/^([ \t]*)\{\{>\s*([\w-]+)\s*\}\}[ \t]*(\r?\n|$)/gm, (match, indent, name, eol) => {
+      const html = markActiveNav(render(readPartial(name, partials), context, partials, depth + 1), context.nav);
+
+      return html
+        .replace(/\r?\n$/, '')
+        .split(/\r?\n/)
+        .map(line => (line ? indent + line : line))
+        .join('\n') + eol;
+    });
+};
+
+const absoluteUrl = (baseUrl, url) => (/^https?:\/\//.test(url) ? url : `${baseUrl}/${url.replace(/^\//, '')}`);
+
+/**
+ * Merge site defaults with the page's front-matter and derive the
+ * canonical URL, robots directive and active nav item from the file name.
+ * `output` is where the page is written, e.g. hi/contact.html.
+ */
+const getPageContext = (file, data, site, locale = site.defaultLocale) => {
+  const prefix = site.locales[locale].path;
+  const context = { ...site.defaults, ...data, page: file, output: prefix + file, lang: locale };
+
+  if (!context.title) {
+    throw new Error('Missing "title" in front-matter');
+  }
+
+  if (!context.nav) {
+    context.nav = file;
+  }
+
+  if (context.noindex) {
+    context.robots = 'noindex, nofollow';
+    context.canonical = '';
+  } else {
+    context.canonical = absoluteUrl(site.baseUrl, context.canonical || (file === 'index.html' ? prefix : context.output));
+  }
+
+  if (context.ogImage) {
+    context.ogImage = absoluteUrl(site.baseUrl, context.ogImage);
+  }
+
+  return context;
+};
+
+const loadCatalogue = (locale) => {
+  const file = path.join(I18N_DIR, `${locale}.json`);
+  const catalogue = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  return { site: catalogue.site || {}, ui: catalogue.ui || {} };
+};
+
+// Public URL of a page, e.g. hi/ or hi/contact.html
+const pageUrl = (site, locale, file) => `${site.locales[locale].path}${file === 'index.html' ? '' : file}`;
+
+// Link from a page in one language folder to a file in another
+const relativeUrl = (site, from, to, file) => path.posix.relative(`/${site.locales[from].path}`, `/${site.locales[to].path}${file}`);
+
+/**
+ * hreflang alternates and language switcher links for one page.
+ * Languages without a translation of the page link to their home page.
+ */
+const getLanguageContext = (file, locale, site, translations) => {
+  const available = translations.get(file) || [];
+
+  const alternates = available.length > 1
+    ? available
+      .map(code => `<link rel="alternate" hreflang="${code}" href="${absoluteUrl(site.baseUrl, pageUrl(site, code, file))}">`)
+      .concat(`<link rel="alternate" hreflang="x-default" href="${absoluteUrl(site.baseUrl, pageUrl(site, site.defaultLocale, file))}">`)
+    : [];
+
+  const links = Object.entries(site.locales).map(([code, { name }]) => {
+    const translated = available.includes(code);
+    const attributes = [
+      `href="${relativeUrl(site, locale, code, translated ? file : 'index.html')}"`,
+      `hreflang="${code}"`,
+      `lang="${code}"`,
+      `class="language-link${code === locale ? ' active' : ''}"`,
+      code === locale ? 'aria-current="true"' : '',
+      translated ? 'data-translated' : ''
+    ].filter(Boolean);
+
+    return `<a ${attributes.join(' ')}>${escapeHTML(name)}</a>`;
+  });
+
+  return {
+    hreflangLinks: alternates.join('\n'),
+    languageLinks: links.join('\n  ')
+  };
+};
+
+/**
+ * Point relative URLs in a page written to a language folder back at the
+ * site root, except links to pages that exist in that language.
+ */
+const localizeUrls = (html, prefix, localPages) => {
+  const depth = prefix.split('/').filter(Boolean).length;
+  if (!depth) return html;
+
+  const up = '../'.repeat(depth);
+  const rewrite = (url) => {
+    if (!RELATIVE_FILE.test(url)) return url;
+    return localPages.has(url.replace(/[?#].*$/, '')) ? url : up + url;
+  };
+
+  return html.replace(/(\s)((?:href|src|action|poster|data-[\w-]+|srcset))="([^"]*)"/g, (match, space, name, value) => {
+    const rewritten = /srcset$/.test(name)
+      ? value.split(',').map(candidate => candidate.replace(/^(\s*)(\S+)/, (all, lead, url) => lead + rewrite(url))).join(',')
+      : rewrite(value);
+
+    return `${space}${name}="${rewritten}"`;
+  });
+};
+
+/**
+ * Write `content` to `file` at the site root unless it is unchanged.
+ * In check mode nothing is written; changed files are collected in `stale`.
+ */
+const writeOutput = (file, text, { check, stale }) => {
+  // The published files use CRLF line endings
+  const content = text.replace(/\r?\n/g, '\r\n');
+  const output = path.join(ROOT, file);
+  const current = fs.existsSync(output) ? fs.readFileSync(output, 'utf8') : null;
+
+  if (current === content) return;
+
+  if (check) {
+    stale.push(file);
+  } else {
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, content);
+    console.log(`Built ${file}`);
+  }
+};
+
+const build = ({ check = false } = {}) => {
+  const site = JSON.parse(fs.readFileSync(SITE_CONFIG, 'utf8'));
+  const locales = Object.keys(site.locales);
+  const partials = new Map();
+  const sources = new Map();
+  const pages = new Map();
+  const translations = new Map();
+  const manifest = images.readManifest();
+  const reviews = structuredData.readReviews();
+  const options = { check, stale: [] };
+  const missing = images.missingFiles(manifest);
+
+  if (missing.length) {
+    throw new Error(`data/images.json lists files that do not exist (run npm run images): ${missing.join(', ')}`);
+  }
+
+  // Every page's metadata is needed up front for breadcrumb trails and
+  // language alternates
+  locales.forEach(locale => {
+    const dir = path.join(PAGES_DIR, site.locales[locale].path);
+    const localePages = new Map();
+
+    if (fs.existsSync(dir)) {
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.html'))
+        .sort()
+        .forEach(file => {
+          const output = site.locales[locale].path + file;
+
+          try {
+            const { data, body } = parseFrontMatter(fs.readFileSync(path.join(dir, file), 'utf8'));
+            localePages.set(file, getPageContext(file, data, site, locale));
+            sources.set(output, body);
+          } catch (error) {
+            throw new Error(`${output}: ${error.message}`);
+          }
+
+          translations.set(file, (translations.get(file) || []).concat(locale));
+        });
+    }
+
+    pages.set(locale, localePages);
+  });
+
+  const files = [];
+
+  locales.forEach(locale => {
+    const { path: prefix } = site.locales[locale];
+    const catalogue = loadCatalogue(locale);
+    const fallback = loadCatalogue(site.defaultLocale);
+    // Untranslated parents (e.g. for breadcrumbs) fall back to the default language
+    const localePages = new Map([...pages.get(site.defaultLocale), ...pages.get(locale)]);
+
+    pages.get(locale).forEach((context, file) => {
+      let html;
+
+      try {
+        // Reviews and ratings are only claimed where they are on screen
+        const source = sources.get(context.output);
+        const category = carouselCategory(source);
+        const blocks = structuredData.forPage(file, localePages, site,
+          category === null ? undefined : structuredData.reviewsOnScreen(reviews, category));
+        const errors = blocks.flatMap(structuredData.validate);
+        if (errors.length) {
+          throw new Error(errors.join('; '));
+        }
+
+        Object.assign(context, getLanguageContext(file, locale, site, translations), {
+          structuredData: structuredData.toScriptTags(blocks),
+          business: site.business,
+          t: { ...fallback.site, ...catalogue.site },
+          i18nStrings: Object.keys(catalogue.ui).length ? JSON.stringify(catalogue.ui).replace(/</g, '\\u003c') : ''
+        });
+
+        html = images.rewriteImages(render(source, context, partials), manifest);
+        html = localizeUrls(html, prefix, pages.get(locale));
+      } catch (error) {
+        throw new Error(`${context.output}: ${error.message}`);
+      }
+
+      writeOutput(context.output, html, options);
+      files.push(context.output);
+    });
+  });
+
+  // Audit what was actually published before listing it in the sitemap
+  const crawled = sitemap.crawl(ROOT, locales.map(locale => site.locales[locale].path));
+  const published = new Map([...pages.values()].flatMap(localePages => [...localePages.values()]).map(context => [context.output, context]));
+  const errors = sitemap.audit(crawled, { root: ROOT, baseUrl: site.baseUrl });
+
+  if (errors.length) {
+    throw new Error(`Site audit failed:\n  ${errors.join('\n  ')}`);
+  }
+
+  const entries = crawled
+    .filter(page => !page.noindex && published.has(page.file) && published.get(page.file).sitemap !== false)
+    .map(page => {
+      const context = published.get(page.file);
+      return {
+        loc: page.canonical,
+        lastmod: context.lastmod || context.dateModified || sitemap.lastModified(path.join(PAGES_DIR, page.file)),
+        changefreq: context.changefreq,
+        priority: context.priority
+      };
+    })
+    .sort((a, b) => Number(b.priority || 0) - Number(a.priority || 0));
+
+  writeOutput('sitemap.xml', sitemap.renderSitemap(entries), options);
+  writeOutput('robots.txt', render(fs.readFileSync(ROBOTS_TEMPLATE, 'utf8'), {
+    sitemapUrl: `${site.baseUrl}/sitemap.xml`
+  }), options);
+
+  return { files, stale: options.stale };
+};
+
+if (require.main === module) {
+  const check = process.argv.includes('--check');
+
+  try {
+    const { files, stale } = build({ check });
+
+    if (stale.length) {
+      console.error(`Out of date (run node scripts/build.js): ${stale.join(', ')}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${files.length} pages ${check ? 'up to date' : 'rendered'}`);
+    }
+  } catch (error) {
+    console.error(`Build failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { build, render, parseFrontMatter, markActiveNav, getPageContext, localizeUrls };
@@ -0,0 +1,197 @@
+/**
+ * URBANWAYS - LOCAL MOCK SERVER
+ * Serves the site and stands in for the form endpoints during testing.
+ * Usage: node scripts/mock-server.js [port]
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const { createAppointmentBook } = require('./appointments');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ics': 'text/calendar; charset=utf-8'
+};
+
+// Everything posted to the mock API is kept in memory and echoed to the console
+const received = {};
+
+const appointments = createAppointmentBook();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+// POST handlers keyed by path. Each returns [status, body].
+const routes = {
+  '/api/enquiries': (payload) => {
+    if (!payload.name || !payload.phone || !payload.projectType) {
+      return [422, { error: 'name, phone and projectType are required' }];
+    }
+    return [201, { ok: true, id: `ENQ-${Date.now()}` }];
+  },
+
+  // Broken-image reports from ImageErrorHandler's beacon reporter
+  '/api/image-errors': (payload) => {
+    if (!payload.url) {
+      return [422, { error: 'url is required' }];
+    }
+    return [202, { ok: true }];
+  },
+
+  // Core Web Vitals from WebVitals' beacon sink, one metric per request
+  '/api/vitals': (payload) => {
+    if (!payload.name || typeof payload.value !== 'number') {
+      return [422, { error: 'name and numeric value are required' }];
+    }
+    return [202, { ok: true }];
+  },
+
+  // Call-back requests from ContactWidget's panel
+  '/api/callbacks': (payload) => {
+    if (!payload.name || !payload.phone) {
+      return [422, { error: 'name and phone are required' }];
+    }
+    return [201, { ok: true, id: `CB-${Date.now()}` }];
+  },
+
+  // AppointmentScheduler: hold a slot, then book it with contact details
+  '/api/appointments/holds': (payload) => appointments.hold(payload),
+  '/api/appointments/holds/release': (payload) => appointments.release(payload),
+  '/api/appointments': (payload) => appointments.book(payload)
+};
+
+// GET handlers keyed by path. Each receives the query string and returns [status, body].
+const getRoutes = {
+  '/api/availability': (query) => [200, appointments.availability({
+    from: query.get('from'),
+    to: query.get('to')
+  })]
+};
+
+const handleApi = async (req, res, pathname, query) => {
+  if (req.method === 'GET' && getRoutes[pathname]) {
+    const [status, body] = getRoutes[pathname](query);
+    sendJson(res, status, body);
+    return;
+  }
+
+  const handler = routes[pathname];
+  if (!handler || req.method !== 'POST') {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await readBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: 'Invalid JSON' });
+    return;
+  }
+
+  received[pathname] = received[pathname] || [];
+  received[pathname].push(payload);
+  console.log(`[mock] POST ${pathname}`, payload);
+
+  const [status, body] = handler(payload);
+  sendJson(res, status, body);
+};
+
+/**
+ * The file a URL path maps to, or null when it is not part of the site:
+ * anything outside the root (sibling folders that share its name prefix
+ * included), dot-folders and dotfiles such as .git, and node_modules.
+ */
+const resolveStatic = (pathname) => {
+  const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+  if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) return null;
+
+  const segments = path.relative(ROOT, filePath).split(path.sep);
+  if (segments.some(segment => segment.startsWith('.') || segment === 'node_modules')) return null;
+
+  return filePath;
+};
+
+const serveStatic = (res, pathname) => {
+  const filePath = resolveStatic(pathname);
+
+  if (!filePath) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  // Directory URLs such as /hi/ serve their index.html, as a static host would
+  const isDirectory = fs.existsSync(filePath) && fs.statSync(filePath).isDirectory();
+  if (isDirectory && !pathname.endsWith('/')) {
+    res.writeHead(301, { Location: `${pathname}/` });
+    res.end();
+    return;
+  }
+  const file = isDirectory ? path.join(filePath, 'index.html') : filePath;
+
+  fs.readFile(file, (error, content) => {
+    if (error) {
+      fs.readFile(path.join(ROOT, '404.html'), (notFoundError, notFound) => {
+        res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+        res.end(notFoundError ? 'Not found' : notFound);
+      });
+      return;
+    }
+
+    const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(content);
+  });
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (pathname.startsWith('/api/')) {
+    handleApi(req, res, pathname, searchParams);
+  } else {
+    serveStatic(res, decodeURIComponent(pathname));
+  }
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Urbanways mock server running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { server, routes, getRoutes, received, appointments, resolveStatic };
@@ -0,0 +1,182 @@
+/**
+ * URBANWAYS - SITE CRAWLER & SITEMAP
+ * Reads the built HTML files, checks them for missing canonicals,
+ * duplicate titles, broken internal links and invalid JSON-LD, and
+ * renders sitemap.xml. Run as part of scripts/build.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { validate } = require('./structured-data');
+
+const SKIPPED_LINK = /^(#|mailto:|tel:|javascript:|data:)/i;
+
+const decodeEntities = (text) => text
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const escapeXML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const matchAttr = (html, pattern) => {
+  const match = html.match(pattern);
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+/**
+ * Collect what the audit and sitemap need from one built page.
+ */
+const crawlPage = (root, file) => {
+  const html = fs.readFileSync(path.join(root, file), 'utf8');
+  const jsonLd = [];
+  const scriptPattern = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = scriptPattern.exec(html)) !== null) {
+    try {
+      jsonLd.push({ data: JSON.parse(match[1]) });
+    } catch (error) {
+      jsonLd.push({ error: error.message });
+    }
+  }
+
+  return {
+    file,
+    title: matchAttr(html, /<title>([\s\S]*?)<\/title>/i),
+    canonical: matchAttr(html, /<link rel="canonical" href="([^"]*)"/i),
+    noindex: /<meta name="robots" content="noindex/i.test(html),
+    links: [...html.matchAll(/<a\s[^>]*?href="([^"]*)"/gi)].map(link => decodeEntities(link[1])),
+    jsonLd
+  };
+};
+
+/**
+ * Crawl the HTML files at the root and in each of `dirs` (language
+ * folders such as "hi/"). File names are relative to the root.
+ */
+const crawl = (root, dirs = ['']) => dirs
+  .filter(dir => fs.existsSync(path.join(root, dir)))
+  .flatMap(dir => fs.readdirSync(path.join(root, dir))
+    .filter(file => file.endsWith('.html'))
+    .sort()
+    .map(file => crawlPage(root, dir + file)));
+
+/**
+ * Map an internal href to the local file it points at, or null for
+ * external links and same-page anchors. Relative hrefs are resolved
+ * against the folder of the page they appear on.
+ */
+const resolveLink = (href, baseUrl, from = '') => {
+  if (!href || SKIPPED_LINK.test(href)) return null;
+
+  let target = href;
+  if (target.startsWith(baseUrl)) {
+    target = target.slice(baseUrl.length);
+  } else if (/^[a-z]+:|^\/\//i.test(target)) {
+    return null;
+  } else if (!target.startsWith('/')) {
+    target = path.posix.join('/', path.posix.dirname(from), target);
+  }
+
+  target = target.replace(/[?#].*$/, '').replace(/^\//, '');
+  return target === '' || target.endsWith('/') ? `${target}index.html` : target;
+};
+
+/**
+ * Every problem found across the crawled pages. An empty list means the
+ * site is safe to publish.
+ */
+const audit = (pages, { root, baseUrl }) => {
+  const errors = [];
+  const titles = new Map();
+
+  pages.forEach(page => {
+    const report = (message) => errors.push(`${page.file}: ${message}`);
+
+    if (!page.title) {
+      report('missing <title>');
+    }
+
+    if (!page.noindex) {
+      const expected = `${baseUrl}/${page.file.replace(/(^|\/)index\.html$/, '$1')}`;
+
+      if (!page.canonical) {
+        report('missing <link rel="canonical">');
+      } else if (page.canonical !== expected) {
+        report(`canonical ${page.canonical} does not match ${expected}`);
+      }
+
+      if (titles.has(page.title)) {
+        report(`duplicate title "${page.title}" (also on ${titles.get(page.title)})`);
+      } else {
+        titles.set(page.title, page.file);
+      }
+    }
+
+    new Set(page.links).forEach(href => {
+      const target = resolveLink(href, baseUrl, page.file);
+      if (target && !fs.existsSync(path.join(root, target))) {
+        report(`broken internal link "${href}"`);
+      }
+    });
+
+    page.jsonLd.forEach(({ data, error }, index) => {
+      if (error) {
+        report(`JSON-LD block ${index + 1} is not valid JSON (${error})`);
+        return;
+      }
+      validate(data).forEach(message => report(message));
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Date of the last commit touching `file`, falling back to its mtime
+ * outside a git checkout.
+ */
+const lastModified = (file) => {
+  try {
+    const date = execFileSync('git', ['log', '-1', '--format=%cs', '--', file], {
+      cwd: path.dirname(file),
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    if (date) return date;
+  } catch (error) {
+    // Not a git checkout
+  }
+
+  return fs.statSync(file).mtime.toISOString().slice(0, 10);
+};
+
+const renderSitemap = (entries) => {
+  const urls = entries.map(entry => [
+    '  <url>',
+    `    <loc>${escapeXML(entry.loc)}</loc>`,
+    entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>` : null,
+    entry.changefreq ? `    <changefreq>${entry.changefreq}</changefreq>` : null,
+    entry.priority ? `    <priority>${entry.priority}</priority>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    urls.join('\n\n'),
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+module.exports = { crawl, crawlPage, audit, resolveLink, lastModified, renderSitemap };
@@ -0,0 +1,289 @@
+/**
+ * URBANWAYS - STRUCTURED DATA
+ * Builds and validates the JSON-LD emitted by scripts/build.js:
+ * BreadcrumbList for every indexable page, BlogPosting (an Article type)
+ * for `ogType: article` pages and the LocalBusiness from src/site.json,
+ * rated from the client reviews in data/reviews.json.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const REVIEWS = path.resolve(__dirname, '..', 'data', 'reviews.json');
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+const LOCAL_BUSINESS_TYPES = ['LocalBusiness', 'InteriorDesigner', 'HomeAndConstructionBusiness', 'GeneralContractor'];
+const ARTICLE_TYPES = ['Article', 'BlogPosting', 'NewsArticle'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+const ABSOLUTE_URL = /^https:\/\/[^\s]+$/;
+
+// Google truncates (and may ignore) longer article headlines
+const MAX_HEADLINE_LENGTH = 110;
+
+/**
+ * Home > [section | parent pages...] > page, using each page's
+ * `breadcrumb` front-matter as its label.
+ */
+const breadcrumbTrail = (file, pages, site) => {
+  const trail = [];
+  const seen = new Set();
+  let current = pages.get(file);
+
+  while (current && current.page !== 'index.html') {
+    if (seen.has(current.page)) {
+      throw new Error(`Circular breadcrumb parent at ${current.page}`);
+    }
+    seen.add(current.page);
+
+    trail.unshift({ name: current.breadcrumb || current.title, url: current.canonical });
+
+    const parent = current.parent || 'index.html';
+    const section = (site.sections || {})[parent];
+
+    if (section) {
+      trail.unshift({ name: section.name, url: `${site.baseUrl}${section.url}` });
+      break;
+    }
+
+    if (!pages.has(parent)) {
+      throw new Error(`Unknown breadcrumb parent "${parent}"`);
+    }
+    current = pages.get(parent);
+  }
+
+  const home = pages.get('index.html');
+  trail.unshift({ name: (home && home.breadcrumb) || 'Home', url: (home && home.canonical) || `${site.baseUrl}/` });
+
+  return trail;
+};
+
+const breadcrumbList = (trail) => ({
+  '@context': SCHEMA_CONTEXT,
+  '@type': 'BreadcrumbList',
+  itemListElement: trail.map((crumb, index) => ({
+    '@type': 'ListItem',
+    position: index + 1,
+    name: crumb.name,
+    item: crumb.url
+  }))
+});
+
+const organization = (site) => ({
+  '@type': 'Organization',
+  name: site.business.name,
+  url: site.business.url
+});
+
+const article = (context, site) => ({
+  '@context': SCHEMA_CONTEXT,
+  '@type': 'BlogPosting',
+  headline: context.headline || context.ogTitle || context.title,
+  description: context.description,
+  image: context.ogImage,
+  author: organization(site),
+  publisher: {
+    ...organization(site),
+    logo: {
+      '@type': 'ImageObject',
+      url: site.business.logo
+    }
+  },
+  datePublished: context.datePublished,
+  dateModified: context.dateModified || context.datePublished,
+  mainEntityOfPage: {
+    '@type': 'WebPage',
+    '@id': context.canonical
+  },
+  inLanguage: context.lang
+});
+
+const readReviews = () => (fs.existsSync(REVIEWS)
+  ? JSON.parse(fs.readFileSync(REVIEWS, 'utf8'))
+  : { reviews: [] });
+
+// Mirrors aggregateRating() in modules/testimonial-carousel.js
+const aggregateRating = ({ reviews, bestRating = 5 }) => ({
+  '@type': 'AggregateRating',
+  ratingValue: Math.round((reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length) * 10) / 10,
+  reviewCount: reviews.length,
+  bestRating,
+  worstRating: 1
+});
+
+/**
+ * The reviews a testimonial carousel shows before any filter is touched,
+ * chosen the way TestimonialCarousel does: newest first, narrowed to its
+ * data-category when that category has reviews.
+ */
+const reviewsOnScreen = (reviewData, category) => {
+  const reviews = reviewData.reviews.slice().sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  const matching = reviews.filter(review => review.category === category);
+
+  return { ...reviewData, reviews: category && matching.length ? matching : reviews };
+};
+
+// Mirrors TestimonialCarousel#renderSchema(); rating and date are optional
+const review = (entry, lang, bestRating = 5) => ({
+  '@type': 'Review',
+  author: { '@type': 'Person', name: entry.author },
+  ...(entry.date ? { datePublished: entry.date } : {}),
+  reviewBody: typeof entry.quote === 'string' ? entry.quote : entry.quote[lang] || entry.quote.en,
+  ...(entry.rating ? {
+    reviewRating: {
+      '@type': 'Rating',
+      ratingValue: entry.rating,
+      bestRating,
+      worstRating: 1
+    }
+  } : {})
+});
+
+/**
+ * `reviewData` is what the page shows (see reviewsOnScreen). Rated reviews
+ * give the business its aggregateRating; otherwise `rating` (site.json's
+ * businessRating, claimed only on pages with `businessRating: true`) is
+ * used. Ratings are optional in data/reviews.json.
+ */
+const localBusiness = (site, reviewData = { reviews: [] }, lang = site.defaultLocale, rating = null) => {
+  const rated = reviewData.reviews.filter(entry => entry.rating);
+  const businessRating = rated.length ? aggregateRating({ ...reviewData, reviews: rated }) : rating;
+
+  return {
+    '@context': SCHEMA_CONTEXT,
+    ...site.business,
+    ...(businessRating ? { aggregateRating: businessRating } : {}),
+    ...(reviewData.reviews.length ? { review: reviewData.reviews.map(entry => review(entry, lang, reviewData.bestRating)) } : {})
+  };
+};
+
+/**
+ * All generated JSON-LD objects for one page (empty for noindex pages).
+ */
+const forPage = (file, pages, site, reviewData) => {
+  const context = pages.get(file);
+  if (context.noindex) return [];
+
+  const blocks = [];
+
+  if (context.localBusiness) {
+    blocks.push(localBusiness(site, reviewData, context.lang, context.businessRating ? site.businessRating : null));
+  }
+
+  if (context.ogType === 'article') {
+    blocks.push(article(context, site));
+  }
+
+  if (file !== 'index.html') {
+    blocks.push(breadcrumbList(breadcrumbTrail(file, pages, site)));
+  }
+
+  return blocks;
+};
+
+const typesOf = (data) => [].concat(data['@type'] || []);
+
+/**
+ * Check one JSON-LD object against the properties search engines require.
+ * Returns a list of human-readable problems (empty when valid).
+ */
+const validate = (data) => {
+  const errors = [];
+  const types = typesOf(data);
+  const label = types.join('/') || 'JSON-LD block';
+
+  const requireProps = (props) => props.forEach(prop => {
+    if (data[prop] === undefined || data[prop] === '' || data[prop] === null) {
+      errors.push(`${label} is missing "${prop}"`);
+    }
+  });
+
+  const requireUrl = (value, name) => {
+    if (value !== undefined && !ABSOLUTE_URL.test(value)) {
+      errors.push(`${label} ${name} must be an absolute https URL (got "${value}")`);
+    }
+  };
+
+  if (data['@context'] !== SCHEMA_CONTEXT) {
+    errors.push(`${label} must use "@context": "${SCHEMA_CONTEXT}"`);
+  }
+
+  if (!types.length) {
+    errors.push('JSON-LD block is missing "@type"');
+  }
+
+  if (types.some(type => ARTICLE_TYPES.includes(type))) {
+    requireProps(['headline', 'image', 'datePublished', 'author', 'publisher', 'mainEntityOfPage']);
+
+    if (data.headline && data.headline.length > MAX_HEADLINE_LENGTH) {
+      errors.push(`${label} headline is longer than ${MAX_HEADLINE_LENGTH} characters`);
+    }
+
+    ['datePublished', 'dateModified'].forEach(prop => {
+      if (data[prop] && !ISO_DATE.test(data[prop])) {
+        errors.push(`${label} ${prop} must be an ISO 8601 date (got "${data[prop]}")`);
+      }
+    });
+
+    if (data.datePublished && data.dateModified && data.dateModified < data.datePublished) {
+      errors.push(`${label} dateModified is before datePublished`);
+    }
+
+    requireUrl(data.image, 'image');
+  }
+
+  if (types.includes('BreadcrumbList')) {
+    const items = data.itemListElement;
+
+    if (!Array.isArray(items) || items.length < 2) {
+      errors.push(`${label} needs at least two itemListElement entries`);
+    } else {
+      items.forEach((item, index) => {
+        if (item.position !== index + 1) {
+          errors.push(`${label} item ${index + 1} has position ${item.position}`);
+        }
+        if (!item.name) {
+          errors.push(`${label} item ${index + 1} is missing "name"`);
+        }
+        requireUrl(item.item, `item ${index + 1}`);
+      });
+    }
+  }
+
+  if (types.some(type => LOCAL_BUSINESS_TYPES.includes(type))) {
+    requireProps(['name', 'url', 'telephone', 'address']);
+    requireUrl(data.url, 'url');
+
+    const address = data.address || {};
+    ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'].forEach(prop => {
+      if (!address[prop]) {
+        errors.push(`${label} address is missing "${prop}"`);
+      }
+    });
+  }
+
+  if (data.aggregateRating) {
+    const { ratingValue, reviewCount, bestRating = 5, worstRating = 1 } = data.aggregateRating;
+
+    if (!(ratingValue >= worstRating && ratingValue <= bestRating)) {
+      errors.push(`${label} aggregateRating ratingValue must be between ${worstRating} and ${bestRating} (got "${ratingValue}")`);
+    }
+    if (!(reviewCount > 0)) {
+      errors.push(`${label} aggregateRating needs a reviewCount above 0`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Serialise blocks as <script type="application/ld+json"> tags.
+ */
+const toScriptTags = (blocks) => blocks
+  .map(block => `<script type="application/ld+json">\n${JSON.stringify(block, null, 2)}\n</script>`)
+  .join('\n');
+
+module.exports = { forPage, breadcrumbTrail, breadcrumbList, article, localBusiness, aggregateRating, reviewsOnScreen, readReviews, validate, toScriptTags };
@@ -0,0 +1,179 @@
+/**
+ * URBANWAYS - SERVICE WORKER
+ * Precaches the site shell and keeps the PWA usable offline.
+ * Registered by ServiceWorkerManager in main.js as sw.js?v=<main.js version>,
+ * so every deploy that bumps main.js?v= gets fresh caches. URLs are relative
+ * to this file, so the site also works from a subdirectory.
+ */
+
+'use strict';
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const SHELL_CACHE = `urbanways-shell-${VERSION}`;
+const IMAGE_CACHE = `urbanways-images-${VERSION}`;
+const OFFLINE_URL = 'offline.html';
+const MAX_IMAGES = 80;
+
+const PAGES = [
+  './',
+  'index.html',
+  'about.html',
+  'services.html',
+  'hospitality.html',
+  'commercial.html',
+  'residential.html',
+  'social-infrastructure.html',
+  'blogs.html',
+  'blog-dehradun-interior-design-ideas.html',
+  'blog-interior-designer-cost-dehradun.html',
+  'blog-architect-vs-interior-designer-dehradun.html',
+  'blog-modular-kitchen-dehradun.html',
+  'blog-interior-decorator-near-me-dehradun.html',
+  'blog-best-construction-companies-dehradun.html',
+  'contact.html',
+  'privacy-policy.html',
+  'terms-of-service.html',
+  '404.html',
+  'hi/index.html',
+  'hi/contact.html'
+];
+
+const PRECACHE_URLS = [
+  ...PAGES,
+  OFFLINE_URL,
+  `style.css?v=${VERSION}`,
+  `main.js?v=${VERSION}`,
+  `modules/appointment-scheduler.js?v=${VERSION}`,
+  `modules/cost-estimator.js?v=${VERSION}`,
+  `modules/testimonial-carousel.js?v=${VERSION}`,
+  'manifest.json',
+  'data/projects.json',
+  'data/cost-rates.json',
+  'data/reviews.json',
+  'data/search-index.json'
+];
+
+// ===================================
+// INSTALL & ACTIVATE
+// ===================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Purge every cache that does not belong to this version
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('urbanways-') && key !== SHELL_CACHE && key !== IMAGE_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ===================================
+// FETCH STRATEGIES
+// ===================================
+
+/**
+ * Pages: network first so content stays fresh, cached copy or the
+ * branded offline page when the network is unavailable
+ */
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    // Directory URLs such as hi/ are precached as their index.html
+    const { pathname } = new URL(request.url);
+    const index = pathname.endsWith('/') && await caches.match(`${pathname}index.html`);
+    return index || caches.match(OFFLINE_URL);
+  }
+};
+
+/**
+ * Serve from cache straight away and refresh the cached copy in the background
+ */
+const staleWhileRevalidate = async (event, cacheName, maxEntries) => {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request)
+    .then(async (response) => {
+      // Opaque responses (cross-origin images) report status 0 but are usable
+      if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        if (maxEntries) {
+          await trimCache(cache, maxEntries);
+        }
+      }
+      return response;
+    })
+    .catch(() => cached);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+
+  return refresh;
+};
+
+/**
+ * Versioned CSS/JS never change under the same ?v=, so the cache wins
+ */
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const trimCache = async (cache, maxEntries) => {
+  const keys = await cache.keys();
+  if (keys.length > maxEntries) {
+    await Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  // Form posts and other writes always go to the network
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Live API data such as appointment availability must never be stale
+  if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, MAX_IMAGES));
+  } else if (url.origin === self.location.origin && url.searchParams.has('v')) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+// The site's nav links go to other pages, so give the home page some in-page ones
+const setup = async () => {
+  const page = await loadPage('index.html', { search: '' });
+  const nav = page.document.querySelector('.desktop-nav');
+  ['about', 'services', 'contact'].forEach(id => {
+    nav.insertAdjacentHTML('beforeend', `<a href="#${id}" class="nav-link">${id}</a>`);
+  });
+  new page.main.ActiveNavLink();
+
+  return {
+    page,
+    section: (id) => page.document.getElementById(id),
+    active: () => Array.from(page.document.querySelectorAll('.nav-link.active[href^="#"]'))
+      .map(link => link.getAttribute('href'))
+  };
+};
+
+test('the link for the section crossing the band is marked current', async () => {
+  const { page, section, active } = await setup();
+  const homeLink = page.document.querySelector('.desktop-nav .nav-link[href="index.html"]');
+
+  page.intersect(section('about'));
+  assert.deepEqual(active(), ['#about']);
+  assert.equal(page.document.querySelector('a[href="#about"]').getAttribute('aria-current'), 'location');
+
+  page.intersect(section('services'));
+  page.intersect(section('about'), false);
+  assert.deepEqual(active(), ['#services']);
+  assert.equal(page.document.querySelector('a[href="#about"]').hasAttribute('aria-current'), false);
+
+  page.intersect(section('services'), false);
+  assert.deepEqual(active(), []);
+  assert.ok(homeLink.classList.contains('active'), 'the build\'s current-page link is left alone');
+  page.close();
+});
+
+test('sections without an in-page link are not observed', async () => {
+  const { page, section } = await setup();
+
+  assert.equal(page.observing(section('home')), false);
+  assert.equal(page.observing(section('portfolio')), false);
+  assert.ok(page.observing(section('about')));
+  page.close();
+});
+
+test('the last section wins once it is fully in view', async () => {
+  const { page, section, active } = await setup();
+
+  page.intersect(section('services'));
+  page.intersect(section('contact'));
+  assert.deepEqual(active(), ['#contact'], 'fully visible beats the band');
+  page.close();
+});
+
+test('hash changes and link clicks update the current link straight away', async () => {
+  const { page, active } = await setup();
+
+  page.window.location.hash = '#services';
+  page.window.dispatchEvent(new page.window.HashChangeEvent('hashchange'));
+  assert.deepEqual(active(), ['#services']);
+
+  page.document.querySelector('a[href="#about"]').click();
+  assert.deepEqual(active(), ['#about']);
+  page.close();
+});
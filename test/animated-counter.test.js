@@ -0,0 +1,77 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, REDUCED_MOTION } = require('./helpers/dom');
+
+const figures = (page) => Array.from(page.document.querySelectorAll('.stat-number'))
+  .map(counter => counter.textContent);
+
+test('counts up to every target, suffix included, once the stats are visible', async () => {
+  const page = await loadPage('index.html');
+  new page.main.AnimatedCounter();
+  const stats = page.document.querySelector('.stats-section');
+
+  assert.deepEqual(figures(page), ['0+', '0+', '0+']);
+
+  page.intersect(stats);
+  page.clock.tick(1000);
+  const midway = figures(page).map(text => parseInt(text, 10));
+  assert.ok(midway[2] > 0 && midway[2] < 200, `mid-count value ${midway[2]}`);
+
+  page.clock.runAll();
+  assert.deepEqual(figures(page), ['10+', '30+', '200+']);
+  assert.equal(page.observing(stats), false, 'observer disconnects after counting');
+  page.close();
+});
+
+test('data-duration sets how long the count takes', async () => {
+  const page = await loadPage('index.html');
+  const first = page.document.querySelector('.stat-number');
+  first.setAttribute('data-duration', '400');
+  new page.main.AnimatedCounter();
+
+  page.intersect(page.document.querySelector('.stats-section'));
+  page.clock.tick(420);
+
+  assert.equal(first.textContent, '10+');
+  assert.notEqual(figures(page)[2], '200+', 'the 2s default is still running');
+  page.close();
+});
+
+test('prefixes, decimals and locale grouping are kept', async () => {
+  const page = await loadPage('index.html');
+  const [first, second] = page.document.querySelectorAll('.stat-number');
+  first.setAttribute('data-target', '₹2.5 Cr');
+  second.setAttribute('data-target', '12,500+');
+  new page.main.AnimatedCounter();
+
+  page.intersect(page.document.querySelector('.stats-section'));
+  page.clock.runAll();
+
+  assert.equal(first.textContent, '₹2.5 Cr');
+  assert.equal(second.textContent, '12,500+');
+  page.close();
+});
+
+test('reduced motion leaves the final figures in place', async () => {
+  const page = await loadPage('index.html', { media: { [REDUCED_MOTION]: true } });
+  new page.main.AnimatedCounter();
+
+  assert.deepEqual(figures(page), ['10+', '30+', '200+']);
+  assert.equal(page.observing(page.document.querySelector('.stats-section')), false);
+  page.close();
+});
+
+test('turning on reduced motion mid-count jumps to the end', async () => {
+  const page = await loadPage('index.html');
+  new page.main.AnimatedCounter();
+
+  page.intersect(page.document.querySelector('.stats-section'));
+  page.clock.tick(200);
+  page.setMedia(REDUCED_MOTION, true);
+  page.clock.tick(32);
+
+  assert.deepEqual(figures(page), ['10+', '30+', '200+']);
+  page.close();
+});
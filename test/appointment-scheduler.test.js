@@ -0,0 +1,199 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, loadModule } = require('./helpers/dom');
+const { createAppointmentBook } = require('../scripts/appointments');
+
+const VISITOR = { name: 'Asha Negi', phone: '+91 98765 43210' };
+
+// Monday 19 October 2026, 09:00 at the studio
+const NOW = Date.parse('2026-10-19T03:30:00Z');
+
+// The page talks to the same appointment book scripts/mock-server.js uses
+const setup = async ({ available = true, prepare = () => {} } = {}) => {
+  const page = await loadPage('contact.html');
+  const { window, document } = page;
+  const book = createAppointmentBook(undefined, { now: () => new Date(NOW) });
+  const requests = [];
+  const urls = { created: [], revoked: [] };
+  const errors = [];
+
+  window.Date.now = () => NOW;
+  window.console.error = (message) => errors.push(message);
+  window.URL.createObjectURL = () => {
+    const url = `blob:http://localhost/${urls.created.length + 1}`;
+    urls.created.push(url);
+    return url;
+  };
+  window.URL.revokeObjectURL = (url) => urls.revoked.push(url);
+  window.fetch = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url, window.location.href);
+    const body = init.body ? JSON.parse(init.body) : {};
+    requests.push({ pathname, body });
+
+    const routes = {
+      '/api/availability': () => (available ? book.availability({ from: searchParams.get('from') }) : null),
+      '/api/appointments/holds': () => book.hold(body),
+      '/api/appointments/holds/release': () => book.release(body),
+      '/api/appointments': () => book.book(body)
+    };
+    const result = routes[pathname]();
+    if (!result) throw new TypeError('Failed to fetch');
+
+    const [status, data] = Array.isArray(result) ? result : [200, result];
+    return { ok: status < 400, status, json: async () => JSON.parse(JSON.stringify(data)) };
+  };
+
+  prepare(document);
+  const AppointmentScheduler = loadModule(page, 'appointment-scheduler.js');
+  const scheduler = new AppointmentScheduler();
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+  await flush();
+
+  const container = document.querySelector('.appointment-scheduler');
+  const query = (selector) => container.querySelector(selector);
+
+  return {
+    page,
+    AppointmentScheduler,
+    scheduler,
+    book,
+    requests,
+    urls,
+    errors,
+    container,
+    query,
+    flush,
+    pick: async (slotId) => {
+      query(`.scheduler-slot[data-slot="${slotId}"]`).click();
+      await flush();
+    },
+    chooseType: (type) => {
+      const input = query(`input[name="appointmentType"][value="${type}"]`);
+      input.checked = true;
+      input.dispatchEvent(new window.Event('change', { bubbles: true }));
+    },
+    confirm: async () => {
+      Object.entries(VISITOR).forEach(([name, value]) => { query(`[name="${name}"]`).value = value; });
+      query('.scheduler-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+      await flush();
+    }
+  };
+};
+
+test('picking a slot holds it on the server and opens the details', async () => {
+  const { page, book, query, pick } = await setup();
+
+  assert.equal(query('.scheduler-details').disabled, true);
+  await pick('office-visit@2026-10-20T11:00');
+
+  assert.equal(book.holds.size, 1);
+  assert.equal(query('.scheduler-details').disabled, false);
+  assert.equal(query('.scheduler-slot[data-slot="office-visit@2026-10-20T11:00"]').getAttribute('aria-pressed'), 'true');
+  assert.match(query('.scheduler-hold').textContent, /is held for you for 10 minutes/);
+  page.close();
+});
+
+test('changing the consultation type gives the held slot back', async () => {
+  const { page, book, requests, query, pick, chooseType, flush } = await setup();
+
+  await pick('office-visit@2026-10-20T11:00');
+  const [holdId] = book.holds.keys();
+  chooseType('video-call');
+  await flush();
+
+  assert.deepEqual(requests.at(-1), { pathname: '/api/appointments/holds/release', body: { holdId } });
+  assert.equal(book.holds.size, 0);
+  assert.equal(query('.scheduler-details').disabled, true);
+  assert.ok(query('.scheduler-slot[data-slot="video-call@2026-10-20T11:00"]'));
+  page.close();
+});
+
+test('a booking offers a calendar invite whose link is revoked afterwards', async () => {
+  const { page, book, urls, query, pick, confirm, flush } = await setup();
+
+  await pick('office-visit@2026-10-20T11:00');
+  await confirm();
+
+  assert.equal(book.bookings.size, 1);
+  assert.equal(query('.scheduler-confirmation').hidden, false);
+  assert.equal(query('.scheduler-confirmation a[download]').getAttribute('href'), urls.created[0]);
+
+  query('.scheduler-restart').click();
+  await flush();
+  assert.deepEqual(urls.revoked, [urls.created[0]]);
+
+  await pick('office-visit@2026-10-20T12:00');
+  await confirm();
+  assert.equal(urls.created.length, 2);
+  page.close();
+});
+
+test('destroy stops the hold timer, frees the slot and revokes the invite', async () => {
+  const { page, scheduler, book, query, pick, flush } = await setup();
+
+  await pick('office-visit@2026-10-20T11:00');
+  assert.equal(page.clock.pending, 1);
+  scheduler.destroy();
+  await flush();
+
+  assert.equal(page.clock.pending, 0);
+  assert.equal(book.holds.size, 0);
+
+  // Its listeners are gone too
+  query('.scheduler-slot[data-slot="office-visit@2026-10-20T12:00"]').click();
+  await flush();
+  assert.equal(book.holds.size, 0);
+  page.close();
+
+  const booked = await setup();
+  await booked.pick('office-visit@2026-10-20T11:00');
+  await booked.confirm();
+  booked.scheduler.destroy();
+  assert.deepEqual(booked.urls.revoked, booked.urls.created);
+  booked.page.close();
+});
+
+test('pages without a phone link still explain what went wrong', async () => {
+  const withoutPhone = (document) => document.querySelectorAll('a[href^="tel:"]').forEach(link => link.remove());
+
+  const offline = await setup({ available: false, prepare: withoutPhone });
+  assert.deepEqual(offline.errors, ['Error loading appointment availability:']);
+  assert.equal(offline.query('.scheduler-error').textContent, 'Online booking is unavailable right now. Please send an enquiry.');
+  offline.page.close();
+
+  const withPhone = await setup({ available: false });
+  assert.equal(withPhone.query('.scheduler-error').textContent, 'Online booking is unavailable right now. Please call us on +91 724 887 7772 or send an enquiry.');
+  withPhone.page.close();
+
+  const { page, query, pick } = await setup({ prepare: withoutPhone });
+  page.window.fetch = async () => { throw new TypeError('Failed to fetch'); };
+  await pick('office-visit@2026-10-20T11:00');
+  assert.equal(query('.form-status').textContent, 'We could not reserve that time. Please try again.');
+  page.close();
+});
+
+test('calendar invites fold long lines by octets and take the contact details from the page', async () => {
+  const { page, AppointmentScheduler, scheduler } = await setup();
+  const appointment = {
+    id: 'APT-1',
+    label: 'Site visit',
+    start: '2026-10-20T11:00:00+05:30',
+    end: '2026-10-20T12:30:00+05:30',
+    location: 'आपकी साइट - हम फ़ोन पर पता पक्का करेंगे, देहरादून और आसपास के क्षेत्र में किसी भी प्लॉट या संपत्ति पर'
+  };
+
+  const ics = AppointmentScheduler.toIcs(appointment, scheduler.contact);
+  const lines = ics.split('\r\n').slice(0, -1);
+
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  const unfolded = ics.replace(/\r\n /g, '');
+  assert.match(unfolded, new RegExp(`LOCATION:${appointment.location.replace(/,/g, '\\\\,')}\r\n`));
+  assert.match(unfolded, /Questions or changes: \+917248877772 \/ info@urbanways\.co\.in/);
+  assert.match(unfolded, /ORGANIZER;CN=Urbanways:mailto:info@urbanways\.co\.in/);
+
+  const anonymous = AppointmentScheduler.toIcs(appointment).replace(/\r\n /g, '');
+  assert.doesNotMatch(anonymous, /Questions or changes|ORGANIZER/);
+  page.close();
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, generateSlots, createAppointmentBook } = require('../scripts/appointments');
+
+const config = loadConfig();
+
+// Monday 19 October 2026, 09:00 at the studio
+const setup = (start = '2026-10-19T03:30:00Z') => {
+  let clock = new Date(start);
+  const book = createAppointmentBook(config, { now: () => clock });
+
+  return {
+    book,
+    advance: (minutes) => { clock = new Date(clock.getTime() + minutes * 60000); },
+    free: (date) => book.availability({ from: date, to: date }).slots.map(slot => slot.id)
+  };
+};
+
+const details = { name: 'Asha Negi', phone: '+91 98765 43210' };
+
+test('slots follow the opening hours of each day and type', () => {
+  const ids = (date) => generateSlots(config, date, date).map(slot => slot.id);
+  const tuesday = generateSlots(config, '2026-10-20', '2026-10-20');
+  const ofType = (type) => tuesday.filter(slot => slot.type === type).map(slot => slot.time);
+
+  assert.deepEqual(ofType('office-visit'), ['10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00']);
+  assert.deepEqual(ofType('site-visit'), ['11:00', '13:00']);
+  assert.equal(ofType('video-call').length, 16);
+  assert.deepEqual(tuesday[0], {
+    id: 'office-visit@2026-10-20T10:00',
+    type: 'office-visit',
+    date: '2026-10-20',
+    time: '10:00',
+    start: '2026-10-20T10:00:00+05:30',
+    end: '2026-10-20T10:45:00+05:30'
+  });
+
+  // Saturdays close early, Sundays and listed holidays not at all
+  assert.equal(generateSlots(config, '2026-10-24', '2026-10-24').at(-1).time, '15:30');
+  assert.deepEqual(ids('2026-10-25'), []);
+  assert.deepEqual(ids('2026-12-25'), []);
+});
+
+test('availability leaves out slots inside the notice period and outside the booking window', () => {
+  const { book, free } = setup();
+
+  // 18 hours' notice from 09:00 rules out the rest of Monday
+  assert.deepEqual(free('2026-10-19'), []);
+  assert.ok(free('2026-10-20').includes('office-visit@2026-10-20T10:00'));
+
+  const feed = book.availability({ from: '2026-01-01', to: '2027-12-31' });
+  assert.deepEqual(feed.bookable, { from: '2026-10-19', to: '2026-11-30' });
+  assert.equal(feed.slots[0].date, '2026-10-20');
+  assert.equal(feed.slots.at(-1).date, '2026-11-30');
+});
+
+test('a held slot blocks every overlapping slot of every type', () => {
+  const { book, free } = setup();
+
+  const [status, hold] = book.hold({ slotId: 'office-visit@2026-10-20T11:00' });
+  assert.equal(status, 201);
+  assert.equal(hold.expiresAt, '2026-10-19T03:40:00.000Z');
+
+  const open = free('2026-10-20');
+  ['office-visit@2026-10-20T11:00', 'site-visit@2026-10-20T11:00', 'video-call@2026-10-20T11:00', 'video-call@2026-10-20T11:30']
+    .forEach(id => assert.ok(!open.includes(id), id));
+  // Back-to-back slots are still free
+  ['office-visit@2026-10-20T10:00', 'video-call@2026-10-20T10:30', 'office-visit@2026-10-20T12:00']
+    .forEach(id => assert.ok(open.includes(id), id));
+
+  assert.deepEqual(book.hold({ slotId: 'office-visit@2026-10-20T11:00' }), [409, { error: 'That slot is no longer available' }]);
+  assert.equal(book.hold({ slotId: 'site-visit@2026-10-20T11:00' })[0], 409);
+});
+
+test('unknown, closed and too-soon slots cannot be held', () => {
+  const { book } = setup();
+
+  ['', 'office-visit@2026-10-20T10:15', 'workshop@2026-10-20T10:00', 'office-visit@2026-10-25T10:00', 'office-visit@2026-10-19T17:00']
+    .forEach(slotId => assert.equal(book.hold({ slotId })[0], 409, slotId));
+  assert.equal(book.holds.size, 0);
+});
+
+test('choosing another slot releases the visitor\'s previous hold', () => {
+  const { book, free } = setup();
+
+  const [, first] = book.hold({ slotId: 'office-visit@2026-10-20T11:00' });
+  const [status] = book.hold({ slotId: 'video-call@2026-10-20T11:30', replaces: first.holdId });
+
+  assert.equal(status, 201);
+  assert.equal(book.holds.size, 1);
+  assert.ok(free('2026-10-20').includes('office-visit@2026-10-20T10:00'));
+  assert.ok(!free('2026-10-20').includes('office-visit@2026-10-20T11:00'));
+  assert.equal(book.book({ ...details, holdId: first.holdId })[0], 410);
+});
+
+test('an expired hold frees the slot and can no longer be booked', () => {
+  const { book, advance, free } = setup();
+
+  const [, hold] = book.hold({ slotId: 'office-visit@2026-10-20T11:00' });
+  advance(config.holdMinutes);
+
+  assert.ok(free('2026-10-20').includes('office-visit@2026-10-20T11:00'));
+  assert.deepEqual(book.book({ ...details, holdId: hold.holdId }), [410, { error: 'Your hold on this slot has expired' }]);
+  assert.equal(book.bookings.size, 0);
+});
+
+test('a booked slot cannot be booked twice', () => {
+  const { book, advance, free } = setup();
+
+  const [, hold] = book.hold({ slotId: 'office-visit@2026-10-20T11:00' });
+  assert.deepEqual(book.book({ holdId: hold.holdId, name: 'Asha Negi' }), [422, { error: 'name and phone are required' }]);
+
+  const [status, appointment] = book.book({ ...details, holdId: hold.holdId });
+  assert.equal(status, 201);
+  assert.equal(appointment.slotId, 'office-visit@2026-10-20T11:00');
+  assert.equal(appointment.label, 'Office visit');
+  assert.equal(appointment.name, details.name);
+
+  // The hold is used up, and the booking outlives it
+  assert.equal(book.book({ ...details, holdId: hold.holdId })[0], 410);
+  advance(config.holdMinutes * 2);
+  assert.ok(!free('2026-10-20').includes('office-visit@2026-10-20T11:00'));
+  assert.equal(book.hold({ slotId: 'office-visit@2026-10-20T11:00' })[0], 409);
+  assert.equal(book.hold({ slotId: 'video-call@2026-10-20T11:30' })[0], 409);
+});
+
+test('bookings made in the same instant are all kept', () => {
+  const { book, free } = setup();
+  const slotIds = ['office-visit@2026-10-20T10:00', 'office-visit@2026-10-20T11:00', 'office-visit@2026-10-20T12:00'];
+
+  const appointments = slotIds.map(slotId => book.book({ ...details, holdId: book.hold({ slotId })[1].holdId })[1]);
+
+  assert.equal(new Set(appointments.map(appointment => appointment.id)).size, slotIds.length);
+  assert.equal(book.bookings.size, slotIds.length);
+  slotIds.forEach(slotId => assert.ok(!free('2026-10-20').includes(slotId), slotId));
+});
+
+test('releasing a hold frees its slot straight away', () => {
+  const { book, free } = setup();
+
+  const [, hold] = book.hold({ slotId: 'office-visit@2026-10-20T11:00' });
+  assert.deepEqual(book.release({ holdId: hold.holdId }), [200, { released: true }]);
+  assert.ok(free('2026-10-20').includes('office-visit@2026-10-20T11:00'));
+
+  // Releasing twice, or an unknown hold, is harmless
+  assert.deepEqual(book.release({ holdId: hold.holdId }), [200, { released: false }]);
+  assert.deepEqual(book.release(), [200, { released: false }]);
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const setup = async (search = '') => {
+  const page = await loadPage('blogs.html', { search });
+  const filter = new page.main.BlogFilter();
+  const { document } = page;
+
+  return {
+    page,
+    filter,
+    button: (category) => document.querySelector(`.category-btn[data-category="${category}"]`),
+    tag: (name) => document.querySelector(`.tag-btn[data-tag="${name}"]`),
+    visible: () => Array.from(document.querySelectorAll('.blog-card-link'))
+      .filter(link => link.style.display !== 'none')
+      .map(link => link.getAttribute('href')),
+    count: () => document.querySelector('.blog-count').textContent,
+    empty: () => document.querySelector('.blog-empty')
+  };
+};
+
+test('shows every article until a filter is chosen', async () => {
+  const { page, visible, count, button } = await setup();
+
+  assert.equal(visible().length, 6);
+  assert.equal(count(), '6 articles');
+  assert.equal(button('all').getAttribute('aria-pressed'), 'true');
+  page.close();
+});
+
+test('a category button narrows the list and records it in the URL', async () => {
+  const { page, visible, count, button } = await setup();
+
+  button('design').click();
+
+  assert.deepEqual(visible(), [
+    'blog-dehradun-interior-design-ideas.html',
+    'blog-modular-kitchen-dehradun.html'
+  ]);
+  assert.equal(count(), '2 articles');
+  assert.equal(button('design').getAttribute('aria-pressed'), 'true');
+  assert.ok(button('design').classList.contains('active'));
+  assert.equal(button('all').getAttribute('aria-pressed'), 'false');
+  assert.equal(page.window.location.search, '?category=design');
+  page.close();
+});
+
+test('tags combine with the category and with each other', async () => {
+  const { page, visible, count, button, tag } = await setup();
+
+  tag('budget').click();
+  assert.equal(visible().length, 3);
+
+  button('guides').click();
+  assert.deepEqual(visible(), ['blog-interior-decorator-near-me-dehradun.html']);
+  assert.equal(count(), '1 article');
+  assert.equal(tag('budget').getAttribute('aria-pressed'), 'true');
+
+  // Clicking a selected tag removes it again
+  tag('budget').click();
+  assert.equal(tag('budget').getAttribute('aria-pressed'), 'false');
+  assert.equal(visible().length, 3);
+  page.close();
+});
+
+test('no matches reveals the empty state', async () => {
+  const { page, visible, count, button, tag, empty } = await setup();
+
+  assert.equal(empty().hidden, true);
+  button('design').click();
+  tag('construction').click();
+
+  assert.equal(visible().length, 0);
+  assert.equal(count(), '0 articles');
+  assert.equal(empty().hidden, false);
+  page.close();
+});
+
+test('filters are restored from the query string and unknown values ignored', async () => {
+  const { page, filter, visible, button, tag } = await setup('?category=guides&tags=hiring,unknown&sort=bogus');
+
+  assert.equal(filter.state.category, 'guides');
+  assert.deepEqual(Array.from(filter.state.tags), ['hiring']);
+  assert.equal(filter.state.sort, 'date');
+  assert.equal(visible().length, 3);
+  assert.equal(button('guides').getAttribute('aria-pressed'), 'true');
+  assert.equal(tag('hiring').getAttribute('aria-pressed'), 'true');
+  page.close();
+});
+
+test('sorting reorders the cards in the grid', async () => {
+  const { page } = await setup('?sort=oldest');
+  const order = () => Array.from(page.document.querySelectorAll('.blog-grid .blog-card'))
+    .map(card => card.getAttribute('data-date'));
+
+  assert.deepEqual(order(), ['2025-11-05', '2025-11-06', '2025-11-07', '2025-11-08', '2025-11-09', '2025-11-10']);
+
+  const select = page.document.querySelector('.blog-sort');
+  select.value = 'date';
+  select.dispatchEvent(new page.window.Event('change'));
+
+  assert.equal(order()[0], '2025-11-10');
+  assert.equal(page.window.location.search, '');
+  page.close();
+});
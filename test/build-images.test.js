@@ -0,0 +1,29 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readManifest, missingFiles } = require('../scripts/build-images');
+
+test('every optimised file in the manifest is committed', () => {
+  const manifest = readManifest();
+
+  assert.ok(Object.keys(manifest).length > 0);
+  assert.deepEqual(missingFiles(manifest), []);
+});
+
+test('missing variants are reported once, whichever format lists them', () => {
+  const [[src, image]] = Object.entries(readManifest());
+  const manifest = {
+    [src]: {
+      ...image,
+      sources: {
+        ...image.sources,
+        avif: `${image.sources.avif}, assets/images/optimized/gone-2000.avif 2000w`,
+        webp: `assets/images/optimized/gone-2000.avif 2000w, ${image.sources.webp}`
+      }
+    },
+    'gone.jpg': { ...image, src: 'assets/images/optimized/gone-800.jpg', sources: {} }
+  };
+
+  assert.deepEqual(missingFiles(manifest), ['assets/images/optimized/gone-2000.avif', 'assets/images/optimized/gone-800.jpg']);
+});
@@ -0,0 +1,254 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, loadModule } = require('./helpers/dom');
+
+const HOURS = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', 'data', 'availability.json'), 'utf8'));
+
+const setup = async (file = 'about.html', { respond = () => ({ ok: true, status: 201, json: async () => ({ ok: true }) }) } = {}) => {
+  const page = await loadPage(file);
+  const { window, document } = page;
+  const requests = [];
+  const tracked = [];
+
+  window.fetch = async (url, init = {}) => {
+    requests.push({ url, method: init.method || 'GET', body: init.body ? JSON.parse(init.body) : null });
+    if (String(url).endsWith('availability.json')) {
+      return { ok: true, status: 200, json: async () => HOURS };
+    }
+    return respond();
+  };
+  page.main.events.on('analytics:track', (event) => tracked.push(event));
+
+  const widget = new page.main.ContactWidget();
+  const query = (selector) => document.querySelector(selector);
+
+  return {
+    page,
+    widget,
+    requests,
+    tracked,
+    query,
+    toggle: () => query('.contact-widget-toggle'),
+    panel: () => query('.contact-widget-panel'),
+    message: () => new URL(query('.contact-widget-whatsapp').href).searchParams.get('text'),
+    flush: () => new Promise(resolve => setImmediate(resolve))
+  };
+};
+
+test('the WhatsApp float becomes a toggle for the contact panel', async () => {
+  const { page, query, toggle, panel, message } = await setup();
+
+  assert.equal(query('a.whatsapp-float'), null);
+  assert.equal(toggle().getAttribute('aria-expanded'), 'false');
+  assert.equal(panel().hidden, true);
+
+  toggle().click();
+  assert.equal(panel().hidden, false);
+  assert.equal(toggle().getAttribute('aria-expanded'), 'true');
+  assert.equal(page.document.activeElement, query('.contact-widget-whatsapp'));
+  assert.equal(message(), "Hi Urbanways, I'm interested in your interior design services");
+  assert.equal(query('.contact-widget-channel[data-track-channel="call"]').getAttribute('href'), 'tel:+917248877772');
+  assert.match(query('.contact-widget-email').getAttribute('href'), /^mailto:info@urbanways\.co\.in\?body=/);
+
+  page.keydown('Escape');
+  assert.equal(panel().hidden, true);
+  assert.equal(page.document.activeElement, toggle());
+  page.close();
+});
+
+test('a click outside the panel closes it', async () => {
+  const { page, toggle, panel } = await setup();
+
+  toggle().click();
+  page.document.querySelector('main').click();
+  assert.equal(panel().hidden, true);
+  page.close();
+});
+
+test('articles pre-fill the WhatsApp message with their title', async () => {
+  const { page, message, query } = await setup('blog-modular-kitchen-dehradun.html');
+
+  assert.equal(message(), 'Hi Urbanways, I was reading "Ultimate Modular Kitchen Design Guide for Dehradun Homes: Trends, Costs & Ideas 2025" and have a question.');
+  assert.equal(query('.contact-widget-whatsapp').dataset.trackContext, 'article');
+  page.close();
+});
+
+test('the last project opened in the lightbox, then an estimate, set the context', async () => {
+  const { page, message, query } = await setup('residential.html');
+  new page.main.GalleryLightbox();
+
+  page.document.querySelector('.gallery-image img').click();
+  const project = page.document.querySelector('.gallery-item h3').textContent.trim();
+  assert.equal(message(), `Hi Urbanways, I saw your ${project} project and would like something similar.`);
+  assert.equal(query('.contact-widget-whatsapp').dataset.trackContext, 'project');
+
+  page.main.events.emit('estimate:change', { tier: 'Premium', total: '₹4,00,000 – ₹5,50,000' });
+  assert.equal(message(), 'Hi Urbanways, my online estimate came to ₹4,00,000 – ₹5,50,000 for a Premium finish. Could you give me an exact quote?');
+  assert.equal(query('.contact-widget-channel[data-track-channel="call"]').dataset.trackContext, 'estimate');
+  page.close();
+});
+
+test('the cost estimator keeps the article context until the visitor changes the estimate', async () => {
+  const file = 'blog-interior-designer-cost-dehradun.html';
+  const rates = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', 'data', 'cost-rates.json'), 'utf8'));
+  const { page, message, query, flush } = await setup(file);
+  const article = `Hi Urbanways, I was reading "${page.document.querySelector('.blog-post-title').textContent.trim()}" and have a question.`;
+
+  page.window.fetch = async () => ({ ok: true, status: 200, json: async () => rates });
+  const CostEstimator = loadModule(page, 'cost-estimator.js');
+  new CostEstimator();
+  await flush();
+
+  assert.ok(page.document.querySelector('.estimator-result table'));
+  assert.equal(message(), article);
+  assert.equal(query('.contact-widget-whatsapp').dataset.trackContext, 'article');
+
+  const premium = page.document.querySelector('.estimator-tier input[value="premium"]');
+  premium.checked = true;
+  premium.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  assert.match(message(), /^Hi Urbanways, my online estimate came to .+ for a Premium finish\./);
+  assert.equal(query('.contact-widget-whatsapp').dataset.trackContext, 'estimate');
+  page.close();
+});
+
+test('availability follows the studio hours, closed days and time zone', async () => {
+  const { page } = await setup();
+  const { getAvailability } = page.main.ContactWidget;
+  const at = (iso) => getAvailability(HOURS, new Date(iso));
+
+  // 10:30 in Dehradun on a Monday
+  assert.deepEqual({ ...at('2026-10-19T05:00:00Z') }, { open: true, until: '18:00' });
+  // 09:00 the same morning
+  assert.deepEqual({ ...at('2026-10-19T03:30:00Z') }, { open: false, opens: '10:00', date: '2026-10-19', days: 0 });
+  // Saturday 16:30, after the early close; Sunday is shut
+  assert.deepEqual({ ...at('2026-10-24T11:00:00Z') }, { open: false, opens: '10:00', date: '2026-10-26', days: 2 });
+  // Saturday evening before a listed holiday Monday
+  assert.deepEqual({ ...at('2026-11-07T13:00:00Z') }, { open: false, opens: '10:00', date: '2026-11-10', days: 3 });
+  page.close();
+});
+
+test('a missing or malformed UTC offset falls back to studio time', async () => {
+  const { page } = await setup();
+  const { getAvailability } = page.main.ContactWidget;
+  const monday = new Date('2026-10-19T05:00:00Z');
+  const expected = { ...getAvailability(HOURS, monday) };
+  const { utcOffset, ...withoutOffset } = HOURS;
+
+  assert.equal(utcOffset, '+05:30');
+  assert.deepEqual({ ...getAvailability(withoutOffset, monday) }, expected);
+  assert.deepEqual({ ...getAvailability({ ...HOURS, utcOffset: 'IST' }, monday) }, expected);
+  assert.deepEqual({ ...getAvailability({ ...HOURS, utcOffset: 530 }, monday) }, expected);
+  page.close();
+});
+
+test('an availability file without hours leaves the panel working', async () => {
+  const page = await loadPage('about.html');
+  const warnings = [];
+  page.window.console.warn = (message) => warnings.push(message);
+  page.window.fetch = async () => ({ ok: true, status: 200, json: async () => ({ utcOffset: '+05:30' }) });
+
+  new page.main.ContactWidget();
+  page.document.querySelector('.contact-widget-toggle').click();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(warnings, ['Office hours unavailable:']);
+  assert.equal(page.document.querySelector('.contact-widget-hours').hidden, true);
+  assert.equal(page.document.querySelector('.contact-widget-panel').hidden, false);
+  page.close();
+});
+
+test('destroy puts the original WhatsApp link back', async () => {
+  const page = await loadPage('about.html');
+  const float = page.document.querySelector('a.whatsapp-float');
+  const widget = new page.main.ContactWidget();
+
+  assert.equal(float.isConnected, false);
+  widget.destroy();
+
+  assert.equal(page.document.querySelector('a.whatsapp-float'), float);
+  assert.equal(page.document.querySelector('.contact-widget'), null);
+  page.close();
+});
+
+test('opening the panel shows office hours from the availability file', async () => {
+  const { page, requests, toggle, query, flush } = await setup();
+  page.main.ContactWidget.getAvailability = () => ({ open: false, opens: '10:00', date: '2026-10-20', days: 1 });
+
+  toggle().click();
+  await flush();
+
+  assert.deepEqual(requests.map(request => request.url), ['http://localhost/data/availability.json']);
+  assert.equal(query('.contact-widget-hours').hidden, false);
+  assert.match(query('.contact-widget-hours').textContent, /^Closed now\. We open tomorrow at 10:00/);
+  assert.match(query('.contact-widget-note').textContent, /call you back tomorrow after 10:00/);
+
+  // Hours are fetched once per page
+  page.keydown('Escape');
+  toggle().click();
+  await flush();
+  assert.equal(requests.length, 1);
+  page.close();
+});
+
+test('a call-back request is validated, posted with its context and tracked', async () => {
+  const { page, requests, tracked, toggle, query, flush } = await setup('blog-modular-kitchen-dehradun.html');
+
+  toggle().click();
+  query('.contact-widget-callback-toggle').click();
+  const form = query('.contact-widget-callback');
+  const name = query('#callback-name');
+  const phone = query('#callback-phone');
+  assert.equal(form.hidden, false);
+  assert.equal(page.document.activeElement, name);
+
+  phone.value = '12345';
+  form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+  assert.equal(name.getAttribute('aria-invalid'), 'true');
+  assert.equal(query('#callback-phone-error').textContent, 'Enter a valid 10-digit Indian mobile number, e.g. +91 98765 43210.');
+  assert.equal(requests.filter(request => request.method === 'POST').length, 0);
+
+  name.value = 'Asha Negi';
+  phone.value = '98765 43210';
+  form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+  await flush();
+
+  const [post] = requests.filter(request => request.method === 'POST');
+  assert.equal(post.url, '/api/callbacks');
+  assert.equal(post.body.name, 'Asha Negi');
+  assert.equal(post.body.phone, '98765 43210');
+  assert.equal(post.body.context, 'article');
+  assert.match(post.body.message, /^Hi Urbanways, I was reading/);
+  assert.equal(post.body.page, '/blog-modular-kitchen-dehradun.html');
+  assert.equal(query('.form-status').textContent, 'Thank you! We will call you on 98765 43210.');
+  assert.deepEqual(JSON.parse(JSON.stringify(tracked)), [{ name: 'contact_channel', params: { channel: 'callback', context: 'article' } }]);
+  page.close();
+});
+
+test('the endpoint is configurable and failures are reported', async () => {
+  const page = await loadPage('about.html');
+  const posted = [];
+  const errors = [];
+  page.document.body.dataset.callbackEndpoint = '/api/test-callbacks';
+  page.window.console.error = (message) => errors.push(message);
+  page.window.fetch = async (url) => {
+    posted.push(url);
+    return { ok: false, status: 500 };
+  };
+
+  new page.main.ContactWidget();
+  const { document } = page;
+  document.querySelector('.contact-widget-toggle').click();
+  document.querySelector('#callback-name').value = 'Asha Negi';
+  document.querySelector('#callback-phone').value = '+91 98765 43210';
+  document.querySelector('.contact-widget-callback').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.ok(posted.includes('/api/test-callbacks'));
+  assert.deepEqual(errors, ['Call-back request failed:']);
+  assert.equal(document.querySelector('.form-status').className, 'form-status form-status-error');
+  page.close();
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, loadModule } = require('./helpers/dom');
+
+const RATES = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', 'data', 'cost-rates.json'), 'utf8'));
+const PAGE = 'blog-interior-designer-cost-dehradun.html';
+
+const setup = async ({ rates = RATES, strings } = {}) => {
+  const page = await loadPage(PAGE);
+  const emitted = [];
+
+  page.window.fetch = async () => ({ ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(rates)) });
+  if (strings) page.main.t.strings = strings;
+  page.main.events.on('estimate:change', (detail) => emitted.push(detail));
+
+  const CostEstimator = loadModule(page, 'cost-estimator.js');
+  const estimator = new CostEstimator();
+  await new Promise(resolve => setImmediate(resolve));
+
+  const container = page.document.querySelector('.cost-estimator');
+
+  return {
+    page,
+    CostEstimator,
+    estimator,
+    container,
+    emitted,
+    room: (id) => RATES.rooms.find(room => room.id === id),
+    message: () => new URLSearchParams(container.querySelector('.estimator-cta').getAttribute('href').split('?')[1].split('#')[0]).get('message')
+  };
+};
+
+test('room rates scale with area and add up with the fee', async () => {
+  const { page, estimator, room } = await setup();
+
+  const estimate = estimator.calculate({
+    tier: 'mid',
+    feeModel: 'percentage',
+    rooms: [
+      { ...room('living-room'), area: 500 },
+      { ...room('bathroom'), area: 50 }
+    ]
+  });
+
+  assert.deepEqual(estimate.items.map(({ label, area, low, high }) => ({ label, area, low, high })), [
+    { label: 'Living Room', area: 500, low: 500000, high: 700000 },
+    { label: 'Bathroom', area: 50, low: 150000, high: 250000 }
+  ]);
+  assert.deepEqual({ ...estimate.subtotal }, { low: 650000, high: 950000 });
+  assert.deepEqual({ ...estimate.fee }, { low: 65000, high: 190000 });
+  assert.deepEqual({ ...estimate.total }, { low: 715000, high: 1140000 });
+  page.close();
+});
+
+test('typed areas are held to the field range and blanks fall back to the default', async () => {
+  const { page, estimator, container, room } = await setup();
+  const areaOf = (value) => {
+    container.querySelector('input[name="area-living-room"]').value = value;
+    return estimator.getSelection().rooms.find(({ id }) => id === 'living-room').area;
+  };
+
+  container.querySelector('input[name="room"][value="living-room"]').checked = true;
+  assert.equal(areaOf('350'), 350);
+  assert.equal(areaOf('-200'), 10);
+  assert.equal(areaOf('0'), 10);
+  assert.equal(areaOf('1e9'), 5000);
+  assert.equal(areaOf(''), room('living-room').defaultArea);
+  page.close();
+});
+
+test('each fee model follows its own rule', async () => {
+  const { page, estimator } = await setup();
+  const items = [{ area: 250 }, { area: 100 }];
+  const subtotal = { low: 400000, high: 600000 };
+  const fee = (model) => ({ ...estimator.calculateFee(model, items, subtotal) });
+
+  assert.deepEqual(fee('percentage'), { low: 40000, high: 120000 });
+  assert.deepEqual(fee('per-sqft'), { low: 17500, high: 105000 });
+  assert.deepEqual(fee('flat'), { low: 60000, high: 120000 });
+  assert.deepEqual(fee('hourly'), { low: 18000, high: 60000 });
+  assert.deepEqual(fee('unknown'), { low: 0, high: 0 });
+
+  // The flat fee is capped however many rooms there are
+  const manyRooms = Array.from({ length: 20 }, () => ({ area: 100 }));
+  assert.deepEqual({ ...estimator.calculateFee('flat', manyRooms, subtotal) }, { low: 500000, high: 500000 });
+  page.close();
+});
+
+test('totals map onto the enquiry form budget bands', async () => {
+  const { page, CostEstimator } = await setup();
+  const band = CostEstimator.getBudgetBand;
+
+  assert.equal(band(499999), 'under-5-lakh');
+  assert.equal(band(500000), '5-15-lakh');
+  assert.equal(band(1499999), '5-15-lakh');
+  assert.equal(band(1500000), '15-50-lakh');
+  assert.equal(band(5000000), '50-lakh-1-crore');
+  assert.equal(band(10000000), 'above-1-crore');
+
+  // Every band is an option in the contact page's form
+  const contact = await loadPage('contact.html');
+  const options = Array.from(contact.document.querySelectorAll('#enquiry-budget option')).map(option => option.value);
+  [499999, 500000, 1500000, 5000000, 10000000].forEach(amount => assert.ok(options.includes(band(amount))));
+  contact.close();
+  page.close();
+});
+
+test('labels from the rate table are escaped', async () => {
+  const rates = JSON.parse(JSON.stringify(RATES));
+  rates.rooms[0].label = '<img src=x onerror=alert(1)>';
+  rates.tiers.basic.label = '<b>Basic</b>';
+  rates.feeModels.percentage.label = '<i>Percentage</i>';
+  const { page, container } = await setup({ rates });
+
+  assert.equal(container.querySelector('img, b, i:not(.fas)'), null);
+  assert.equal(container.querySelector('.estimator-check span').textContent, '<img src=x onerror=alert(1)>');
+  assert.equal(container.querySelector('.estimator-tier span').textContent, '<b>Basic</b>');
+  assert.equal(container.querySelector('#estimator-fee-model option').textContent, '<i>Percentage</i>');
+  assert.match(container.querySelector('.estimator-table th').textContent, /^<img src=x onerror=alert\(1\)> /);
+  page.close();
+});
+
+test('labels and the pre-filled enquiry follow the page language', async () => {
+  const { page, container, emitted, message } = await setup({
+    strings: {
+      'Living Room': 'लिविंग रूम',
+      'Basic': 'बेसिक',
+      'Percentage of project cost': 'प्रोजेक्ट लागत का प्रतिशत',
+      'sq ft': 'वर्ग फुट',
+      'Online estimate ({tier} finish):': 'ऑनलाइन अनुमान ({tier} फ़िनिश):',
+      '{room} ({area} sq ft): {amount}': '{room} ({area} वर्ग फुट): {amount}',
+      'Designer fee: {amount}': 'डिज़ाइनर शुल्क: {amount}',
+      'Total: {amount}': 'कुल: {amount}'
+    }
+  });
+
+  assert.equal(container.querySelector('.estimator-check span').textContent, 'लिविंग रूम');
+  assert.equal(container.querySelector('.estimator-tier span').textContent, 'बेसिक');
+  assert.equal(container.querySelector('#estimator-fee-model option').textContent.trim(), 'प्रोजेक्ट लागत का प्रतिशत');
+
+  // Only an estimate the visitor changed reaches the contact widget
+  assert.deepEqual(emitted, []);
+  container.querySelector('#estimator-fee-model').dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  assert.equal(emitted.at(-1).tier, 'बेसिक');
+
+  const lines = message().split('\n');
+  assert.equal(lines[0], 'ऑनलाइन अनुमान (बेसिक फ़िनिश):');
+  assert.match(lines[1], /^लिविंग रूम \(250 वर्ग फुट\): /);
+  assert.match(lines.at(-2), /^डिज़ाइनर शुल्क: /);
+  assert.match(lines.at(-1), /^कुल: /);
+  page.close();
+});
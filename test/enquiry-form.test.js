@@ -0,0 +1,200 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const QUEUE_KEY = 'urbanways-enquiry-queue';
+const DRAFT_KEY = 'urbanways-enquiry-draft';
+
+const VALID = {
+  name: 'Asha Negi',
+  phone: '+91 98765 43210',
+  email: 'asha@example.com',
+  projectType: 'residential',
+  budget: '5-15-lakh',
+  location: 'Rajpur Road, Dehradun',
+  message: 'Three bedrooms and a kitchen.'
+};
+
+const queued = (id) => ({ ...VALID, name: id, page: '/contact.html', submittedAt: '2026-10-18T10:00:00.000Z' });
+
+const setup = async ({ storage = {}, respond = () => ({ ok: true, status: 201 }), online = true, prepare = () => {} } = {}) => {
+  const page = await loadPage('contact.html', { storage });
+  const { window, document } = page;
+  const posted = [];
+  const errors = [];
+  let isOnline = online;
+
+  Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => isOnline });
+  window.console.error = (message) => errors.push(message);
+  window.fetch = async (url, init = {}) => {
+    const body = JSON.parse(init.body);
+    posted.push({ url, body });
+    return respond(body);
+  };
+
+  prepare(document);
+  const form = new page.main.EnquiryForm();
+  const field = (name) => document.querySelector(`.enquiry-form [name="${name}"]`);
+
+  return {
+    page,
+    form,
+    posted,
+    errors,
+    field,
+    fill: (values) => Object.entries(values).forEach(([name, value]) => { field(name).value = value; }),
+    submit: () => document.querySelector('.enquiry-form').dispatchEvent(new window.Event('submit', { cancelable: true })),
+    status: () => document.querySelector('.enquiry-form .form-status'),
+    queue: () => JSON.parse(window.localStorage.getItem(QUEUE_KEY) || '[]'),
+    goOnline: () => {
+      isOnline = true;
+      window.dispatchEvent(new window.Event('online'));
+    },
+    flush: () => new Promise(resolve => setImmediate(resolve))
+  };
+};
+
+test('Indian phone numbers accept the usual prefixes and separators', async () => {
+  const page = await loadPage('contact.html');
+  const { isValidIndianPhone } = page.main.EnquiryForm;
+
+  ['9876543210', '+91 98765 43210', '91-98765-43210', '098765 43210'].forEach(value => {
+    assert.equal(isValidIndianPhone(value), true, value);
+  });
+  ['12345', '5876543210', '+1 98765 43210', '98765 432101'].forEach(value => {
+    assert.equal(isValidIndianPhone(value), false, value);
+  });
+  page.close();
+});
+
+test('an incomplete form is not sent and the first invalid field takes focus', async () => {
+  const { page, posted, field, fill, submit, status, flush } = await setup();
+
+  fill({ phone: '12345', email: 'asha@' });
+  submit();
+  await flush();
+
+  assert.equal(posted.length, 0);
+  assert.equal(status().textContent, 'Please correct the highlighted fields.');
+  assert.equal(page.document.activeElement, field('name'));
+  assert.equal(field('name').getAttribute('aria-invalid'), 'true');
+  assert.equal(page.document.querySelector('#enquiry-name-error').textContent, 'Please tell us your name.');
+  assert.equal(page.document.querySelector('#enquiry-phone-error').textContent, 'Enter a valid 10-digit Indian mobile number, e.g. +91 98765 43210.');
+  assert.equal(page.document.querySelector('#enquiry-email-error').textContent, 'Enter a valid email address.');
+  assert.equal(field('message').hasAttribute('aria-invalid'), false);
+
+  // Fixing a field clears its message as the visitor types
+  field('phone').value = '98765 43210';
+  field('phone').dispatchEvent(new page.window.Event('input', { bubbles: true }));
+  assert.equal(field('phone').hasAttribute('aria-invalid'), false);
+  page.close();
+});
+
+test('a valid enquiry is posted and the form and draft are cleared', async () => {
+  const { page, posted, field, fill, submit, status, flush } = await setup();
+
+  fill(VALID);
+  page.window.localStorage.setItem(DRAFT_KEY, JSON.stringify(VALID));
+  submit();
+  await flush();
+
+  assert.equal(posted.length, 1);
+  assert.equal(posted[0].url, '/api/enquiries');
+  assert.equal(posted[0].body.phone, VALID.phone);
+  assert.equal(posted[0].body.page, '/contact.html');
+  assert.equal(status().textContent, 'Thank you! Our team will call you within one working day.');
+  assert.equal(field('name').value, '');
+  assert.equal(page.window.localStorage.getItem(DRAFT_KEY), null);
+  page.close();
+});
+
+test('offline enquiries are queued and sent once the connection returns', async () => {
+  const { page, posted, fill, submit, status, queue, goOnline, flush } = await setup({ online: false });
+
+  fill(VALID);
+  submit();
+  await flush();
+
+  assert.equal(posted.length, 0);
+  assert.equal(queue().length, 1);
+  assert.equal(queue()[0].name, VALID.name);
+  assert.match(status().textContent, /^You appear to be offline/);
+
+  goOnline();
+  await flush();
+
+  assert.deepEqual(posted.map(request => request.body.name), [VALID.name]);
+  assert.deepEqual(queue(), []);
+  assert.equal(status().textContent, 'Your saved enquiry has now been sent. Thank you!');
+  page.close();
+});
+
+test('network errors and server errors stay queued, rejected enquiries return to the form', async () => {
+  const responses = {
+    network: () => { throw new TypeError('Failed to fetch'); },
+    unavailable: () => ({ ok: false, status: 503 }),
+    rejected: () => ({ ok: false, status: 422 }),
+    accepted: () => ({ ok: true, status: 201 })
+  };
+  const storage = { [QUEUE_KEY]: JSON.stringify(Object.keys(responses).map(queued)) };
+  const { page, posted, errors, field, status, queue, flush } = await setup({
+    storage,
+    respond: (body) => responses[body.name]()
+  });
+  await flush();
+
+  assert.deepEqual(posted.map(request => request.body.name), ['network', 'unavailable', 'rejected', 'accepted']);
+  assert.deepEqual(queue().map(enquiry => enquiry.name), ['network', 'unavailable']);
+  assert.deepEqual(errors, ['Saved enquiry rejected:']);
+  assert.equal(field('name').value, 'rejected');
+  assert.equal(field('phone').value, VALID.phone);
+  assert.equal(status().className, 'form-status form-status-error');
+  assert.equal(status().textContent, 'We could not send your saved enquiry. Please check the details below and send it again.');
+  page.close();
+});
+
+test('the form still works when storage is unavailable', async () => {
+  const { page, posted, fill, submit, status, flush } = await setup();
+  const blocked = () => { throw new page.window.DOMException('The operation is insecure.', 'SecurityError'); };
+  Object.defineProperty(page.window, 'localStorage', {
+    configurable: true,
+    value: { getItem: blocked, setItem: blocked, removeItem: blocked }
+  });
+
+  fill(VALID);
+  submit();
+  await flush();
+
+  assert.equal(posted.length, 1);
+  assert.equal(status().textContent, 'Thank you! Our team will call you within one working day.');
+  page.close();
+});
+
+test('a server error offers the phone number shown on the page', async () => {
+  const failing = { respond: () => ({ ok: false, status: 500 }) };
+  const telephones = (document) => document.querySelectorAll('a[href^="tel:"]');
+  const submitted = async (options) => {
+    const { page, errors, fill, submit, status, queue, flush } = await setup({ ...failing, ...options });
+    fill(VALID);
+    submit();
+    await flush();
+
+    assert.deepEqual(errors, ['Enquiry submission failed:']);
+    assert.deepEqual(queue(), []);
+    const text = status().textContent;
+    page.close();
+    return text;
+  };
+
+  assert.equal(await submitted(), 'Something went wrong. Please try again or call us on +91 724 887 7772.');
+  assert.equal(
+    await submitted({ prepare: (document) => telephones(document).forEach(link => { link.textContent = '0135 123 4567'; }) }),
+    'Something went wrong. Please try again or call us on 0135 123 4567.'
+  );
+  assert.equal(
+    await submitted({ prepare: (document) => telephones(document).forEach(link => link.remove()) }),
+    'Something went wrong. Please try again.'
+  );
+});
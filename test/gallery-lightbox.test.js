@@ -0,0 +1,31 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+test('Space and Enter open the lightbox from a card but not from the before/after range inside it', async () => {
+  const page = await loadPage('residential.html');
+  const { window, document, main } = page;
+  const item = document.querySelector('.gallery-item');
+  item.dataset.before = 'images/before.jpg';
+
+  const lightbox = new main.GalleryLightbox();
+  new main.BeforeAfterSlider();
+  const card = item.querySelector('.gallery-image');
+  const range = card.querySelector('.before-after-range');
+  const press = (target, key) => {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+
+  assert.equal(card.getAttribute('role'), 'button');
+  assert.equal(press(range, ' '), false);
+  assert.equal(press(range, 'Enter'), false);
+  assert.equal(lightbox.isOpen(), false);
+
+  assert.equal(press(card, 'Enter'), true);
+  assert.equal(lightbox.isOpen(), true);
+  page.close();
+});
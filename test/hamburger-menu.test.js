@@ -0,0 +1,133 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+let page;
+let hamburger;
+let mobileNav;
+let overlay;
+
+const isOpen = () => mobileNav.classList.contains('active');
+
+beforeEach(async () => {
+  page = await loadPage('index.html', { width: 600 });
+  new page.main.HamburgerMenu();
+  hamburger = page.document.querySelector('.hamburger');
+  mobileNav = page.document.getElementById('mobileNav');
+  overlay = page.document.getElementById('mobileOverlay');
+});
+
+afterEach(() => page.close());
+
+test('starts closed with collapsed ARIA state', async () => {
+  assert.equal(isOpen(), false);
+  assert.equal(hamburger.getAttribute('aria-expanded'), 'false');
+  assert.equal(mobileNav.getAttribute('aria-hidden'), 'true');
+});
+
+test('hamburger click opens the menu and locks page scroll', async () => {
+  hamburger.click();
+
+  assert.equal(isOpen(), true);
+  assert.ok(hamburger.classList.contains('active'));
+  assert.ok(overlay.classList.contains('active'));
+  assert.ok(page.document.body.classList.contains('menu-open'));
+  assert.equal(page.document.body.style.overflow, 'hidden');
+  assert.equal(hamburger.getAttribute('aria-expanded'), 'true');
+  assert.equal(mobileNav.getAttribute('aria-hidden'), 'false');
+});
+
+test('second click and overlay click close the menu and restore state', async () => {
+  hamburger.click();
+  hamburger.click();
+  assert.equal(isOpen(), false);
+
+  hamburger.click();
+  overlay.click();
+
+  assert.equal(isOpen(), false);
+  assert.equal(page.document.body.style.overflow, '');
+  assert.equal(hamburger.getAttribute('aria-expanded'), 'false');
+  assert.equal(mobileNav.getAttribute('aria-hidden'), 'true');
+});
+
+test('Escape closes an open menu', async () => {
+  hamburger.click();
+  page.keydown('Escape');
+
+  assert.equal(isOpen(), false);
+  assert.equal(hamburger.getAttribute('aria-expanded'), 'false');
+});
+
+test('following a nav link closes the menu', async () => {
+  hamburger.click();
+  mobileNav.querySelector('.nav-link:not(.nav-link-dropdown)').click();
+
+  assert.equal(isOpen(), false);
+});
+
+test('widening past the mobile breakpoint closes the menu after the resize debounce', async () => {
+  hamburger.click();
+
+  page.resize(700);
+  page.clock.tick(300);
+  assert.equal(isOpen(), true, 'still mobile width');
+
+  page.resize(1024);
+  page.clock.tick(249);
+  assert.equal(isOpen(), true, 'debounce has not elapsed');
+
+  page.clock.tick(1);
+  assert.equal(isOpen(), false);
+  assert.equal(mobileNav.getAttribute('aria-hidden'), 'true');
+});
+
+const tab = (shiftKey = false) => {
+  const event = new page.window.KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true });
+  page.document.activeElement.dispatchEvent(event);
+  return event.defaultPrevented;
+};
+
+test('opening moves focus into the drawer and makes the page behind it inert', async () => {
+  hamburger.focus();
+  hamburger.click();
+
+  assert.equal(page.document.activeElement, mobileNav.querySelector('.nav-link'));
+  assert.equal(mobileNav.hasAttribute('inert'), false);
+  assert.ok(page.document.getElementById('main-content').hasAttribute('inert'));
+  assert.ok(page.document.querySelector('.logo').hasAttribute('inert'));
+  assert.equal(hamburger.closest('[inert]'), null, 'the hamburger stays usable as the close button');
+  assert.equal(overlay.hasAttribute('inert'), false);
+});
+
+test('Tab and Shift+Tab wrap around inside the open drawer', async () => {
+  hamburger.click();
+  const focusable = Array.from(mobileNav.querySelectorAll('a[href], button'))
+    .filter(element => !element.closest('[inert]'));
+  const last = focusable[focusable.length - 1];
+
+  last.focus();
+  assert.equal(tab(), true);
+  assert.equal(page.document.activeElement, hamburger);
+
+  assert.equal(tab(true), true);
+  assert.equal(page.document.activeElement, last);
+
+  focusable[0].focus();
+  assert.equal(tab(), false, 'moving between drawer items is left to the browser');
+});
+
+test('closing restores focus to the hamburger and the page behind', async () => {
+  const skipLink = page.document.querySelector('.skip-link');
+  skipLink.setAttribute('inert', '');
+
+  hamburger.click();
+  page.keydown('Escape');
+
+  assert.equal(page.document.activeElement, hamburger);
+  assert.ok(mobileNav.hasAttribute('inert'));
+  assert.equal(page.document.getElementById('main-content').hasAttribute('inert'), false);
+  assert.ok(skipLink.hasAttribute('inert'), 'inert set by someone else is left alone');
+});
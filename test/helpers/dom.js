@@ -0,0 +1,117 @@
+/**
+ * URBANWAYS - PAGE FIXTURES
+ * Loads a built page (index.html, blogs.html, ...) into jsdom with fake
+ * timers, observer stubs and no network, waits for it to finish parsing,
+ * then evaluates main.js in it and hands back its module.exports. App is
+ * held back so each test constructs only the modules it exercises.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { installFakeTimers } = require('./fake-timers');
+const { installIntersectionObserver, installMutationObserver, installMatchMedia } = require('./observers');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const MAIN_SOURCE = fs.readFileSync(path.join(ROOT, 'main.js'), 'utf8');
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+const setWidth = (window, width) => {
+  Object.defineProperty(window, 'innerWidth', { configurable: true, value: width });
+};
+
+/**
+ * @param {string} file  Page in the site root, e.g. 'index.html'
+ * @param {object} [options]
+ * @param {string} [options.search]   Query string, e.g. '?category=design'
+ * @param {object} [options.media]    Media queries that match from the start
+ * @param {object} [options.storage]  localStorage entries to seed
+ * @param {number} [options.width]    window.innerWidth
+ */
+const loadPage = async (file, { search = '', media = {}, storage = {}, width = 1280 } = {}) => {
+  const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const dom = new JSDOM(html, {
+    url: `http://localhost/${file}${search}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    // Keep jsdom's "not implemented" notices (navigation, layout) out of the test output
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+  const { document } = window;
+
+  const clock = installFakeTimers(window);
+  const intersection = installIntersectionObserver(window);
+  const mutation = installMutationObserver(window);
+  const mediaQueries = installMatchMedia(window, media);
+
+  window.scrollTo = () => {};
+  window.Element.prototype.scrollIntoView = () => {};
+  window.fetch = () => Promise.reject(new Error('Tests run offline'));
+  window.CSS = window.CSS || { escape: (value) => value };
+
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  setWidth(window, width);
+
+  if (document.readyState === 'loading') {
+    await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+  }
+
+  // App waits for DOMContentLoaded while the document reports "loading";
+  // that event has already fired, so no module starts on its own
+  Object.defineProperty(document, 'readyState', { configurable: true, get: () => 'loading' });
+  window.module = { exports: {} };
+  window.eval(MAIN_SOURCE);
+  delete document.readyState;
+
+  return {
+    window,
+    document,
+    main: window.module.exports,
+    clock,
+    intersect: intersection.intersect,
+    observing: intersection.observing,
+    intersectionObservers: intersection.instances,
+    flushMutations: mutation.flushMutations,
+    setMedia: mediaQueries.setMedia,
+    mediaListeners: mediaQueries.listenerCount,
+    resize: (nextWidth) => {
+      setWidth(window, nextWidth);
+      window.dispatchEvent(new window.Event('resize'));
+    },
+    keydown: (key, target = document) => {
+      target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+    },
+    close: () => window.close()
+  };
+};
+
+/**
+ * Evaluate a lazy module (modules/*.js) in a loaded page and return the
+ * class its factory builds, given the same shared helpers the module
+ * registry passes in.
+ * @param {object} page  Result of loadPage()
+ * @param {string} file  File in modules/, e.g. 'testimonial-carousel.js'
+ */
+const loadModule = (page, file) => {
+  const source = fs.readFileSync(path.join(ROOT, 'modules', file), 'utf8');
+  const { t, escapeHTML, siteUrl, events, motionPreferences, EnquiryForm } = page.main;
+  const PAGE_LOCALE = `${page.document.documentElement.lang || 'en'}-IN`;
+
+  // jsdom scripts are not ES modules, so the default export becomes a return value
+  const factory = page.window.eval(`(() => {\n${source.replace(/^export default /m, 'return ')}\n})()`);
+  return factory({
+    t,
+    escapeHTML,
+    siteUrl,
+    PAGE_LOCALE,
+    events,
+    motionPreferences,
+    isValidIndianPhone: EnquiryForm.isValidIndianPhone
+  });
+};
+
+module.exports = { loadPage, loadModule, REDUCED_MOTION };
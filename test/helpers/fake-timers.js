@@ -0,0 +1,84 @@
+/**
+ * URBANWAYS - FAKE TIMERS
+ * A manual clock for a jsdom window. setTimeout, setInterval,
+ * requestAnimationFrame and performance.now only move when a test calls
+ * tick(), so debounce, throttle and animations run deterministically.
+ */
+
+'use strict';
+
+const FRAME_MS = 16;
+
+const installFakeTimers = (window) => {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  const schedule = (callback, delay, args, interval = null) => {
+    const id = nextId++;
+    timers.set(id, { callback, args, at: now + Math.max(0, Number(delay) || 0), interval });
+    return id;
+  };
+
+  // Earliest due timer first; ties run in the order they were scheduled
+  const nextDue = (until) => {
+    let due = null;
+    timers.forEach((timer, id) => {
+      if (timer.at <= until && (!due || timer.at < due.timer.at)) {
+        due = { id, timer };
+      }
+    });
+    return due;
+  };
+
+  const clock = {
+    get now() {
+      return now;
+    },
+
+    tick(ms = 0) {
+      const end = now + ms;
+      let due = nextDue(end);
+
+      while (due) {
+        const { id, timer } = due;
+        now = timer.at;
+
+        if (timer.interval === null) {
+          timers.delete(id);
+        } else {
+          timer.at = now + Math.max(1, timer.interval);
+        }
+
+        timer.callback(...timer.args);
+        due = nextDue(end);
+      }
+
+      now = end;
+    },
+
+    // Animation frames until nothing is scheduled, capped to catch loops
+    runAll(limitMs = 60000) {
+      const end = now + limitMs;
+      while (timers.size > 0 && now < end) {
+        clock.tick(FRAME_MS);
+      }
+    },
+
+    get pending() {
+      return timers.size;
+    }
+  };
+
+  window.setTimeout = (callback, delay, ...args) => schedule(callback, delay, args);
+  window.setInterval = (callback, delay, ...args) => schedule(callback, delay, args, Number(delay) || 0);
+  window.clearTimeout = (id) => timers.delete(id);
+  window.clearInterval = (id) => timers.delete(id);
+  window.requestAnimationFrame = (callback) => schedule(() => callback(now), FRAME_MS - (now % FRAME_MS), []);
+  window.cancelAnimationFrame = (id) => timers.delete(id);
+  window.performance.now = () => now;
+
+  return clock;
+};
+
+module.exports = { installFakeTimers, FRAME_MS };
@@ -0,0 +1,171 @@
+/**
+ * URBANWAYS - OBSERVER AND MEDIA QUERY STUBS
+ * jsdom has no layout, so IntersectionObserver never fires and matchMedia
+ * is missing. These stand-ins let a test decide when an element scrolls
+ * into view, when DOM mutations are delivered and which media queries match.
+ */
+
+'use strict';
+
+const installIntersectionObserver = (window) => {
+  const instances = [];
+
+  class IntersectionObserver {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      instances.push(this);
+    }
+
+    observe(target) {
+      this.targets.add(target);
+    }
+
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    takeRecords() {
+      return [];
+    }
+  }
+
+  window.IntersectionObserver = IntersectionObserver;
+
+  return {
+    instances,
+
+    // Report `target` entering (or leaving) the viewport to every observer watching it
+    intersect(target, isIntersecting = true) {
+      instances
+        .filter(observer => observer.targets.has(target))
+        .forEach(observer => {
+          observer.callback([{
+            target,
+            isIntersecting,
+            intersectionRatio: isIntersecting ? 1 : 0,
+            boundingClientRect: target.getBoundingClientRect(),
+            rootBounds: null,
+            time: window.performance.now()
+          }], observer);
+        });
+    },
+
+    observing(target) {
+      return instances.some(observer => observer.targets.has(target));
+    }
+  };
+};
+
+/**
+ * Attribute-only MutationObserver. Records are collected when the test
+ * calls flushMutations(), standing in for the browser's microtask
+ * checkpoint so assertions can run before and after delivery.
+ */
+const installMutationObserver = (window) => {
+  const instances = [];
+
+  const snapshot = (target, filter) => {
+    const values = {};
+    Array.from(target.attributes).forEach(({ name, value }) => {
+      if (!filter || filter.includes(name)) values[name] = value;
+    });
+    return values;
+  };
+
+  class MutationObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.watched = new Map();
+      instances.push(this);
+    }
+
+    observe(target, options = {}) {
+      if (options.attributes || options.attributeFilter) {
+        this.watched.set(target, { filter: options.attributeFilter, values: snapshot(target, options.attributeFilter) });
+      }
+    }
+
+    disconnect() {
+      this.watched.clear();
+    }
+
+    takeRecords() {
+      return this.collect();
+    }
+
+    collect() {
+      const records = [];
+
+      this.watched.forEach((entry, target) => {
+        const current = snapshot(target, entry.filter);
+        const names = new Set([...Object.keys(entry.values), ...Object.keys(current)]);
+
+        names.forEach(name => {
+          if (entry.values[name] !== current[name]) {
+            records.push({ type: 'attributes', target, attributeName: name, oldValue: entry.values[name] ?? null });
+          }
+        });
+
+        entry.values = current;
+      });
+
+      return records;
+    }
+  }
+
+  window.MutationObserver = MutationObserver;
+
+  return {
+    flushMutations() {
+      instances.forEach(observer => {
+        const records = observer.collect();
+        if (records.length > 0) observer.callback(records, observer);
+      });
+    }
+  };
+};
+
+const installMatchMedia = (window, initial = {}) => {
+  const matches = { ...initial };
+  const lists = new Map();
+
+  window.matchMedia = (query) => {
+    if (!lists.has(query)) {
+      const listeners = new Set();
+      lists.set(query, {
+        media: query,
+        get matches() {
+          return Boolean(matches[query]);
+        },
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        addListener: (listener) => listeners.add(listener),
+        removeListener: (listener) => listeners.delete(listener),
+        listeners
+      });
+    }
+    return lists.get(query);
+  };
+
+  return {
+    // Change listeners across every media query, for leak checks
+    listenerCount: () => Array.from(lists.values()).reduce((count, list) => count + list.listeners.size, 0),
+
+    // Flip a media query and notify its change listeners, like an OS setting change
+    setMedia(query, value) {
+      matches[query] = value;
+      const list = lists.get(query);
+      if (list) {
+        list.listeners.forEach(listener => listener({ matches: value, media: query }));
+      }
+    }
+  };
+};
+
+module.exports = { installIntersectionObserver, installMutationObserver, installMatchMedia };
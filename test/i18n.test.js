@@ -0,0 +1,108 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { build } = require('../scripts/build');
+const { loadPage } = require('./helpers/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const site = require('../src/site.json');
+const en = require('../src/i18n/en.json');
+const hi = require('../src/i18n/hi.json');
+
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+const embedded = (html) => {
+  const match = html.match(/<script type="application\/json" id="i18n-strings">([\s\S]*?)<\/script>/);
+  return match && JSON.parse(match[1]);
+};
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+// String literals passed to t() in main.js and the lazy modules
+const literals = () => {
+  const files = ['main.js', ...fs.readdirSync(path.join(ROOT, 'modules')).map(file => `modules/${file}`)];
+  const found = new Set();
+
+  files.forEach(file => {
+    for (const [, text] of read(file).matchAll(/\bt\(\s*'((?:[^'\\]|\\.)*)'/g)) {
+      found.add(text.replace(/\\'/g, '\''));
+    }
+  });
+
+  return [...found];
+};
+
+test('the published pages match the catalogues', () => {
+  assert.deepEqual(build({ check: true }).stale, []);
+});
+
+test('Hindi pages carry the UI catalogue for main.js, English pages do not', () => {
+  const prefix = site.locales.hi.path;
+  const hindiPages = fs.readdirSync(path.join(ROOT, prefix)).filter(file => file.endsWith('.html'));
+  assert.ok(hindiPages.length > 0);
+
+  hindiPages.forEach(file => {
+    assert.deepEqual(embedded(read(prefix + file)), hi.ui, file);
+  });
+  ['index.html', 'contact.html', 'blogs.html'].forEach(file => {
+    assert.equal(embedded(read(file)), null, file);
+  });
+});
+
+test('every partial label is in the English catalogue and every Hindi label translates one', () => {
+  const partials = path.join(ROOT, 'src', 'partials');
+  const keys = new Set();
+
+  fs.readdirSync(partials).forEach(file => {
+    for (const [, key] of fs.readFileSync(path.join(partials, file), 'utf8').matchAll(/\{\{\{?\s*t\.([\w.]+)/g)) {
+      keys.add(key);
+    }
+  });
+
+  assert.deepEqual([...keys].filter(key => !(key in en.site)), []);
+  assert.deepEqual(Object.keys(hi.site).filter(key => !(key in en.site)), []);
+});
+
+test('every string main.js and the modules pass to t() has a Hindi translation', () => {
+  const strings = literals();
+  assert.ok(strings.includes('Please correct the highlighted fields.'));
+
+  assert.deepEqual(strings.filter(text => !(text in hi.ui)), []);
+});
+
+test('translations keep the placeholders of the English text', () => {
+  const mismatched = Object.entries(hi.ui)
+    .filter(([text, translation]) => placeholders(text).join() !== placeholders(translation).join())
+    .map(([text]) => text);
+
+  assert.deepEqual(mismatched, []);
+});
+
+test('t() translates from the page catalogue and falls back to the English text', async () => {
+  const hindi = await loadPage('hi/contact.html');
+  const { t } = hindi.main;
+
+  assert.equal(t('Please correct the highlighted fields.'), hi.ui['Please correct the highlighted fields.']);
+  assert.equal(t('{count} results for "{query}"', { count: 3, query: 'kitchen' }),
+    hi.ui['{count} results for "{query}"'].replace('{count}', 3).replace('{query}', 'kitchen'));
+  // Strings missing from the catalogue stay in English, parameters and all
+  assert.equal(t('Not translated yet, {name}', { name: 'Asha' }), 'Not translated yet, Asha');
+  // Parameters that are not supplied are left as written
+  assert.equal(t('Call {phone}'), hi.ui['Call {phone}']);
+  hindi.close();
+
+  const english = await loadPage('contact.html');
+  assert.equal(english.main.t('Call {phone}', { phone: '+91 724 887 7772' }), 'Call +91 724 887 7772');
+  english.close();
+});
+
+test('t() falls back to English when the page catalogue is unreadable', async () => {
+  const page = await loadPage('hi/contact.html');
+  page.document.getElementById('i18n-strings').textContent = '{"broken": ';
+  const { t } = page.main;
+  delete t.strings;
+
+  assert.equal(t('{count} articles', { count: 4 }), '4 articles');
+  page.close();
+});
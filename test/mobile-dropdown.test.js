@@ -0,0 +1,94 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const setup = async (file) => {
+  const page = await loadPage(file, { width: 600 });
+  const menu = new page.main.HamburgerMenu();
+  const dropdown = new page.main.MobileDropdownToggle();
+
+  const mobileNav = page.document.getElementById('mobileNav');
+  return {
+    page,
+    menu,
+    dropdown,
+    toggle: mobileNav.querySelector('.nav-link-dropdown'),
+    submenu: mobileNav.querySelector('.mobile-submenu')
+  };
+};
+
+test('the Portfolio toggle expands and collapses its submenu', async () => {
+  const { page, toggle, submenu } = await setup('index.html');
+
+  assert.equal(submenu.style.maxHeight, '0');
+  assert.equal(submenu.style.opacity, '0');
+
+  assert.ok(submenu.hasAttribute('inert'), 'collapsed links are out of the tab order');
+
+  toggle.click();
+  assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+  assert.equal(submenu.style.opacity, '1');
+  assert.notEqual(submenu.style.maxHeight, '0');
+  assert.equal(submenu.hasAttribute('inert'), false);
+
+  toggle.click();
+  assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+  assert.equal(submenu.style.maxHeight, '0');
+  assert.ok(submenu.hasAttribute('inert'));
+  page.close();
+});
+
+test('closing the mobile menu resets every open submenu', async () => {
+  const { page, menu, dropdown, toggle, submenu } = await setup('index.html');
+
+  menu.openMenu();
+  toggle.click();
+  assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+
+  page.keydown('Escape');
+
+  assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+  assert.equal(submenu.style.maxHeight, '0');
+  assert.equal(submenu.style.opacity, '0');
+  assert.ok(Array.from(dropdown.activeDropdowns.values()).every(open => !open));
+  page.close();
+});
+
+test('on a portfolio page the submenu opens with the menu and closes with it', async () => {
+  const { page, menu, toggle } = await setup('residential.html');
+
+  menu.openMenu();
+  page.clock.tick(99);
+  assert.notEqual(toggle.getAttribute('aria-expanded'), 'true');
+
+  page.clock.tick(1);
+  assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+
+  menu.closeMenu();
+  assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+  page.close();
+});
+
+test('submenu transitions are dropped under reduced motion', async () => {
+  const { page, submenu } = await setup('index.html');
+
+  assert.match(submenu.style.transition, /max-height/);
+
+  page.main.motionPreferences.setUserReduced(true);
+  assert.equal(submenu.style.transition, 'none');
+  page.close();
+});
+
+test('destroy stops listening to the menu', async () => {
+  const { page, menu, dropdown, toggle } = await setup('index.html');
+
+  menu.openMenu();
+  toggle.click();
+  dropdown.destroy();
+  menu.closeMenu();
+
+  assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+  page.close();
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { server, resolveStatic } = require('../scripts/mock-server');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Raw request paths, so encoded slashes reach the server as written
+const status = (requestPath) => new Promise((resolve, reject) => {
+  http.get({ port: server.address().port, path: requestPath }, (res) => {
+    res.resume();
+    resolve(res.statusCode);
+  }).on('error', reject);
+});
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('static files resolve inside the site root only', () => {
+  assert.equal(resolveStatic('/'), path.join(ROOT, 'index.html'));
+  assert.equal(resolveStatic('/hi/contact.html'), path.join(ROOT, 'hi', 'contact.html'));
+
+  // A sibling folder whose name starts with the root's is still outside it
+  assert.equal(resolveStatic(`/../${path.basename(ROOT)}-private/secret.txt`), null);
+  assert.equal(resolveStatic('/../../etc/passwd'), null);
+  ['/.git/config', '/hi/.env', '/.htaccess', '/node_modules/jsdom/package.json']
+    .forEach(pathname => assert.equal(resolveStatic(pathname), null, pathname));
+});
+
+test('the server refuses paths outside the site, dot-folders and node_modules', async () => {
+  assert.equal(await status('/index.html'), 200);
+  assert.equal(await status('/missing.html'), 404);
+
+  assert.equal(await status(`/..%2f${path.basename(ROOT)}-private%2fsecret.txt`), 403);
+  assert.equal(await status('/.git/HEAD'), 403);
+  assert.equal(await status('/%2egit/HEAD'), 403);
+  assert.equal(await status('/node_modules/jsdom/package.json'), 403);
+});
@@ -0,0 +1,288 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const setup = async (file = 'blogs.html') => {
+  const page = await loadPage(file);
+  const errors = [];
+  page.window.console.error = (message) => errors.push(message);
+
+  return { page, errors, registry: new page.main.ModuleRegistry() };
+};
+
+const recorder = (log, name) => class {
+  constructor() {
+    log.push(`start ${name}`);
+  }
+
+  destroy() {
+    log.push(`stop ${name}`);
+  }
+};
+
+test('modules start only when their selector or data-module is on the page', async () => {
+  const { page, registry } = await setup();
+  const log = [];
+
+  registry.register([
+    { name: 'everywhere', module: recorder(log, 'everywhere') },
+    { name: 'blog-filter', selector: '.blog-grid', module: recorder(log, 'blog-filter') },
+    { name: 'estimator', selector: '.cost-estimator', module: recorder(log, 'estimator') }
+  ]);
+  assert.deepEqual(log, ['start everywhere', 'start blog-filter']);
+
+  const host = page.document.createElement('div');
+  host.setAttribute('data-module', 'gallery estimator');
+  page.document.body.appendChild(host);
+  page.main.events.emit('portfolio:rendered');
+
+  assert.deepEqual(log, ['start everywhere', 'start blog-filter', 'start estimator']);
+  assert.deepEqual(Array.from(registry.running.keys()), ['everywhere', 'blog-filter', 'estimator']);
+  page.close();
+});
+
+test('a module that throws is logged and the rest still start', async () => {
+  const { page, errors, registry } = await setup();
+  const log = [];
+
+  registry.register([
+    { name: 'broken', module: class { constructor() { throw new Error('boom'); } } },
+    { name: 'after', module: recorder(log, 'after') }
+  ]);
+
+  assert.deepEqual(errors, ['Module "broken" failed to start:']);
+  assert.deepEqual(log, ['start after']);
+  assert.equal(registry.running.has('broken'), false);
+  page.close();
+});
+
+test('stop and stopAll tear modules down through destroy', async () => {
+  const { page, errors, registry } = await setup();
+  const log = [];
+
+  registry.register([
+    { name: 'first', module: recorder(log, 'first') },
+    { name: 'second', module: recorder(log, 'second') },
+    { name: 'plain', module: class {} },
+    { name: 'stubborn', module: class { destroy() { throw new Error('stuck'); } } }
+  ]);
+
+  registry.stop('first');
+  registry.stop('first');
+  registry.stopAll();
+
+  assert.deepEqual(log, ['start first', 'start second', 'stop first', 'stop second']);
+  assert.deepEqual(errors, ['Module "stubborn" failed to stop:']);
+  assert.equal(registry.running.size, 0);
+  page.close();
+});
+
+test('lazy modules are imported once their element nears the viewport', async () => {
+  const { page, errors, registry } = await setup('contact.html');
+  const log = [];
+  const imported = [];
+  registry.shared = { marker: 'shared' };
+  registry.importModule = async (file) => {
+    imported.push(file);
+    if (file === 'missing.js') throw new Error('404');
+    return { default: (shared) => recorder(log, shared.marker) };
+  };
+
+  registry.register([
+    { name: 'appointment-scheduler', selector: '.appointment-scheduler', load: 'appointment-scheduler.js' },
+    { name: 'missing', selector: '.appointment-scheduler', load: 'missing.js' }
+  ]);
+  assert.deepEqual(imported, []);
+
+  page.intersect(page.document.querySelector('.appointment-scheduler'));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(imported, ['appointment-scheduler.js', 'missing.js']);
+  assert.deepEqual(log, ['start shared']);
+  assert.ok(registry.running.has('appointment-scheduler'));
+  assert.deepEqual(errors, ['Module "missing" failed to load:']);
+  page.close();
+});
+
+test('the event bus delivers to every handler until it unsubscribes', async () => {
+  const { page, errors } = await setup();
+  const bus = new page.main.EventBus();
+  const received = [];
+
+  const off = bus.on('ping', (detail) => received.push(`a${detail}`));
+  bus.on('ping', () => { throw new Error('bad handler'); });
+  bus.on('ping', (detail) => received.push(`b${detail}`));
+
+  bus.emit('ping', 1);
+  off();
+  bus.emit('ping', 2);
+  bus.emit('unheard', 3);
+
+  assert.deepEqual(received, ['a1', 'b1', 'b2']);
+  assert.deepEqual(errors, ['Error handling "ping":', 'Error handling "ping":']);
+  page.close();
+});
+
+// Listeners still attached to window, document or an element on the page
+const trackListeners = (window) => {
+  const active = [];
+  const proto = window.EventTarget.prototype;
+  const { addEventListener, removeEventListener } = proto;
+  const capture = (options) => Boolean(typeof options === 'object' ? options && options.capture : options);
+  const indexOf = (target, type, listener, options) => active.findIndex(entry => (
+    entry.target === target && entry.type === type && entry.listener === listener && entry.capture === capture(options)
+  ));
+
+  proto.addEventListener = function (type, listener, options) {
+    if (indexOf(this, type, listener, options) === -1) {
+      active.push({ target: this, type, listener, capture: capture(options) });
+    }
+    return addEventListener.call(this, type, listener, options);
+  };
+  proto.removeEventListener = function (type, listener, options) {
+    const index = indexOf(this, type, listener, options);
+    if (index !== -1) active.splice(index, 1);
+    return removeEventListener.call(this, type, listener, options);
+  };
+
+  const describe = (target) => {
+    if (target === window) return 'window';
+    if (target === window.document) return 'document';
+    return `${target.tagName.toLowerCase()}${target.id ? `#${target.id}` : ''}${target.classList.length ? `.${Array.from(target.classList).join('.')}` : ''}`;
+  };
+
+  // Elements a module created and removed again can no longer be reached
+  return () => active
+    .filter(({ target }) => !(target instanceof window.Node) || target === window.document || target.isConnected)
+    .map(({ target, type }) => `${describe(target)} ${type}`);
+};
+
+const snapshot = (page) => {
+  const { main } = page;
+
+  return {
+    bus: Array.from(main.events.handlers)
+      .filter(([, handlers]) => handlers.size > 0)
+      .map(([name, handlers]) => `${name}: ${handlers.size}`),
+    media: page.mediaListeners(),
+    observed: page.intersectionObservers.reduce((count, observer) => count + observer.targets.size, 0),
+    timers: page.clock.pending
+  };
+};
+
+test('stopAll leaves no listeners, subscriptions, observers or timers behind', async () => {
+  const pages = ['index.html', 'blogs.html', 'blog-dehradun-interior-design-ideas.html', 'residential.html', 'contact.html'];
+
+  for (const file of pages) {
+    const page = await loadPage(file);
+    const listeners = trackListeners(page.window);
+    const before = snapshot(page);
+    const created = page.document.body.children.length;
+
+    const app = new page.main.App();
+    assert.ok(app.modules.running.size > 0, file);
+    assert.ok(listeners().length > 0, file);
+
+    app.modules.stopAll();
+
+    // Only App's own hook that calls stopAll() is left
+    assert.deepEqual(listeners(), ['window pagehide'], file);
+    assert.deepEqual(snapshot(page), before, file);
+    assert.equal(page.document.body.children.length, created, file);
+    page.close();
+  }
+});
+
+test('after stopAll, clicks, keys and submits on the page reach no module', async () => {
+  const press = (element, key) => element.dispatchEvent(new element.ownerDocument.defaultView.KeyboardEvent('keydown', { key, bubbles: true }));
+  const interactions = {
+    'index.html': (document) => {
+      document.querySelector('.hamburger').click();
+      document.querySelector('.mobile-nav .nav-link-dropdown').click();
+      document.querySelector('.desktop-nav .nav-link-dropdown').click();
+      press(document.querySelector('.desktop-nav .nav-link-dropdown'), 'ArrowDown');
+      document.getElementById('backToTop').click();
+    },
+    'blogs.html': (document) => {
+      document.querySelector('.category-btn:not(.active)').click();
+      document.querySelector('.tag-btn').click();
+      document.querySelector('.blog-sort').dispatchEvent(new document.defaultView.Event('change', { bubbles: true }));
+    },
+    'blog-dehradun-interior-design-ideas.html': (document) => {
+      document.querySelector('.faq-question').click();
+      press(document.querySelector('.faq-question'), 'End');
+    },
+    'contact.html': (document) => {
+      const form = document.querySelector('.enquiry-form');
+      form.querySelector('[name="phone"]').dispatchEvent(new document.defaultView.Event('blur'));
+      form.dispatchEvent(new document.defaultView.Event('submit', { cancelable: true }));
+    }
+  };
+
+  for (const [file, interact] of Object.entries(interactions)) {
+    const page = await loadPage(file);
+    const { window, document } = page;
+    new page.main.App().modules.stopAll();
+
+    const calls = [];
+    window.scrollTo = () => calls.push('scrollTo');
+    window.fetch = async (url) => { calls.push(`fetch ${url}`); throw new TypeError('Failed to fetch'); };
+    const markup = document.documentElement.outerHTML;
+    const url = window.location.href;
+
+    interact(document);
+    page.clock.tick(1000);
+
+    assert.deepEqual(calls, [], file);
+    assert.equal(window.location.href, url, file);
+    assert.equal(document.documentElement.outerHTML, markup, file);
+    page.close();
+  }
+});
+
+test('leaving the page stops every module unless it is kept in the back/forward cache', async () => {
+  const page = await loadPage('index.html');
+  const app = new page.main.App();
+  const pagehide = (persisted) => {
+    const event = new page.window.Event('pagehide');
+    event.persisted = persisted;
+    page.window.dispatchEvent(event);
+  };
+
+  pagehide(true);
+  assert.ok(app.modules.running.size > 0);
+
+  pagehide(false);
+  assert.equal(app.modules.running.size, 0);
+  page.close();
+});
+
+test('a link to a generated heading id scrolls there once, after every module has started', async () => {
+  const article = 'blog-dehradun-interior-design-ideas.html';
+  const opened = async (hash) => {
+    const page = await loadPage(article, { search: hash });
+    const scrolled = [];
+    page.window.Element.prototype.scrollIntoView = function () {
+      scrolled.push(this.id);
+    };
+
+    new page.main.App();
+    const item = page.document.getElementById(hash.slice(1))?.closest('.faq-item');
+    const expanded = item ? item.querySelector('[aria-expanded]').getAttribute('aria-expanded') : null;
+    page.close();
+    return { scrolled, expanded };
+  };
+
+  assert.deepEqual(await opened('#1-embrace-biophilic-design-bringing-nature-indoors'), {
+    scrolled: ['1-embrace-biophilic-design-bringing-nature-indoors'],
+    expanded: null
+  });
+  // FaqAccordion opens the question and leaves the scrolling to App
+  assert.deepEqual(await opened('#q-what-s-the-best-time-of-year-to-undertake-interior-design-projects-in-dehradun'), {
+    scrolled: ['q-what-s-the-best-time-of-year-to-undertake-interior-design-projects-in-dehradun'],
+    expanded: 'true'
+  });
+  assert.deepEqual(await opened('#no-such-heading'), { scrolled: [], expanded: null });
+});
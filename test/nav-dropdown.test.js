@@ -0,0 +1,99 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const setup = async () => {
+  const page = await loadPage('index.html');
+  new page.main.NavDropdown();
+  const root = page.document.querySelector('.desktop-nav .nav-dropdown');
+  const button = root.querySelector('.nav-link-dropdown');
+  const links = Array.from(root.querySelectorAll('.dropdown-content a'));
+
+  const press = (key, target = page.document.activeElement) => {
+    const event = new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+
+  return {
+    page,
+    button,
+    links,
+    press,
+    expanded: () => button.getAttribute('aria-expanded'),
+    focused: () => page.document.activeElement
+  };
+};
+
+test('the Portfolio button is a disclosure for its menu', async () => {
+  const { page, button, expanded } = await setup();
+
+  assert.equal(button.tagName, 'BUTTON');
+  assert.equal(button.getAttribute('aria-controls'), 'portfolioMenu');
+  assert.equal(expanded(), 'false');
+
+  button.click();
+  assert.equal(expanded(), 'true');
+
+  button.click();
+  assert.equal(expanded(), 'false');
+  page.close();
+});
+
+test('arrow keys open the menu and move through its links', async () => {
+  const { page, button, links, press, expanded, focused } = await setup();
+
+  button.focus();
+  assert.equal(press('ArrowDown'), true);
+  assert.equal(expanded(), 'true');
+  assert.equal(focused(), links[0]);
+
+  press('ArrowDown');
+  assert.equal(focused(), links[1]);
+  press('End');
+  assert.equal(focused(), links[links.length - 1]);
+  press('ArrowDown');
+  assert.equal(focused(), links[0], 'wraps from the last link to the first');
+  press('ArrowUp');
+  assert.equal(focused(), links[links.length - 1]);
+  press('Home');
+  assert.equal(focused(), links[0]);
+
+  button.focus();
+  button.click();
+  button.click();
+  press('ArrowUp');
+  assert.equal(focused(), links[links.length - 1], 'ArrowUp on the button starts at the end');
+  page.close();
+});
+
+test('Escape closes the menu and returns focus to the button', async () => {
+  const { page, button, links, press, expanded, focused } = await setup();
+
+  button.focus();
+  press('ArrowDown');
+  press('Escape', links[0]);
+
+  assert.equal(expanded(), 'false');
+  assert.equal(focused(), button);
+  page.close();
+});
+
+test('focus leaving the dropdown or a click elsewhere closes it', async () => {
+  const { page, button, links, press, expanded } = await setup();
+
+  button.focus();
+  press('ArrowDown');
+  page.document.querySelector('.desktop-nav .nav-link[href="services.html"]').focus();
+  assert.equal(expanded(), 'false');
+
+  button.click();
+  links[1].focus();
+  assert.equal(expanded(), 'true', 'moving within the dropdown keeps it open');
+
+  page.document.querySelector('main').click();
+  assert.equal(expanded(), 'false');
+  page.close();
+});
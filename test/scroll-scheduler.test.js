@@ -0,0 +1,90 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const scrollTo = (page, y) => {
+  Object.defineProperty(page.window, 'scrollY', { configurable: true, value: y });
+  page.window.dispatchEvent(new page.window.Event('scroll'));
+};
+
+test('every task reads before any task writes, once per frame', async () => {
+  const page = await loadPage('index.html');
+  const scheduler = new page.main.ScrollScheduler();
+  const log = [];
+
+  scheduler.add({
+    read: ({ scrollY }) => { log.push(`read a ${scrollY}`); return 'a'; },
+    write: (metrics, measured) => log.push(`write ${measured}`)
+  });
+  scheduler.add({
+    read: () => { log.push('read b'); return 'b'; },
+    write: (metrics, measured) => log.push(`write ${measured}`)
+  });
+  page.clock.tick(16);
+  assert.deepEqual(log, ['read a 0', 'read b', 'write a', 'write b'], 'runs once when added');
+
+  log.length = 0;
+  scrollTo(page, 120);
+  scrollTo(page, 240);
+  page.window.dispatchEvent(new page.window.Event('resize'));
+  page.clock.tick(16);
+  assert.deepEqual(log, ['read a 240', 'read b', 'write a', 'write b'], 'a burst of events is one frame');
+  page.close();
+});
+
+test('a failing task is logged without stopping the others', async () => {
+  const page = await loadPage('index.html');
+  const errors = [];
+  page.window.console.error = (message) => errors.push(message);
+  const scheduler = new page.main.ScrollScheduler();
+  const written = [];
+
+  scheduler.add({ read: () => { throw new Error('no layout'); } });
+  scheduler.add({ write: ({ scrollY }) => written.push(scrollY) });
+  page.clock.tick(16);
+
+  assert.deepEqual(errors, ['Scroll task failed to read:']);
+  assert.deepEqual(written, [0]);
+  page.close();
+});
+
+test('removing the last task stops listening to scroll', async () => {
+  const page = await loadPage('index.html');
+  const scheduler = new page.main.ScrollScheduler();
+  let runs = 0;
+
+  const remove = scheduler.add({ write: () => { runs += 1; } });
+  remove();
+  page.clock.tick(16);
+  scrollTo(page, 500);
+  page.clock.tick(16);
+
+  assert.equal(runs, 0);
+  assert.equal(page.clock.pending, 0);
+  page.close();
+});
+
+test('the header and back-to-top button follow the scroll position', async () => {
+  const page = await loadPage('index.html');
+  new page.main.HeaderScroll();
+  new page.main.BackToTop();
+  const header = page.document.getElementById('header');
+  const button = page.document.getElementById('backToTop');
+
+  scrollTo(page, 100);
+  page.clock.tick(16);
+  assert.ok(header.classList.contains('scrolled'));
+  assert.equal(button.classList.contains('visible'), false);
+
+  scrollTo(page, 400);
+  page.clock.tick(16);
+  assert.ok(button.classList.contains('visible'));
+
+  scrollTo(page, 0);
+  page.clock.tick(16);
+  assert.equal(header.classList.contains('scrolled'), false);
+  assert.equal(button.classList.contains('visible'), false);
+  page.close();
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const setup = async () => {
+  const page = await loadPage('blogs.html');
+  const { SiteSearch } = page.main;
+  return { page, SiteSearch, search: new SiteSearch() };
+};
+
+test('search terms are marked in the text and the rest is escaped', async () => {
+  const { page, SiteSearch } = await setup();
+  const highlight = (text, query) => SiteSearch.highlight(text, SiteSearch.tokenize(query));
+
+  assert.equal(highlight('Modular Kitchen ideas', 'kitchen'), 'Modular <mark>Kitchen</mark> ideas');
+  assert.equal(highlight('<b>Kitchens</b>', 'kitchen'), '&lt;b&gt;<mark>Kitchen</mark>s&lt;/b&gt;');
+  assert.equal(highlight('Cost & design', ''), 'Cost &amp; design');
+  page.close();
+});
+
+test('terms that spell part of an entity never land inside it', async () => {
+  const { page, SiteSearch } = await setup();
+  const text = 'Tom & Jerry\'s "lt" <gt> 39';
+
+  ['amp', 'quot', 'lt', 'gt', '39'].forEach(term => {
+    const html = SiteSearch.highlight(text, [term]);
+    const container = page.document.createElement('div');
+    container.innerHTML = html;
+
+    // The visible text is unchanged and every entity is intact
+    assert.equal(container.textContent, text, term);
+    assert.doesNotMatch(html, /&[a-z0-9#]*<mark>|<mark>[a-z0-9#]*;/, term);
+    Array.from(container.querySelectorAll('mark')).forEach(mark => assert.equal(mark.textContent.toLowerCase(), term, term));
+  });
+  assert.equal(SiteSearch.highlight('Fish & chips', ['amp']), 'Fish &amp; chips');
+  page.close();
+});
+
+test('snippets are centred on the first match even when normalizing changes the length', async () => {
+  const { page, SiteSearch, search } = await setup();
+
+  // क़ and ज़ decompose into two characters each
+  const hindi = `${'क़िला '.repeat(40)}रसोई डिज़ाइन के लिए सुझाव ${'घर '.repeat(40)}`;
+  const snippet = search.buildSnippet(hindi, SiteSearch.tokenize('रसोई'), 20);
+  assert.match(snippet, /^….*<mark>रसोई<\/mark> डिज़ाइन.*…$/);
+
+  // The ligature ﬁ becomes "fi"
+  const ligatures = `${'ﬁ'.repeat(100)} modular kitchen ${'x'.repeat(100)}`;
+  assert.match(search.buildSnippet(ligatures, ['kitchen'], 10), /modular <mark>kitchen<\/mark>/);
+  page.close();
+});
+
+test('snippets without a match start at the beginning of the text', async () => {
+  const { page, search } = await setup();
+  const text = `Start here. ${'word '.repeat(60)}`;
+
+  const snippet = search.buildSnippet(text, ['absent'], 10);
+  assert.match(snippet, /^Start here\./);
+  assert.match(snippet, /…$/);
+  page.close();
+});
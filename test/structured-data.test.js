@@ -0,0 +1,50 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const structuredData = require('../scripts/structured-data');
+
+const site = require('../src/site.json');
+
+const reviewData = {
+  bestRating: 5,
+  reviews: [
+    { author: 'Client B', rating: 4, category: 'residential', date: '2025-07-02', quote: { en: 'Second home.', hi: 'दूसरा घर।' } },
+    { author: 'Client A', rating: 5, category: 'residential', date: '2025-09-18', quote: { en: 'First home.' } },
+    { author: 'Client C', rating: 3, category: 'commercial', date: '2025-05-21', quote: 'Our office.' }
+  ]
+};
+
+const authors = (data) => data.reviews.map(review => review.author);
+
+test('a carousel category narrows the reviews, newest first', () => {
+  assert.deepEqual(authors(structuredData.reviewsOnScreen(reviewData, 'residential')), ['Client A', 'Client B']);
+  // Unknown or empty categories start on every review, as the carousel does
+  assert.deepEqual(authors(structuredData.reviewsOnScreen(reviewData, 'hospitality')), ['Client A', 'Client B', 'Client C']);
+  assert.deepEqual(authors(structuredData.reviewsOnScreen(reviewData, '')), ['Client A', 'Client B', 'Client C']);
+});
+
+test('the LocalBusiness is rated from the reviews it lists', () => {
+  const business = structuredData.localBusiness(site, structuredData.reviewsOnScreen(reviewData, 'residential'), 'hi');
+
+  assert.deepEqual(business.aggregateRating, {
+    '@type': 'AggregateRating',
+    ratingValue: 4.5,
+    reviewCount: 2,
+    bestRating: 5,
+    worstRating: 1
+  });
+  assert.deepEqual(business.review.map(review => review.reviewBody), ['First home.', 'दूसरा घर।']);
+  assert.deepEqual(business.review[1].reviewRating, { '@type': 'Rating', ratingValue: 4, bestRating: 5, worstRating: 1 });
+  assert.deepEqual(structuredData.validate(business), []);
+});
+
+test('unrated reviews keep the business rating and pages without reviews list none', () => {
+  const unrated = { reviews: [{ author: 'Client D', quote: { en: 'Our hotel.' } }] };
+  const business = structuredData.localBusiness(site, unrated, 'en', site.businessRating);
+
+  assert.equal(business.aggregateRating, site.businessRating);
+  assert.equal('aggregateRating' in structuredData.localBusiness(site, unrated), false);
+  assert.deepEqual(business.review, [{ '@type': 'Review', author: { '@type': 'Person', name: 'Client D' }, reviewBody: 'Our hotel.' }]);
+  assert.equal('review' in structuredData.localBusiness(site), false);
+});
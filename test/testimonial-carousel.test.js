@@ -0,0 +1,271 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, loadModule } = require('./helpers/dom');
+
+const REVIEWS_FILE = fs.readFileSync(path.resolve(__dirname, '..', 'data', 'reviews.json'), 'utf8');
+const INTERVAL = 7000;
+
+// data/reviews.json only holds what the business has supplied, so the
+// optional rating, category and date fields are exercised with sample data
+const quote = (text) => ({ en: text, hi: `${text} (hi)` });
+const SAMPLE = JSON.stringify({
+  bestRating: 5,
+  categories: JSON.parse(REVIEWS_FILE).categories,
+  reviews: [
+    { id: 'client-b', author: 'Client B', rating: 4, category: 'residential', date: '2025-07-02', quote: quote('Second home.') },
+    { id: 'client-a', author: 'Client A', rating: 5, category: 'residential', date: '2025-09-18', quote: quote('First home.') },
+    { id: 'client-c', author: 'Client C', rating: 5, category: 'commercial', date: '2025-05-21', quote: quote('Our office.') },
+    { id: 'client-d', author: 'Client D', rating: 4, category: 'hospitality', date: '2025-03-11', quote: quote('Our hotel.') }
+  ]
+});
+
+// The carousel's category filter, as a page listing one project type would use it
+const filtered = (category) => (document) => {
+  const container = document.querySelector('.testimonial-carousel');
+  container.dataset.category = category;
+  container.setAttribute('data-filter', '');
+};
+
+const setup = async (file = 'index.html', { reviews = SAMPLE, prepare = () => {}, ...options } = {}) => {
+  const page = await loadPage(file, options);
+  const { window, document } = page;
+  const requested = [];
+
+  prepare(document);
+
+  window.fetch = async (url) => {
+    requested.push(url);
+    return { ok: true, status: 200, json: async () => JSON.parse(reviews) };
+  };
+
+  const TestimonialCarousel = loadModule(page, 'testimonial-carousel.js');
+  const carousel = new TestimonialCarousel();
+  await new Promise(resolve => setImmediate(resolve));
+
+  const container = document.querySelector('.testimonial-carousel');
+
+  return {
+    page,
+    carousel,
+    requested,
+    container,
+    current: () => container.querySelector('.testimonial-slide:not([hidden]) .testimonial-author').textContent,
+    authors: () => Array.from(container.querySelectorAll('.testimonial-slide .testimonial-author'))
+      .map(author => author.textContent),
+    button: (selector) => container.querySelector(selector),
+    schema: () => Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+      .map(script => JSON.parse(script.textContent))
+      .find(block => block.aggregateRating)
+  };
+};
+
+test('renders the reviews newest first as a labelled carousel', async () => {
+  const { page, requested, container, authors, current } = await setup();
+  const slides = container.querySelectorAll('.testimonial-slide');
+
+  assert.deepEqual(requested, ['data/reviews.json']);
+  assert.equal(container.getAttribute('aria-roledescription'), 'carousel');
+  assert.equal(container.getAttribute('aria-label'), 'Client reviews');
+  assert.deepEqual(authors(), ['— Client A', '— Client B', '— Client C', '— Client D']);
+  assert.equal(current(), '— Client A');
+  assert.equal(slides[0].getAttribute('aria-label'), '1 of 4');
+  assert.equal(slides[0].querySelector('.testimonial-rating').getAttribute('aria-label'), 'Rated 5 out of 5');
+  assert.equal(slides[0].querySelector('time').getAttribute('datetime'), '2025-09-18');
+  assert.equal(container.querySelector('.testimonial-summary').textContent, '4.5 out of 5 from 4 reviews');
+  // The homepage shows every project type, so it has no filters
+  assert.equal(container.querySelector('.testimonial-filters'), null);
+  page.close();
+});
+
+test('advances on its own with live announcements switched off', async () => {
+  const { page, container, current } = await setup();
+  const slides = container.querySelector('.testimonial-slides');
+
+  assert.equal(slides.getAttribute('aria-live'), 'off');
+  page.clock.tick(INTERVAL);
+  assert.equal(current(), '— Client B');
+
+  page.clock.tick(INTERVAL * 3);
+  assert.equal(current(), '— Client A');
+  page.close();
+});
+
+test('hover and keyboard focus pause rotation until they leave', async () => {
+  const { page, container, current, button } = await setup();
+  const { window } = page;
+  const slides = container.querySelector('.testimonial-slides');
+
+  container.dispatchEvent(new window.MouseEvent('mouseenter'));
+  page.clock.tick(INTERVAL * 2);
+  assert.equal(current(), '— Client A');
+  assert.equal(slides.getAttribute('aria-live'), 'polite');
+
+  container.dispatchEvent(new window.MouseEvent('mouseleave'));
+  button('.testimonial-next').focus();
+  page.clock.tick(INTERVAL * 2);
+  assert.equal(current(), '— Client A');
+
+  button('.testimonial-next').blur();
+  page.clock.tick(INTERVAL);
+  assert.equal(current(), '— Client B');
+  page.close();
+});
+
+test('previous, next and the dots move between reviews', async () => {
+  const { page, container, current, button } = await setup();
+  const dots = () => Array.from(container.querySelectorAll('.testimonial-dot'));
+
+  button('.testimonial-prev').click();
+  assert.equal(current(), '— Client D');
+  assert.equal(dots()[3].getAttribute('aria-current'), 'true');
+
+  button('.testimonial-next').click();
+  assert.equal(current(), '— Client A');
+
+  dots()[2].click();
+  assert.equal(current(), '— Client C');
+  assert.equal(dots()[0].hasAttribute('aria-current'), false);
+  page.close();
+});
+
+test('the rotation button stops and restarts the slide show', async () => {
+  const { page, current, button } = await setup();
+  const rotation = button('.testimonial-rotation');
+
+  assert.equal(rotation.getAttribute('aria-label'), 'Stop automatic slide show');
+  rotation.click();
+  assert.equal(rotation.getAttribute('aria-label'), 'Start automatic slide show');
+  page.clock.tick(INTERVAL * 2);
+  assert.equal(current(), '— Client A');
+
+  rotation.click();
+  page.clock.tick(INTERVAL);
+  assert.equal(current(), '— Client B');
+  page.close();
+});
+
+test('reduced motion never rotates and hides the rotation button', async () => {
+  const { page, current, button } = await setup('index.html', { storage: { 'urbanways-motion': 'reduce' } });
+
+  page.clock.tick(INTERVAL * 2);
+  assert.equal(current(), '— Client A');
+  assert.equal(button('.testimonial-rotation').hidden, true);
+
+  page.main.motionPreferences.setUserReduced(false);
+  page.clock.tick(INTERVAL);
+  assert.equal(current(), '— Client B');
+  page.close();
+});
+
+test('a carousel with a category starts on that project type and can filter', async () => {
+  const { page, container, authors, button } = await setup('index.html', { prepare: filtered('residential') });
+  const filter = (category) => button(`.testimonial-filter[data-category="${category}"]`);
+
+  assert.deepEqual(
+    Array.from(container.querySelectorAll('.testimonial-filter')).map(option => option.dataset.category),
+    ['all', 'residential', 'commercial', 'hospitality']
+  );
+  assert.equal(filter('residential').getAttribute('aria-pressed'), 'true');
+  assert.deepEqual(authors(), ['— Client A', '— Client B']);
+
+  filter('hospitality').click();
+  assert.deepEqual(authors(), ['— Client D']);
+  assert.equal(filter('residential').getAttribute('aria-pressed'), 'false');
+  assert.equal(container.querySelector('.testimonial-summary').textContent, '4.0 out of 5 from 1 review');
+  assert.equal(button('.testimonial-next').hidden, true);
+
+  filter('all').click();
+  assert.equal(authors().length, 4);
+  page.close();
+});
+
+test('the LocalBusiness JSON-LD describes exactly the reviews on screen', async () => {
+  const { page, button, schema } = await setup('index.html', { prepare: filtered('residential') });
+
+  assert.deepEqual(JSON.parse(JSON.stringify(schema().aggregateRating)), {
+    '@type': 'AggregateRating',
+    ratingValue: 4.5,
+    reviewCount: 2,
+    bestRating: 5,
+    worstRating: 1
+  });
+  assert.deepEqual(schema().review.map(review => review.author.name), ['Client A', 'Client B']);
+  assert.equal(schema().review[0]['@type'], 'Review');
+  assert.equal(schema().review[0].datePublished, '2025-09-18');
+  assert.equal(schema().review[0].reviewRating.ratingValue, 5);
+
+  button('.testimonial-filter[data-category="commercial"]').click();
+  assert.equal(schema().aggregateRating.reviewCount, 1);
+  assert.deepEqual(schema().review.map(review => review.author.name), ['Client C']);
+  page.close();
+});
+
+test('reviews without ratings, dates or categories keep the business rating', async () => {
+  const { page, container, authors, schema } = await setup('index.html', { reviews: REVIEWS_FILE, prepare: filtered('residential') });
+  const expected = JSON.parse(REVIEWS_FILE).reviews;
+
+  assert.deepEqual(authors(), expected.map(review => `— ${review.author}`));
+  assert.equal(container.querySelector('.testimonial-rating'), null);
+  assert.equal(container.querySelector('.testimonial-role'), null);
+  assert.equal(container.querySelector('.testimonial-filters'), null);
+  assert.equal(container.querySelector('.testimonial-summary').hidden, true);
+
+  assert.deepEqual(JSON.parse(JSON.stringify(schema().aggregateRating)), {
+    '@type': 'AggregateRating',
+    ratingValue: '4.8',
+    reviewCount: '200'
+  });
+  assert.deepEqual(JSON.parse(JSON.stringify(schema().review[0])), {
+    '@type': 'Review',
+    author: { '@type': 'Person', name: expected[0].author },
+    reviewBody: expected[0].quote.en
+  });
+  page.close();
+});
+
+test('the built JSON-LD already matches what the carousel first shows', async () => {
+  for (const file of ['index.html', 'hi/index.html']) {
+    const page = await loadPage(file);
+    const business = () => Array.from(page.document.querySelectorAll('script[type="application/ld+json"]'))
+      .map(script => JSON.parse(script.textContent))
+      .find(block => block.review);
+    const built = business();
+
+    page.window.fetch = async () => ({ ok: true, status: 200, json: async () => JSON.parse(REVIEWS_FILE) });
+    const TestimonialCarousel = loadModule(page, 'testimonial-carousel.js');
+    new TestimonialCarousel();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(JSON.parse(JSON.stringify(business())), built, file);
+    page.close();
+  }
+});
+
+test('a failed request keeps the static quotes', async () => {
+  const page = await loadPage('index.html');
+  const warnings = [];
+  page.window.console.warn = (message) => warnings.push(message);
+  const quotes = page.document.querySelectorAll('.testimonial-card').length;
+
+  const TestimonialCarousel = loadModule(page, 'testimonial-carousel.js');
+  new TestimonialCarousel();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(warnings, ['Reviews unavailable, keeping static markup:']);
+  assert.ok(quotes > 0);
+  assert.equal(page.document.querySelectorAll('.testimonial-card').length, quotes);
+  assert.equal(page.document.querySelector('.testimonial-slide'), null);
+  page.close();
+});
+
+test('only the homepage claims the business rating, and portfolio pages carry no reviews', () => {
+  const pages = ['index.html', 'contact.html', 'residential.html', 'commercial.html', 'hospitality.html', 'social-infrastructure.html', 'hi/index.html', 'hi/contact.html'];
+  const read = (file) => fs.readFileSync(path.resolve(__dirname, '..', file), 'utf8');
+
+  assert.deepEqual(pages.filter(file => read(file).includes('"aggregateRating"')), ['index.html']);
+  pages.slice(2, 6).forEach(file => assert.doesNotMatch(read(file), /testimonial-carousel|"review"/, file));
+});
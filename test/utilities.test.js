@@ -0,0 +1,47 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+test('debounce runs once, with the last arguments, after the wait', async () => {
+  const page = await loadPage('index.html');
+  const calls = [];
+  const debounced = page.main.debounce((value) => calls.push(value), 250);
+
+  debounced('a');
+  page.clock.tick(100);
+  debounced('b');
+  page.clock.tick(249);
+  assert.deepEqual(calls, []);
+
+  page.clock.tick(1);
+  assert.deepEqual(calls, ['b']);
+  page.close();
+});
+
+test('throttle runs the first call and drops the rest until the limit passes', async () => {
+  const page = await loadPage('index.html');
+  const calls = [];
+  const throttled = page.main.throttle((value) => calls.push(value), 100);
+
+  throttled(1);
+  throttled(2);
+  page.clock.tick(99);
+  throttled(3);
+  assert.deepEqual(calls, [1]);
+
+  page.clock.tick(1);
+  throttled(4);
+  assert.deepEqual(calls, [1, 4]);
+  page.close();
+});
+
+test('escapeHTML and slugify make text safe for markup and ids', async () => {
+  const page = await loadPage('index.html');
+  const { escapeHTML, slugify } = page.main;
+
+  assert.equal(escapeHTML('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  assert.equal(slugify('  Modular Kitchen: Cost & Ideas! '), 'modular-kitchen-cost-ideas');
+  page.close();
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+// jsdom has no PerformanceObserver; this one lets a test hand entries to the observers
+const installPerformanceObserver = (window) => {
+  const observers = [];
+
+  class PerformanceObserver {
+    constructor(callback) {
+      this.callback = callback;
+      observers.push(this);
+    }
+
+    observe(options) {
+      this.type = options.type;
+    }
+
+    disconnect() {
+      this.type = null;
+    }
+  }
+
+  PerformanceObserver.supportedEntryTypes = ['largest-contentful-paint', 'layout-shift', 'event', 'first-input'];
+  window.PerformanceObserver = PerformanceObserver;
+
+  return (type, ...entries) => observers
+    .filter(observer => observer.type === type)
+    .forEach(observer => observer.callback({ getEntries: () => entries }));
+};
+
+const setup = async () => {
+  const page = await loadPage('index.html');
+  const record = installPerformanceObserver(page.window);
+  const metrics = [];
+  const vitals = new page.main.WebVitals({ sink: (metric) => metrics.push(metric) });
+
+  const hide = () => {
+    Object.defineProperty(page.document, 'visibilityState', { configurable: true, value: 'hidden' });
+    page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+  };
+  const byName = () => Object.fromEntries(metrics.map(metric => [metric.name, metric]));
+
+  return { page, record, vitals, metrics, hide, byName };
+};
+
+test('LCP stops at the first interaction and is reported when the page is hidden', async () => {
+  const { page, record, metrics, hide, byName } = await setup();
+
+  record('largest-contentful-paint', { startTime: 1200.4 }, { startTime: 2700 });
+  assert.deepEqual(metrics, [], 'nothing is sent while the page is visible');
+
+  page.window.dispatchEvent(new page.window.Event('pointerdown'));
+  record('largest-contentful-paint', { startTime: 5000 });
+  hide();
+
+  assert.equal(byName().LCP.value, 2700);
+  assert.equal(byName().LCP.rating, 'needs-improvement');
+  assert.equal(byName().LCP.page, '/index.html');
+  page.close();
+});
+
+test('CLS is the worst session window and ignores shifts after input', async () => {
+  const { page, record, hide, byName } = await setup();
+
+  record('layout-shift',
+    { startTime: 100, value: 0.05 },
+    { startTime: 600, value: 0.04 },
+    { startTime: 900, value: 0.5, hadRecentInput: true },
+    // More than a second later starts a new, smaller window
+    { startTime: 3000, value: 0.02 }
+  );
+  hide();
+
+  assert.equal(byName().CLS.value, 0.09);
+  assert.equal(byName().CLS.rating, 'good');
+  page.close();
+});
+
+test('INP is the slowest interaction, counting each interaction once', async () => {
+  const { page, record, hide, byName } = await setup();
+
+  record('event',
+    { interactionId: 1, duration: 80 },
+    { interactionId: 1, duration: 240 },
+    { interactionId: 2, duration: 560 },
+    { interactionId: 0, duration: 900 }
+  );
+  hide();
+
+  assert.equal(byName().INP.value, 560);
+  assert.equal(byName().INP.rating, 'poor');
+  page.close();
+});
+
+test('later hides only send metrics that changed, with their delta', async () => {
+  const { page, record, metrics, hide } = await setup();
+
+  record('layout-shift', { startTime: 100, value: 0.1 });
+  hide();
+  hide();
+  record('layout-shift', { startTime: 400, value: 0.05 });
+  hide();
+
+  assert.deepEqual(metrics.map(({ name, value, delta }) => [name, value, delta]), [
+    ['CLS', 0.1, 0.1],
+    ['CLS', 0.15, 0.05]
+  ]);
+  page.close();
+});
+
+test('the analytics sink hands metrics to Analytics over the event bus', async () => {
+  const page = await loadPage('index.html');
+  const tracked = [];
+  page.main.events.on('analytics:track', (event) => tracked.push(event));
+
+  page.main.WebVitals.sinks.analytics({ name: 'LCP', value: 1800, delta: 1800, rating: 'good' });
+
+  assert.equal(tracked.length, 1);
+  assert.equal(tracked[0].name, 'web_vitals');
+  assert.equal(tracked[0].params.metric_name, 'LCP');
+  assert.equal(tracked[0].params.metric_rating, 'good');
+  page.close();
+});